@@ -9,6 +9,18 @@
 // 👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇
 const int TOTAL_NUM_LEDS = 102;
 #define BAUD_RATE 1000000
+/**
+ * How frames are packaged by the server. This needs to match `SERIAL_FRAMING` in server/server.js.
+ * - 0: 'legacy' framing. Every frame starts with 0xFF, so LED data can't use 0xFF.
+ * - 1: 'checked' or 'compressed' framing. Every frame has a header with its length and a sequence number
+ *      and ends with a checksum, so LED data can use the full 0-255 range and corrupted frames are dropped.
+ *      With 'compressed' framing, most frames only contain the LEDs that changed.
+ */
+#define USE_CHECKED_FRAMING 0
+/**
+ * How often (in milliseconds) `readSensors` runs. Every reading takes time on the serial link, so don't go much faster.
+ */
+const unsigned long SENSOR_INTERVAL_MS = 33;
 // 👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////
 const int EXPECTED_BYTES_PER_FRAME = TOTAL_NUM_LEDS * 3;
@@ -49,66 +61,396 @@ void setup()
     pinMode(13, OUTPUT);
 }
 
-bool g_isReadingFrame = false;
-int g_dataBytesRead = EXPECTED_BYTES_PER_FRAME; // Start with the state we would get after reading a frame
-void loop()
+/**
+ * Sends a sensor reading to the server, which passes it on to the browser as `$sensors.<name>`.
+ * Prints a line like `@sensor distance=412.00`.
+ * Use letters, digits and `_` for the name, and give every sensor on every microcontroller a different name.
+ */
+void reportSensor(const char *name, float value)
 {
-    /**
-     * The general protocol implemented below is:
-     * Every "packet" begins with 0xFF and is followed by EXPECTED_BYTES_PER_FRAME bytes that contain LED data
-     * and are not 0xFF. If we get too many or too few LED data bytes in a frame, we complain in a human-readable message.
-     * 
-     * When we get a 0xFF, we set `g_isReadingFrame = true` and reset g_dataBytesRead to 0.
-     * When we get any other byte, we read it into g_dataBuffer as long as g_isReadingFrame is true.
-     * When we get the final byte of a frame while g_isReadingFrame is true, we display the frame and set g_isReadingFrame = false.
-     */
+    SERIAL_USB.print("@sensor ");
+    SERIAL_USB.print(name);
+    SERIAL_USB.print('=');
+    SERIAL_USB.println(value);
+}
 
-    while (SERIAL_USB.available())
+/**
+ * Read your sensors here and send each reading with `reportSensor`.
+ * Called every SENSOR_INTERVAL_MS milliseconds. Set up the pins you use in `setup()`.
+ * 👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇
+ */
+void readSensors()
+{
+    // reportSensor("distance", analogRead(A0));
+    // reportSensor("touch", digitalRead(2));
+    // reportSensor("motion", digitalRead(3)); // e.g. a PIR sensor
+}
+// 👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆
+unsigned long g_lastSensorMs = 0;
+
+/**
+ * Prints a human-readable message complaining that a frame had the wrong size.
+ */
+void reportFrameSizeMismatch(int gotBytes)
+{
+    if (gotBytes < EXPECTED_BYTES_PER_FRAME)
     {
-        digitalWrite(13, !g_isReadingFrame);
-        int got = Serial.read();
-        if (got == 0xFF)
-        { // Got a frame header byte indicating the remaining bytes should be usable data
-            if (g_isReadingFrame)
+        SERIAL_USB.print(" - Frame too short. Expected: ");
+    }
+    else
+    {
+        SERIAL_USB.print(" - Frame too long. Expected: ");
+    }
+    SERIAL_USB.print(EXPECTED_BYTES_PER_FRAME, DEC);
+    SERIAL_USB.print(" bytes. Got: ");
+    SERIAL_USB.println(gotBytes, DEC);
+}
+
+#if USE_CHECKED_FRAMING
+/**
+ * The general protocol implemented below is:
+ * Every "packet" looks like
+ *   0xAA 0x55 type seq lenLo lenHi payload... crcHi crcLo
+ * - `0xAA 0x55` marks the start of a packet.
+ * - `type` is PACKET_TYPE_FULL_FRAME for a frame of LED data,
+ *   or PACKET_TYPE_DELTA_FRAME for only the LEDs that changed since the previous frame (see applyDeltaFrame).
+ * - `seq` counts up by one for every packet, so we can tell when packets went missing.
+ * - `lenLo lenHi` is the number of payload bytes.
+ * - `crcHi crcLo` is a CRC-16/CCITT-FALSE checksum of every byte from `type` to the end of the payload.
+ *
+ * We collect the payload in g_rxBuffer and only copy it into g_dataBuffer once the checksum matches,
+ * so a corrupted frame never reaches the LEDs. If anything is wrong, we complain in a human-readable message
+ * and wait for the next 0xAA 0x55.
+ * A delta frame only makes sense on top of the frame before it, so after missing a packet
+ * we skip delta frames until the next full frame arrives.
+ */
+const uint8_t SYNC_BYTE_0 = 0xAA;
+const uint8_t SYNC_BYTE_1 = 0x55;
+const uint8_t PACKET_TYPE_FULL_FRAME = 0x01;
+const uint8_t PACKET_TYPE_DELTA_FRAME = 0x02;
+const uint8_t SPAN_TYPE_COPY = 0x00;
+const uint8_t SPAN_TYPE_FILL = 0x01;
+const int SPAN_HEADER_SIZE = 5;
+
+enum ParseStep
+{
+    WAIT_SYNC_0,
+    WAIT_SYNC_1,
+    READ_TYPE,
+    READ_SEQ,
+    READ_LEN_LO,
+    READ_LEN_HI,
+    READ_PAYLOAD,
+    READ_CRC_HI,
+    READ_CRC_LO
+};
+
+ParseStep g_parseStep = WAIT_SYNC_0;
+uint8_t g_rxBuffer[EXPECTED_BYTES_PER_FRAME];
+uint8_t g_packetType = 0;
+uint8_t g_packetSeq = 0;
+uint16_t g_packetLength = 0;
+uint16_t g_payloadBytesRead = 0;
+uint16_t g_crc = 0xFFFF;
+uint16_t g_receivedCrc = 0;
+bool g_hasPrevSeq = false;
+uint8_t g_prevSeq = 0;
+bool g_needsFullFrame = true;
+bool g_isWaitingReported = false;
+
+/**
+ * Feeds one more byte into a CRC-16/CCITT-FALSE checksum.
+ */
+uint16_t crc16Update(uint16_t crc, uint8_t byte)
+{
+    crc ^= (uint16_t)byte << 8;
+    for (int i = 0; i < 8; i++)
+    {
+        crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+    }
+    return crc;
+}
+
+/**
+ * Complains that a delta frame couldn't be applied, and waits for the next full frame.
+ */
+void reportInvalidDeltaFrame()
+{
+    SERIAL_USB.println(" - Invalid delta frame");
+    g_needsFullFrame = true;
+}
+
+/**
+ * Applies the delta frame in g_rxBuffer to g_dataBuffer. Returns false if it is malformed.
+ * The payload is a list of spans, each looking like
+ *   type firstLo firstHi countLo countHi colors...
+ * - SPAN_TYPE_COPY is followed by 3 bytes (R, G, B) for each of the `count` LEDs starting at LED `first`.
+ * - SPAN_TYPE_FILL is followed by 3 bytes (R, G, B) that all of those LEDs are set to.
+ * We check every span before changing anything, so a malformed frame never shows up half-applied.
+ */
+bool applyDeltaFrame()
+{
+    uint8_t *rawBuffer = (uint8_t *)g_dataBuffer;
+    for (int pass = 0; pass < 2; pass++)
+    {
+        const bool isApplying = pass == 1;
+        uint16_t offset = 0;
+        while (offset < g_packetLength)
+        {
+            if (offset + SPAN_HEADER_SIZE > g_packetLength)
             {
-                // Message is too short because we expected to see non-start data when reading
-                SERIAL_USB.print(" - Frame too short. Expected: ");
-                SERIAL_USB.print(EXPECTED_BYTES_PER_FRAME, DEC);
-                SERIAL_USB.print(" bytes. Got: ");
-                SERIAL_USB.println(g_dataBytesRead, DEC);
+                return false;
             }
-            else if (g_dataBytesRead > EXPECTED_BYTES_PER_FRAME)
+            const uint8_t type = g_rxBuffer[offset];
+            const uint16_t first = g_rxBuffer[offset + 1] | ((uint16_t)g_rxBuffer[offset + 2] << 8);
+            const uint16_t count = g_rxBuffer[offset + 3] | ((uint16_t)g_rxBuffer[offset + 4] << 8);
+            const uint32_t colorsSize = type == SPAN_TYPE_COPY ? (uint32_t)count * 3 : 3;
+            const uint16_t colorsStart = offset + SPAN_HEADER_SIZE;
+            if ((type != SPAN_TYPE_COPY && type != SPAN_TYPE_FILL) ||
+                (uint32_t)first + count > TOTAL_NUM_LEDS ||
+                colorsStart + colorsSize > g_packetLength)
             {
-                // Message is too long because we only expect to see a start symbol after reading a complete message
-                SERIAL_USB.print(" - Frame too long. Expected: ");
-                SERIAL_USB.print(EXPECTED_BYTES_PER_FRAME, DEC);
-                SERIAL_USB.print(" bytes. Got: ");
-                SERIAL_USB.println(g_dataBytesRead, DEC);
+                return false;
             }
-
-            // Irrespective of how we got here, getting 0xFF indicates that the next byte(s) should be LED data
-            g_isReadingFrame = true;
-            g_dataBytesRead = 0;
-        }
-        else
-        { // Got a data byte (not 0xFF)
-            if (g_isReadingFrame)
+            if (isApplying)
             {
-                char *rawBuffer = (char *)g_dataBuffer; // byte pointer to the beginning of `g_dataBuffer`
-                // rawBuffer[g_dataBytesRead] = (char)got; // equivalent to below:
-                *(rawBuffer + g_dataBytesRead) = (char)got; // store got at the address `rawBuffer + g_dataBytesRead`
-                g_dataBytesRead++;
-                if (g_dataBytesRead == EXPECTED_BYTES_PER_FRAME)
+                if (type == SPAN_TYPE_COPY)
+                {
+                    memcpy(rawBuffer + first * 3, g_rxBuffer + colorsStart, colorsSize);
+                }
+                else
                 {
-                    // We have read sufficient bytes for one frame, so display it and wait for the start of the next one
-                    FastLED.show();
-                    g_isReadingFrame = false;
+                    for (uint16_t i = first; i < first + count; i++)
+                    {
+                        memcpy(rawBuffer + i * 3, g_rxBuffer + colorsStart, 3);
+                    }
                 }
             }
-            else
-            { // We expected to see a frame header (0xFF) but we got a data byte. Increment to count how many extra bytes we got
-                g_dataBytesRead++;
+            offset = colorsStart + colorsSize;
+        }
+    }
+    return true;
+}
+
+/**
+ * Called once a packet with a correct checksum has been read completely.
+ */
+void handleCheckedPacket()
+{
+    if (g_hasPrevSeq && g_packetSeq != (uint8_t)(g_prevSeq + 1))
+    {
+        SERIAL_USB.print(" - Missed frames. Expected sequence: ");
+        SERIAL_USB.print((uint8_t)(g_prevSeq + 1), DEC);
+        SERIAL_USB.print(". Got: ");
+        SERIAL_USB.println(g_packetSeq, DEC);
+        g_needsFullFrame = true;
+    }
+    g_hasPrevSeq = true;
+    g_prevSeq = g_packetSeq;
+
+    if (g_packetType == PACKET_TYPE_FULL_FRAME)
+    {
+        memcpy(g_dataBuffer, g_rxBuffer, EXPECTED_BYTES_PER_FRAME);
+        g_needsFullFrame = false;
+        g_isWaitingReported = false;
+        FastLED.show();
+    }
+    else if (g_needsFullFrame)
+    {
+        if (!g_isWaitingReported)
+        {
+            SERIAL_USB.println(" - Skipping delta frames until the next full frame");
+            g_isWaitingReported = true;
+        }
+    }
+    else if (applyDeltaFrame())
+    {
+        FastLED.show();
+    }
+    else
+    {
+        reportInvalidDeltaFrame();
+    }
+}
+
+/**
+ * Advances the packet parser by one byte.
+ */
+void readCheckedByte(uint8_t got)
+{
+    switch (g_parseStep)
+    {
+    case WAIT_SYNC_0:
+        if (got == SYNC_BYTE_0)
+        {
+            g_parseStep = WAIT_SYNC_1;
+        }
+        break;
+    case WAIT_SYNC_1:
+        if (got == SYNC_BYTE_1)
+        {
+            g_crc = 0xFFFF;
+            g_parseStep = READ_TYPE;
+        }
+        else if (got != SYNC_BYTE_0)
+        {
+            g_parseStep = WAIT_SYNC_0;
+        }
+        break;
+    case READ_TYPE:
+        g_packetType = got;
+        g_crc = crc16Update(g_crc, got);
+        g_parseStep = READ_SEQ;
+        break;
+    case READ_SEQ:
+        g_packetSeq = got;
+        g_crc = crc16Update(g_crc, got);
+        g_parseStep = READ_LEN_LO;
+        break;
+    case READ_LEN_LO:
+        g_packetLength = got;
+        g_crc = crc16Update(g_crc, got);
+        g_parseStep = READ_LEN_HI;
+        break;
+    case READ_LEN_HI:
+        g_packetLength |= (uint16_t)got << 8;
+        g_crc = crc16Update(g_crc, got);
+        if (g_packetType != PACKET_TYPE_FULL_FRAME && g_packetType != PACKET_TYPE_DELTA_FRAME)
+        {
+            SERIAL_USB.print(" - Unknown packet type: ");
+            SERIAL_USB.println(g_packetType, DEC);
+            g_parseStep = WAIT_SYNC_0;
+        }
+        else if (g_packetType == PACKET_TYPE_FULL_FRAME && g_packetLength != EXPECTED_BYTES_PER_FRAME)
+        {
+            // We have no room for a payload of a different size, so skip this packet and look for the next one
+            reportFrameSizeMismatch(g_packetLength);
+            g_parseStep = WAIT_SYNC_0;
+        }
+        else if (g_packetType == PACKET_TYPE_DELTA_FRAME && g_packetLength > EXPECTED_BYTES_PER_FRAME)
+        {
+            // The server never sends a delta frame that is larger than a full frame
+            reportInvalidDeltaFrame();
+            g_parseStep = WAIT_SYNC_0;
+        }
+        else if (g_packetLength == 0)
+        {
+            // An empty delta frame: nothing changed, and there's no payload to read
+            g_parseStep = READ_CRC_HI;
+        }
+        else
+        {
+            g_payloadBytesRead = 0;
+            g_parseStep = READ_PAYLOAD;
+        }
+        break;
+    case READ_PAYLOAD:
+        g_rxBuffer[g_payloadBytesRead] = got;
+        g_payloadBytesRead++;
+        g_crc = crc16Update(g_crc, got);
+        if (g_payloadBytesRead == g_packetLength)
+        {
+            g_parseStep = READ_CRC_HI;
+        }
+        break;
+    case READ_CRC_HI:
+        g_receivedCrc = (uint16_t)got << 8;
+        g_parseStep = READ_CRC_LO;
+        break;
+    case READ_CRC_LO:
+        g_receivedCrc |= got;
+        if (g_receivedCrc == g_crc)
+        {
+            handleCheckedPacket();
+        }
+        else
+        {
+            SERIAL_USB.print(" - Frame checksum mismatch. Dropped frame with sequence: ");
+            SERIAL_USB.println(g_packetSeq, DEC);
+        }
+        g_parseStep = WAIT_SYNC_0;
+        break;
+    }
+}
+
+bool isReadingFrame()
+{
+    return g_parseStep != WAIT_SYNC_0;
+}
+#else
+/**
+ * The general protocol implemented below is:
+ * Every "packet" begins with 0xFF and is followed by EXPECTED_BYTES_PER_FRAME bytes that contain LED data
+ * and are not 0xFF. If we get too many or too few LED data bytes in a frame, we complain in a human-readable message.
+ * 
+ * When we get a 0xFF, we set `g_isReadingFrame = true` and reset g_dataBytesRead to 0.
+ * When we get any other byte, we read it into g_dataBuffer as long as g_isReadingFrame is true.
+ * When we get the final byte of a frame while g_isReadingFrame is true, we display the frame and set g_isReadingFrame = false.
+ */
+bool g_isReadingFrame = false;
+int g_dataBytesRead = EXPECTED_BYTES_PER_FRAME; // Start with the state we would get after reading a frame
+
+/**
+ * Advances the legacy frame parser by one byte.
+ */
+void readLegacyByte(int got)
+{
+    if (got == 0xFF)
+    { // Got a frame header byte indicating the remaining bytes should be usable data
+        if (g_isReadingFrame || g_dataBytesRead > EXPECTED_BYTES_PER_FRAME)
+        {
+            // If we were still reading, the message is too short because we expected to see non-start data.
+            // Otherwise, it is too long because we only expect to see a start symbol after reading a complete message.
+            reportFrameSizeMismatch(g_dataBytesRead);
+        }
+
+        // Irrespective of how we got here, getting 0xFF indicates that the next byte(s) should be LED data
+        g_isReadingFrame = true;
+        g_dataBytesRead = 0;
+    }
+    else
+    { // Got a data byte (not 0xFF)
+        if (g_isReadingFrame)
+        {
+            char *rawBuffer = (char *)g_dataBuffer; // byte pointer to the beginning of `g_dataBuffer`
+            // rawBuffer[g_dataBytesRead] = (char)got; // equivalent to below:
+            *(rawBuffer + g_dataBytesRead) = (char)got; // store got at the address `rawBuffer + g_dataBytesRead`
+            g_dataBytesRead++;
+            if (g_dataBytesRead == EXPECTED_BYTES_PER_FRAME)
+            {
+                // We have read sufficient bytes for one frame, so display it and wait for the start of the next one
+                FastLED.show();
+                g_isReadingFrame = false;
             }
         }
+        else
+        { // We expected to see a frame header (0xFF) but we got a data byte. Increment to count how many extra bytes we got
+            g_dataBytesRead++;
+        }
+    }
+}
+
+bool isReadingFrame()
+{
+    return g_isReadingFrame;
+}
+#endif
+
+void loop()
+{
+    if (millis() - g_lastSensorMs >= SENSOR_INTERVAL_MS)
+    {
+        g_lastSensorMs = millis();
+        readSensors();
+    }
+    while (SERIAL_USB.available())
+    {
+        digitalWrite(13, !isReadingFrame());
+        int got = Serial.read();
+#if USE_CHECKED_FRAMING
+        readCheckedByte((uint8_t)got);
+#else
+        readLegacyByte(got);
+#endif
     }
 }
@@ -0,0 +1,79 @@
+// @ts-check
+'use strict';
+
+/**
+ * Correcting colors on their way to the LEDs, so the same animation looks the same on different strips.
+ *
+ * Frames from the browser are linear RGB: a value of 128 is meant to look half as bright as 255.
+ * LEDs don't work that way, and strips from different batches differ in their color order and tint.
+ * Each output runs its part of the frame through these steps, in this order:
+ * 1. `gamma`: value = 255 * (value / 255) ^ gamma. LEDs look too bright at low values without it; 2.2 to 2.8 is typical.
+ * 2. `whitePoint`: scales red, green and blue separately, e.g. `[1, 0.85, 0.7]` to make a bluish strip look warmer.
+ * 3. `brightness`: scales every channel, e.g. `0.5` to never go above half brightness.
+ * 4. `channelOrder`: the order in which each LED's channels are sent, e.g. `'GRB'` sends green, red, blue.
+ * Steps 1 to 3 are combined into one lookup table per channel, so a frame only costs one lookup per byte.
+ */
+
+/**
+ * How an output corrects colors. Leave out any property to keep the default.
+ * @typedef {object} ColorConfig
+ * @property {number} [gamma] - exponent applied to every channel. Defaults to 1, which changes nothing.
+ * @property {string} [channelOrder] - one of `CHANNEL_ORDERS`. Defaults to `'RGB'`.
+ * @property {number[]} [whitePoint] - `[red, green, blue]` scale factors from 0 to 1. Defaults to `[1, 1, 1]`.
+ * @property {number} [brightness] - scale factor from 0 to 1 for every channel. Defaults to 1.
+ */
+
+/** Every order the three channels can be sent in. */
+const CHANNEL_ORDERS = ['RGB', 'RBG', 'GRB', 'GBR', 'BRG', 'BGR'];
+
+/**
+ * Builds the lookup table for one channel.
+ * @param {number} gamma
+ * @param {number} scale - white point times brightness
+ * @returns {Uint8Array}
+ */
+function makeChannelTable(gamma, scale) {
+    const table = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        table[i] = Math.round(255 * Math.pow(i / 255, gamma) * scale);
+    }
+    return table;
+}
+
+/**
+ * Creates a function that corrects the colors of a frame according to `config`.
+ * The function returns a new buffer, or the buffer it was given if `config` doesn't change anything.
+ * @param {ColorConfig} config
+ * @returns {(frame: Buffer) => Buffer}
+ */
+function createColorPipeline(config) {
+    const gamma = config.gamma === undefined ? 1 : config.gamma;
+    const channelOrder = config.channelOrder === undefined ? 'RGB' : config.channelOrder;
+    const whitePoint = config.whitePoint === undefined ? [1, 1, 1] : config.whitePoint;
+    const brightness = config.brightness === undefined ? 1 : config.brightness;
+
+    if (gamma === 1 && channelOrder === 'RGB' && brightness === 1 && whitePoint.every((scale) => scale === 1)) {
+        return (frame) => frame;
+    }
+    const tables = whitePoint.map((scale) => makeChannelTable(gamma, scale * brightness));
+    /** For each output channel, which input channel it comes from. */
+    const sources = Array.from(channelOrder, (channel) => 'RGB'.indexOf(channel));
+
+    return (frame) => {
+        const out = Buffer.alloc(frame.length);
+        // A trailing partial LED (which shouldn't happen) is left black.
+        const end = frame.length - (frame.length % 3);
+        for (let i = 0; i < end; i += 3) {
+            for (let c = 0; c < 3; c++) {
+                const source = sources[c];
+                out[i + c] = tables[source][frame[i + source]];
+            }
+        }
+        return out;
+    };
+}
+
+module.exports = {
+    CHANNEL_ORDERS,
+    createColorPipeline,
+};
@@ -0,0 +1,106 @@
+// @ts-check
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Which of the open browser pages is in control.
+ *
+ * Several pages can be open at once, but only one of them, the "controller", sends frames to the LEDs
+ * and may connect or disconnect devices. The others are "viewers". Each page has an id that it keeps
+ * across reloads, so a controller that reloads gets control back.
+ */
+
+/**
+ * Keeps track of the controller, and of when it left, so a reloading controller can reclaim control.
+ */
+class Control {
+    /**
+     * @param {number} reclaimMs - how long a controller that closed its page has to come back
+     *   before the next page that opens takes control automatically
+     */
+    constructor(reclaimMs) {
+        this.reclaimMs = reclaimMs;
+        /**
+         * The id of the page that is allowed to send frames, or `null` if no page has control yet.
+         * @type {?string}
+         */
+        this.controllerId = null;
+        /**
+         * When the controlling page disconnected, in milliseconds since the epoch, or `null` if it is connected.
+         * @type {?number}
+         */
+        this._controllerLeftMs = null;
+    }
+
+    /**
+     * Gives control to the page with the given id.
+     * @param {string} id
+     * @returns {boolean} `true` if another page had control before
+     */
+    give(id) {
+        const changed = this.controllerId !== id;
+        this.controllerId = id;
+        this._controllerLeftMs = null;
+        return changed;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isController(id) {
+        return id === this.controllerId;
+    }
+
+    /**
+     * @returns {boolean} `true` if a page has control and it is open
+     */
+    isControllerConnected() {
+        return this.controllerId !== null && this._controllerLeftMs === null;
+    }
+
+    /**
+     * Notes that the page with the given id closed.
+     * @param {string} id
+     * @param {number} nowMs
+     */
+    pageClosed(id, nowMs) {
+        if (id === this.controllerId) {
+            this._controllerLeftMs = nowMs;
+        }
+    }
+
+    /**
+     * Returns `true` if the page with the given id, which just connected, should take control automatically:
+     * it is the controller coming back, nobody has control yet, or the controller left more than `reclaimMs` ago.
+     * @param {string} id
+     * @param {number} nowMs
+     * @returns {boolean}
+     */
+    shouldTakeControl(id, nowMs) {
+        return id === this.controllerId
+            || this.controllerId === null
+            || (this._controllerLeftMs !== null && nowMs - this._controllerLeftMs > this.reclaimMs);
+    }
+}
+
+/**
+ * Returns an id for a page that connected.
+ * Uses the id the page asked for unless another open page already uses it
+ * (which happens when a tab is duplicated).
+ * @param {?string} requested - the id the page asked for, if any
+ * @param {Set<string>} openIds - the ids of the other open pages
+ * @returns {string}
+ */
+function pickClientId(requested, openIds) {
+    if (!requested || openIds.has(requested)) {
+        return crypto.randomBytes(8).toString('hex');
+    }
+    return requested;
+}
+
+module.exports = {
+    Control,
+    pickClientId,
+};
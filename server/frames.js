@@ -0,0 +1,192 @@
+// @ts-check
+'use strict';
+
+/**
+ * Getting frames from where they come from to the outputs that show them.
+ *
+ * A frame has 3 bytes (red, green, blue) per LED, for every LED in the installation.
+ * Each output (a microcontroller in `DEVICES` or a pixel controller in `NETWORK_OUTPUTS`) shows a range of those LEDs.
+ * Frames can come from several sources at once (the browser, OPC clients, a show); `SourcePriority` picks whose reach the LEDs.
+ * Serial ports take a while to send each frame; `FramePacer` makes sure they only ever get the newest one.
+ */
+
+/**
+ * A range of LEDs within a frame.
+ * @typedef {object} LedRange
+ * @property {number} ledStart - index of the first LED in the range
+ * @property {number} [ledCount] - number of LEDs in the range. Defaults to the rest of the frame.
+ */
+
+/**
+ * Returns the part of `frame` that covers the LEDs in `range`.
+ * The returned buffer shares memory with `frame`.
+ * @param {Buffer} frame - 3 bytes per LED, for every LED in the installation
+ * @param {LedRange} range
+ * @returns {Buffer}
+ */
+function sliceFrameForRange(frame, range) {
+    const { ledStart, ledCount } = range;
+    const start = ledStart * 3;
+    const end = ledCount === undefined ? frame.length : start + ledCount * 3;
+    return frame.subarray(Math.min(start, frame.length), Math.min(end, frame.length));
+}
+
+/**
+ * Keeps track of when each source last sent a frame, to decide whose frames reach the LEDs.
+ * A source is in control unless a source with a higher priority has sent a frame within the last `idleMs`.
+ */
+class SourcePriority {
+    /**
+     * @param {number} idleMs - how long a source has to stop sending frames before a lower-priority source can take over
+     */
+    constructor(idleMs) {
+        this.idleMs = idleMs;
+        /**
+         * When each source last sent a frame, in milliseconds since the epoch.
+         * @type {Object<string, number>}
+         */
+        this._lastFrameMsBySource = {};
+    }
+
+    /**
+     * Notes that `source` sent a frame, and returns `true` if that frame should reach the LEDs.
+     * @param {string} source
+     * @param {string[]} priority - every source, from highest to lowest priority. Sources that aren't listed come last.
+     * @param {number} nowMs
+     * @returns {boolean}
+     */
+    frameArrived(source, priority, nowMs) {
+        this._lastFrameMsBySource[source] = nowMs;
+        return this.isInControl(source, priority, nowMs);
+    }
+
+    /**
+     * Returns `true` if `source` is allowed to send frames right now, because no source before it in `priority`
+     * has sent a frame within the last `idleMs`.
+     * @param {string} source
+     * @param {string[]} priority - every source, from highest to lowest priority. Sources that aren't listed come last.
+     * @param {number} nowMs
+     * @returns {boolean}
+     */
+    isInControl(source, priority, nowMs) {
+        for (const other of priority) {
+            if (other === source) {
+                return true;
+            }
+            const lastFrameMs = this._lastFrameMsBySource[other];
+            if (lastFrameMs !== undefined && nowMs - lastFrameMs <= this.idleMs) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * Counts of what happened to the frames meant for one output.
+ * @typedef {object} FrameStats
+ * @property {number} sent - frames that were written to the port
+ * @property {number} dropped - frames that were replaced by a newer frame before they could be sent
+ */
+
+/**
+ * Sends frames to a port one at a time, no faster than `getMaxFramesPerSecond` allows.
+ * If frames arrive faster than they can be sent, only the newest one waiting is sent; the others are skipped.
+ */
+class FramePacer {
+    /**
+     * @param {(frame: Buffer, done: () => void) => void} send - writes `frame` to the port,
+     *   and calls `done` once every byte has been sent
+     * @param {() => number} getMaxFramesPerSecond - the most frames to send per second, or 0 for no limit.
+     *   Called for every frame, so the limit can change while the server runs.
+     */
+    constructor(send, getMaxFramesPerSecond) {
+        this._send = send;
+        this._getMaxFramesPerSecond = getMaxFramesPerSecond;
+        /** @type {FrameStats} */
+        this.stats = { sent: 0, dropped: 0 };
+        /**
+         * The newest frame that is waiting to be sent, if any.
+         * @type {?Buffer}
+         */
+        this._pendingFrame = null;
+        /** `true` while a frame is being written to the port. */
+        this._isSending = false;
+        /** When we last started sending a frame, in milliseconds since the epoch. */
+        this._lastSendMs = -Infinity;
+        /**
+         * Set while we wait to respect `getMaxFramesPerSecond`.
+         * @type {?NodeJS.Timeout}
+         */
+        this._timer = null;
+        /** Counts the calls to `reset`, so a frame that finishes sending after one is ignored. */
+        this._resets = 0;
+    }
+
+    /**
+     * Makes `frame` the next frame to send. If an older frame is still waiting, it is skipped.
+     * @param {Buffer} frame
+     */
+    queue(frame) {
+        if (this._pendingFrame !== null) {
+            this.stats.dropped++;
+        }
+        this._pendingFrame = frame;
+        this._sendPendingFrame();
+    }
+
+    /**
+     * Forgets any frame waiting to be sent, e.g. because the port closed.
+     */
+    reset() {
+        this._pendingFrame = null;
+        this._isSending = false;
+        this._resets++;
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Sends the pending frame, unless the port is still busy with the previous frame
+     * or sending now would exceed `getMaxFramesPerSecond`. In those cases, tries again later.
+     */
+    _sendPendingFrame() {
+        if (this._isSending || this._timer !== null || this._pendingFrame === null) {
+            return;
+        }
+        const nowMs = Date.now();
+        const maxFramesPerSecond = this._getMaxFramesPerSecond();
+        if (maxFramesPerSecond > 0) {
+            const waitMs = this._lastSendMs + 1000 / maxFramesPerSecond - nowMs;
+            if (waitMs > 0) {
+                this._timer = setTimeout(() => {
+                    this._timer = null;
+                    this._sendPendingFrame();
+                }, waitMs);
+                return;
+            }
+        }
+        const frame = this._pendingFrame;
+        const resets = this._resets;
+        this._pendingFrame = null;
+        this._isSending = true;
+        this._lastSendMs = nowMs;
+        this._send(frame, () => {
+            if (this._resets !== resets) {
+                // The port closed while we were sending; `reset` already cleaned up.
+                return;
+            }
+            this._isSending = false;
+            this.stats.sent++;
+            this._sendPendingFrame();
+        });
+    }
+}
+
+module.exports = {
+    sliceFrameForRange,
+    SourcePriority,
+    FramePacer,
+};
@@ -0,0 +1,242 @@
+// @ts-check
+'use strict';
+
+/**
+ * Helpers for the "checked" serial framing mode.
+ * This needs to match the parser in `microcontroller/src/src.ino`.
+ *
+ * Every packet looks like this:
+ * ```
+ * Byte:     0     1     2     3     4      5      6 ... 6+length-1   6+length  7+length
+ * Meaning:  0xAA  0x55  type  seq   lenLo  lenHi  payload ...        crcHi     crcLo
+ * ```
+ * - `0xAA 0x55` marks the start of a packet.
+ * - `type` says what the payload contains (see `PACKET_TYPES`).
+ * - `seq` counts up by one for every packet (wrapping from 255 back to 0),
+ *   so the microcontroller can tell when packets went missing.
+ * - `lenLo lenHi` is the number of payload bytes (least significant byte first).
+ * - `crcHi crcLo` is a CRC-16/CCITT-FALSE checksum of every byte from `type` to the end of the payload.
+ *
+ * Since the microcontroller knows how many bytes to expect and can check them,
+ * LED data may use every byte value, including 0xFF.
+ *
+ * The "compressed" framing mode uses the same packets, but most of them are delta frames:
+ * they only describe the LEDs that changed since the previous frame (see `encodeDeltaPayload`).
+ * Every so often, and whenever a delta frame wouldn't be smaller, a full frame is sent instead,
+ * so a microcontroller that missed a packet shows the right colors again soon.
+ */
+
+/** Bytes that mark the start of every packet. */
+const SYNC_BYTES = [0xAA, 0x55];
+/** Number of bytes before the payload: sync (2), type, seq, length (2). */
+const HEADER_SIZE = 6;
+/** Number of bytes after the payload: the checksum. */
+const FOOTER_SIZE = 2;
+
+/** Identifiers for the different kinds of packets. */
+const PACKET_TYPES = {
+    /** The payload contains 3 bytes (R, G, B) for every LED. */
+    FULL_FRAME: 0x01,
+    /** The payload contains spans of LEDs that changed since the previous frame. See `encodeDeltaPayload`. */
+    DELTA_FRAME: 0x02,
+};
+
+/** Identifiers for the spans in a delta frame. */
+const SPAN_TYPES = {
+    /** Followed by 3 bytes (R, G, B) for each LED of the span. */
+    COPY: 0x00,
+    /** Followed by 3 bytes (R, G, B) that every LED of the span is set to. */
+    FILL: 0x01,
+};
+/** Number of bytes before the colors of every span: type, first LED (2), LED count (2). */
+const SPAN_HEADER_SIZE = 5;
+/** Runs of at least this many LEDs of the same color are sent as a `FILL` span. */
+const MIN_FILL_LEDS = 4;
+/** A `COPY` span ends once at least this many LEDs in a row are unchanged, since a new span is cheaper than sending them. */
+const MIN_UNCHANGED_GAP_LEDS = 2;
+
+/**
+ * Computes a CRC-16/CCITT-FALSE checksum (polynomial 0x1021, initial value 0xFFFF).
+ * Pass the result back in as `crc` to continue a checksum over several buffers.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc]
+ * @returns {number}
+ */
+function crc16(bytes, crc = 0xFFFF) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+        }
+        crc &= 0xFFFF;
+    }
+    return crc;
+}
+
+/**
+ * Wraps `payload` in a checked packet.
+ * @param {number} type - one of `PACKET_TYPES`
+ * @param {number} sequence - packet counter; only the lowest 8 bits are sent
+ * @param {Uint8Array} payload
+ * @returns {Buffer}
+ */
+function encodePacket(type, sequence, payload) {
+    if (payload.length > 0xFFFF) {
+        throw new Error(`Packet payload is too long: ${payload.length} bytes. The maximum is ${0xFFFF} bytes.`);
+    }
+    const packet = Buffer.alloc(HEADER_SIZE + payload.length + FOOTER_SIZE);
+    packet[0] = SYNC_BYTES[0];
+    packet[1] = SYNC_BYTES[1];
+    packet[2] = type;
+    packet[3] = sequence & 0xFF;
+    packet.writeUInt16LE(payload.length, 4);
+    packet.set(payload, HEADER_SIZE);
+    const crc = crc16(packet.subarray(2, HEADER_SIZE + payload.length));
+    packet.writeUInt16BE(crc, HEADER_SIZE + payload.length);
+    return packet;
+}
+
+/**
+ * Builds the payload of a delta frame that turns `prev` into `next`.
+ * The payload is a list of spans, each describing LEDs that changed:
+ * ```
+ * Byte:     0     1         2         3         4         5 ...
+ * Meaning:  type  firstLo   firstHi   countLo   countHi   colors
+ * ```
+ * - `type` is one of `SPAN_TYPES`: `COPY` is followed by `count` colors, `FILL` by one color for all of them.
+ * - `first` is the index of the first LED of the span, and `count` the number of LEDs in it.
+ * LEDs outside every span keep the color they had.
+ * Returns `null` if a delta frame wouldn't be smaller than a full frame.
+ * @param {Uint8Array} prev - the frame the microcontroller is showing, 3 bytes per LED
+ * @param {Uint8Array} next - the frame it should show, the same length as `prev`
+ * @returns {?Buffer}
+ */
+function encodeDeltaPayload(prev, next) {
+    const ledCount = Math.floor(next.length / 3);
+    /** @param {number} led */
+    const isUnchanged = (led) => prev[led * 3] === next[led * 3] && prev[led * 3 + 1] === next[led * 3 + 1] && prev[led * 3 + 2] === next[led * 3 + 2];
+    /**
+     * @param {number} a
+     * @param {number} b
+     */
+    const isSameColor = (a, b) => next[a * 3] === next[b * 3] && next[a * 3 + 1] === next[b * 3 + 1] && next[a * 3 + 2] === next[b * 3 + 2];
+    /**
+     * Returns `true` if `count` LEDs starting at `led` all pass `test`.
+     * @param {number} led
+     * @param {number} count
+     * @param {(led: number) => boolean} test
+     */
+    const isRun = (led, count, test) => {
+        if (led + count > ledCount) {
+            return false;
+        }
+        for (let i = led; i < led + count; i++) {
+            if (!test(i)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /** @type {Buffer[]} */
+    const spans = [];
+    let size = 0;
+    /**
+     * @param {number} type
+     * @param {number} first
+     * @param {number} count
+     * @param {Uint8Array} colors
+     */
+    const addSpan = (type, first, count, colors) => {
+        const span = Buffer.alloc(SPAN_HEADER_SIZE + colors.length);
+        span[0] = type;
+        span.writeUInt16LE(first, 1);
+        span.writeUInt16LE(count, 3);
+        span.set(colors, SPAN_HEADER_SIZE);
+        spans.push(span);
+        size += span.length;
+    };
+
+    let led = 0;
+    while (led < ledCount && size < next.length) {
+        if (isUnchanged(led)) {
+            led++;
+            continue;
+        }
+        const first = led;
+        if (isRun(first, MIN_FILL_LEDS, (i) => isSameColor(i, first))) {
+            let end = first + MIN_FILL_LEDS;
+            while (end < ledCount && isSameColor(end, first)) {
+                end++;
+            }
+            addSpan(SPAN_TYPES.FILL, first, end - first, next.subarray(first * 3, first * 3 + 3));
+            led = end;
+            continue;
+        }
+        let end = first + 1;
+        while (end < ledCount
+            && !isRun(end, MIN_UNCHANGED_GAP_LEDS, isUnchanged)
+            && !isRun(end, MIN_FILL_LEDS, (i) => isSameColor(i, end))) {
+            end++;
+        }
+        addSpan(SPAN_TYPES.COPY, first, end - first, next.subarray(first * 3, end * 3));
+        led = end;
+    }
+    if (size >= next.length) {
+        return null;
+    }
+    return Buffer.concat(spans, size);
+}
+
+/**
+ * Applies a delta frame payload to `frame`, the way the microcontroller does.
+ * Returns `false` (and leaves `frame` unchanged) if the payload is malformed or describes LEDs that `frame` doesn't have.
+ * @param {Uint8Array} frame - changed in place, 3 bytes per LED
+ * @param {Uint8Array} payload
+ * @returns {boolean}
+ */
+function applyDeltaPayload(frame, payload) {
+    const ledCount = Math.floor(frame.length / 3);
+    const view = Buffer.from(payload.buffer, payload.byteOffset, payload.length);
+    // Check everything before changing anything, so a bad payload never shows up half-applied.
+    for (const pass of ['check', 'apply']) {
+        let offset = 0;
+        while (offset < view.length) {
+            if (offset + SPAN_HEADER_SIZE > view.length) {
+                return false;
+            }
+            const type = view[offset];
+            const first = view.readUInt16LE(offset + 1);
+            const count = view.readUInt16LE(offset + 3);
+            const colorsSize = type === SPAN_TYPES.COPY ? count * 3 : 3;
+            const colorsStart = offset + SPAN_HEADER_SIZE;
+            if ((type !== SPAN_TYPES.COPY && type !== SPAN_TYPES.FILL)
+                || first + count > ledCount || colorsStart + colorsSize > view.length) {
+                return false;
+            }
+            if (pass === 'apply') {
+                if (type === SPAN_TYPES.COPY) {
+                    view.copy(frame, first * 3, colorsStart, colorsStart + colorsSize);
+                } else {
+                    for (let i = first; i < first + count; i++) {
+                        frame.set(view.subarray(colorsStart, colorsStart + 3), i * 3);
+                    }
+                }
+            }
+            offset = colorsStart + colorsSize;
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    SYNC_BYTES,
+    HEADER_SIZE,
+    FOOTER_SIZE,
+    PACKET_TYPES,
+    SPAN_TYPES,
+    crc16,
+    encodePacket,
+    encodeDeltaPayload,
+    applyDeltaPayload,
+};
@@ -2078,6 +2078,210 @@ Space.autoResize = (ctx) => {
     }
 }
 
+/**
+ * Lets MIDI controllers drive the sliders, checkboxes and buttons of every `UserInterface`, using Web MIDI.
+ *
+ * Controls are bound to MIDI messages with "MIDI learn": turn on learn mode, click a control,
+ * then move a knob or press a key. From then on:
+ * - control change (CC) messages move bound sliders across their range, and turn bound checkboxes on (64 and up) or off.
+ * - notes (and CCs going from below 64 to 64 and up, like pads that send CCs) press bound buttons and toggle bound checkboxes.
+ *
+ * Controls are told apart by their kind and label, so two sliders with the same label share a binding.
+ * Bindings are saved in the browser (see `State.MIDI_KEY`) and survive reloads.
+ */
+class MidiInput {
+    /**
+     * What each control is bound to, by control id (e.g. `'slider:Rx'`).
+     * @type {Object<string, {type: 'cc'|'note', channel: number, number: number}>}
+     */
+    bindings = {};
+    /**
+     * Whether we asked the browser for MIDI access:
+     * `'off'` until MIDI is turned on, then `'starting'`, `'ready'`, `'unsupported'` or `'denied'`.
+     * @type {'off'|'starting'|'ready'|'unsupported'|'denied'}
+     */
+    status = 'off';
+    /**
+     * Names of the MIDI inputs we listen to.
+     * @type {string[]}
+     */
+    inputNames = [];
+    /** In learn mode, clicking a control picks it instead of using it. */
+    isLearning = false;
+    /**
+     * The control the next MIDI message gets bound to, in learn mode.
+     * @type {?string}
+     */
+    learnTarget = null;
+    /**
+     * CC values (from 0 to 1) that arrived since the last frame, by message key (e.g. `'cc:1:7'`).
+     * @private
+     * @type {Map<string, number>}
+     */
+    __ccValues = new Map();
+    /**
+     * Messages that arrived since the last frame and press buttons, by message key.
+     * @private
+     * @type {Set<string>}
+     */
+    __triggers = new Set();
+    /**
+     * The latest value of every CC, so a pad only presses a button once per press.
+     * @private
+     * @type {Map<string, number>}
+     */
+    __lastCcValues = new Map();
+
+    constructor() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(State.MIDI_KEY) || 'null');
+            if (stored !== null) {
+                this.bindings = stored.bindings || {};
+                if (stored.isEnabled) {
+                    this.start();
+                }
+            }
+        } catch (error) {
+            localStorage.removeItem(State.MIDI_KEY);
+        }
+    }
+
+    /**
+     * Asks the browser for MIDI access and listens to every MIDI input, including ones plugged in later.
+     * The browser might ask for permission the first time.
+     */
+    start() {
+        if (this.status === 'starting' || this.status === 'ready') {
+            return;
+        }
+        if (!navigator.requestMIDIAccess) {
+            this.status = 'unsupported';
+            return;
+        }
+        this.status = 'starting';
+        navigator.requestMIDIAccess().then((access) => {
+            this.status = 'ready';
+            this.save();
+            const listen = () => {
+                this.inputNames = [];
+                access.inputs.forEach((input) => {
+                    input.onmidimessage = (evt) => this.receive(evt.data);
+                    this.inputNames.push(input.name);
+                });
+            };
+            access.onstatechange = listen;
+            listen();
+        }, (error) => {
+            console.warn('[MIDI] Unable to use MIDI.', error);
+            this.status = 'denied';
+        });
+    }
+
+    /**
+     * Handles one MIDI message.
+     * @param {Uint8Array} data
+     */
+    receive(data) {
+        const kind = data[0] & 0xF0;
+        const channel = (data[0] & 0x0F) + 1;
+        /** @type {{type: 'cc'|'note', channel: number, number: number}} */
+        let message;
+        if (kind === 0xB0 && data.length >= 3) {
+            message = { type: 'cc', channel, number: data[1] };
+            const key = MidiInput.keyFor(message);
+            const prev = this.__lastCcValues.get(key);
+            this.__lastCcValues.set(key, data[2]);
+            this.__ccValues.set(key, data[2] / 127);
+            if (data[2] >= 64 && (prev === undefined || prev < 64)) {
+                this.__triggers.add(key);
+            }
+        } else if (kind === 0x90 && data.length >= 3 && data[2] > 0) {
+            message = { type: 'note', channel, number: data[1] };
+            this.__triggers.add(MidiInput.keyFor(message));
+        } else {
+            // Note off, pitch bend, clock, ...
+            return;
+        }
+        if (this.isLearning && this.learnTarget !== null) {
+            this.bindings[this.learnTarget] = message;
+            console.log('[MIDI]', `Bound ${this.learnTarget} to ${MidiInput.describe(message)}`);
+            this.learnTarget = null;
+            this.save();
+        }
+    }
+
+    /**
+     * Makes `id` the control the next MIDI message gets bound to.
+     * @param {string} id
+     */
+    pick(id) {
+        this.learnTarget = id;
+    }
+
+    /**
+     * The value (from 0 to 1) of the CC bound to `id`, if one arrived since the last frame.
+     * @param {string} id
+     * @returns {?number}
+     */
+    valueFor(id) {
+        const binding = this.bindings[id];
+        if (binding === undefined || binding.type !== 'cc') {
+            return null;
+        }
+        const value = this.__ccValues.get(MidiInput.keyFor(binding));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Whether the note or CC bound to `id` was pressed since the last frame.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    wasTriggered(id) {
+        const binding = this.bindings[id];
+        return binding !== undefined && this.__triggers.has(MidiInput.keyFor(binding));
+    }
+
+    /**
+     * Removes the binding of `id`.
+     * @param {string} id
+     */
+    unbind(id) {
+        delete this.bindings[id];
+        this.save();
+    }
+
+    /**
+     * Saves the bindings, and whether MIDI is on, in the browser.
+     */
+    save() {
+        localStorage.setItem(State.MIDI_KEY, JSON.stringify({
+            isEnabled: this.status === 'ready',
+            bindings: this.bindings,
+        }));
+    }
+
+    /**
+     * Must be called once at the end of every frame.
+     */
+    onFrameEnd() {
+        this.__ccValues.clear();
+        this.__triggers.clear();
+    }
+}
+/**
+ * Identifies a kind of MIDI message, e.g. `'cc:1:7'` for CC 7 on channel 1.
+ * @param {{type: 'cc'|'note', channel: number, number: number}} message
+ * @returns {string}
+ */
+MidiInput.keyFor = (message) => `${message.type}:${message.channel}:${message.number}`;
+/**
+ * Describes a MIDI message for people, e.g. `'CC 7 (channel 1)'`.
+ * @param {{type: 'cc'|'note', channel: number, number: number}} message
+ * @returns {string}
+ */
+MidiInput.describe = (message) => `${message.type === 'cc' ? 'CC' : 'Note'} ${message.number} (channel ${message.channel})`;
+
 class UserInterface {
     COLOR_IDLE = 'black'
     COLOR_HOVERED = 'green'
@@ -2091,6 +2295,12 @@ class UserInterface {
      * @type {Vector3} */
     __tempV3 = Vector3.zero();
 
+    /**
+     * How many `withoutMidi` calls are drawing right now. MIDI only drives controls while there are none.
+     * @private
+     */
+    __midiOptOuts = 0;
+
     /**
      * @param {Space} space
      */
@@ -2098,6 +2308,92 @@ class UserInterface {
         this.space = space;
     }
 
+    /**
+     * The MIDI input that drives this UI's controls, or `null` if there is none or it's turned off.
+     * @private
+     * @returns {?MidiInput}
+     */
+    __midi() {
+        return this.__midiOptOuts === 0 ? UserInterface.midi : null;
+    }
+
+    /**
+     * Calls `draw`, and keeps MIDI (see `UserInterface.midi`) from driving the controls it draws with this UI
+     * or picking them for MIDI learn. Use it around controls that shouldn't be bound, like the ones that manage MIDI itself.
+     * MIDI works again afterwards, even if `draw` throws.
+     * @param {() => void} draw
+     */
+    withoutMidi(draw) {
+        this.__midiOptOuts++;
+        try {
+            draw();
+        } finally {
+            this.__midiOptOuts--;
+        }
+    }
+
+    /**
+     * The MIDI input, if it's in learn mode.
+     * @private
+     * @returns {?MidiInput}
+     */
+    __learningMidi() {
+        const midi = this.__midi();
+        return midi !== null && midi.isLearning ? midi : null;
+    }
+
+    /**
+     * Decides whether the button `id` was pressed this frame: by a click, or by the MIDI message bound to it.
+     * In MIDI learn mode, a click picks the button instead of pressing it.
+     * @private
+     * @param {string} id
+     * @param {boolean} wasClicked
+     * @returns {boolean}
+     */
+    __takeClick(id, wasClicked) {
+        const learningMidi = this.__learningMidi();
+        if (wasClicked && learningMidi !== null) {
+            learningMidi.pick(id);
+            return false;
+        }
+        return wasClicked || this.__wasMidiTriggered(id);
+    }
+
+    /**
+     * Whether the MIDI message bound to control `id` pressed it since the last frame.
+     * @private
+     * @param {string} id
+     * @returns {boolean}
+     */
+    __wasMidiTriggered(id) {
+        const midi = this.__midi();
+        return midi !== null && midi.wasTriggered(id);
+    }
+
+    /**
+     * In MIDI learn mode, outlines the control `id`: orange if it's picked, cyan if it's bound, gray otherwise.
+     * @private
+     * @param {string} id
+     * @param {number} x Left coordinate of the control
+     * @param {number} y Bottom coordinate of the control
+     * @param {number} width Width of the control
+     * @param {number} height Height of the control
+     */
+    __drawMidiOutline(id, x, y, width, height) {
+        const midi = this.__learningMidi();
+        if (midi === null) {
+            return;
+        }
+        let stroke = 'gray';
+        if (midi.learnTarget === id) {
+            stroke = 'orange';
+        } else if (midi.bindings[id] !== undefined) {
+            stroke = 'cyan';
+        }
+        this.__tempV3.setValues(x - 0.5, y - 0.5, 0);
+        this.space.rectXY(this.__tempV3, width + 1, height + 1, { stroke, thickness: 1 });
+    }
+
     /**
      * @returns {number} The top of this UI space (y coordinate)
      */
@@ -2186,23 +2482,61 @@ class UserInterface {
         const fontSize = this.UI_TEXT_SIZE;
         const space = this.space;
 
-        const labelDims = space.measureText(label, fontSize);
-        const padding = labelDims[1] * 0.3;
-        const width = labelDims[0] + padding * 2;
-        const height = labelDims[1] + padding * 2;
+        const [width, height, padding] = this.measureButton(label);
 
+        const id = `button:${label}`;
         const isHovered = this.isHoveringRect(x, y, width, height);
-        const wentDown = isHovered && space.wasMouseButtonClicked(0);
+        const wentDown = this.__takeClick(id, isHovered && space.wasMouseButtonClicked(0));
 
         this.rect(x, y, width, height,
             { fill: isHovered ? this.COLOR_HOVERED : this.COLOR_IDLE });
         space.text(label, fontSize, [x + padding, y + padding, 0], {
             fill: isHovered ? this.COLOR_TEXT_HOVERED : this.COLOR_TEXT_IDLE
         });
+        this.__drawMidiOutline(id, x, y, width, height);
 
         return wentDown;
     }
 
+    /**
+     * Measures the button `button(label, x, y)` would draw.
+     * @param {string} label Text to display on the button
+     * @returns {[number, number, number]} The width, height, and padding around the text of the button in UI space
+     */
+    measureButton(label) {
+        const labelDims = this.space.measureText(label, this.UI_TEXT_SIZE);
+        const padding = labelDims[1] * 0.3;
+        return [labelDims[0] + padding * 2, labelDims[1] + padding * 2, padding];
+    }
+
+    /**
+     * Draws interactive buttons side by side, starting at `x`.
+     * @param {string[]} labels Text to display on each button
+     * @param {number} x Left coordinate of the first button in UI space
+     * @param {number} y Bottom coordinate of the buttons in UI space
+     * @returns {number} The index of the button that was clicked this frame, or -1 if none was
+     */
+    buttonRow(labels, x, y) {
+        let clicked = -1;
+        labels.forEach((label, i) => {
+            const [width, , padding] = this.measureButton(label);
+            if (this.button(label, x, y)) {
+                clicked = i;
+            }
+            x += width + padding;
+        });
+        return clicked;
+    }
+
+    /**
+     * Measures the text `label(text, x, y)` would draw.
+     * @param {string} text Text of the label
+     * @returns {number} The width of the label in UI space
+     */
+    measureLabel(text) {
+        return this.space.measureText(text, this.UI_TEXT_SIZE)[0];
+    }
+
     /** 
      * Draws an interactive circular button.
      * @param {string} label Text to display on the button
@@ -2220,13 +2554,15 @@ class UserInterface {
         const height = labelDims[1];
         const radius = width * 0.5 + padding;
 
+        const id = `button:${label}`;
         const isHovered = this.isHoveringCircle(x, y, radius);
-        const wentDown = isHovered && space.wasMouseButtonClicked(0);
+        const wentDown = this.__takeClick(id, isHovered && space.wasMouseButtonClicked(0));
 
         space.sphere([x, y, 0], radius, { fill: isHovered ? this.COLOR_HOVERED : this.COLOR_IDLE })
         space.text(label, fontSize, [x - width * 0.5, y - height * 0.5, 0], {
             fill: isHovered ? this.COLOR_TEXT_HOVERED : this.COLOR_TEXT_IDLE
         });
+        this.__drawMidiOutline(id, x - radius, y - radius, radius * 2, radius * 2);
 
         return wentDown;
     }
@@ -2248,8 +2584,9 @@ class UserInterface {
         const width = labelDims[0] + padding * 2;
         const height = labelDims[1] + padding * 2;
 
+        const id = `button:${label}`;
         const isHovered = this.isHoveringRect(x, y, width, height);
-        const wentDown = isHovered && space.wasMouseButtonClicked(0);
+        const wentDown = this.__takeClick(id, isHovered && space.wasMouseButtonClicked(0));
 
         let fill;
         if (isHovered) {
@@ -2262,6 +2599,7 @@ class UserInterface {
         this.rect(x, y, width, height, { fill });
         space.text(label, fontSize, [x + padding, y + padding, 0],
             { fill: isHovered || isActive ? this.COLOR_TEXT_HOVERED : this.COLOR_TEXT_IDLE });
+        this.__drawMidiOutline(id, x, y, width, height);
 
         return wentDown;
     }
@@ -2291,6 +2629,7 @@ class UserInterface {
     /**
      * Draws an interactive slider that has a `lo`, `hi`, and `curr` value.
      * Returns the slider's new value, or `curr` if it didn't change.
+     * A MIDI knob bound to the slider moves it from `lo` to `hi`.
      * The value will always be clamped to be between `lo` and `hi`.
      * @param {string} name - Name of the slider
      * @param {number} x - Left coordinate of the slider
@@ -2310,17 +2649,29 @@ class UserInterface {
 
         const sliderX = x + 2 + labelDims[0];
 
+        const id = `slider:${name}`;
+        const learningMidi = this.__learningMidi();
         const mouse = space.getMousePositionUnclamped(0, this.__tempV3);
         let newValue = curr;
         let fill = this.COLOR_ACTIVE;
         if (this.isPointInRect(mouse, sliderX, y, width, height)) {
-            if (space.isMouseButtonHeld(0)) {
+            if (learningMidi !== null) {
+                if (space.wasMouseButtonClicked(0)) {
+                    learningMidi.pick(id);
+                }
+            } else if (space.isMouseButtonHeld(0)) {
                 newValue = linMap(sliderX, sliderX + width, lo, hi, mouse[0]);
             }
             fill = this.COLOR_HOVERED;
         }
+        const midi = this.__midi();
+        const midiValue = midi === null ? null : midi.valueFor(id);
+        if (midiValue !== null) {
+            newValue = lerp(lo, hi, midiValue);
+        }
         this.rect(x + 2 + labelDims[0], y, width, height, { fill: this.COLOR_IDLE });
         this.rect(x + 2 + labelDims[0], y, ilerp(lo, hi, curr) * width, height, { fill });
+        this.__drawMidiOutline(id, x, y, sliderX + width - x, Math.max(height, labelDims[1]));
 
         newValue = clamp(lo, hi, newValue);
         space.text(`${newValue.toFixed(2)}`, fontSize, [x + 4 + labelDims[0] + width, y, 0], { fill: this.COLOR_TEXT_IDLE });
@@ -2331,6 +2682,7 @@ class UserInterface {
      * Draws an interactive checkbox.
      * Clicking on the checkbox returns the opposite value of `state`.
      * Otherwise, returns `state`.
+     * A MIDI knob bound to the checkbox turns it on in its upper half, and a bound key or pad toggles it.
      * @param {string} name - Name of the Checkbox
      * @param {number} x - Left coordinate of the Checkbox
      * @param {number} y - Bottom coordinate of the Checkbox
@@ -2345,14 +2697,28 @@ class UserInterface {
         const height = 3;
         let fill = state ? this.COLOR_ACTIVE : this.COLOR_IDLE;
         let newState = state;
+        const id = `checkbox:${name}`;
         const checkboxX = x + 2 + labelDims[0];
         if (this.isHoveringRect(checkboxX, y, height, height)) {
             fill = this.COLOR_HOVERED;
             if (space.wasMouseButtonClicked(0)) {
-                newState = !state;
+                const learningMidi = this.__learningMidi();
+                if (learningMidi !== null) {
+                    learningMidi.pick(id);
+                } else {
+                    newState = !state;
+                }
             }
         }
+        const midi = this.__midi();
+        const midiValue = midi === null ? null : midi.valueFor(id);
+        if (midiValue !== null) {
+            newState = midiValue >= 0.5;
+        } else if (this.__wasMidiTriggered(id)) {
+            newState = !newState;
+        }
         this.rect(checkboxX, y, height, height, { fill });
+        this.__drawMidiOutline(id, x, y, checkboxX + height - x, Math.max(height, labelDims[1]));
         return newState;
     }
 
@@ -2364,6 +2730,11 @@ class UserInterface {
         this.space.updateViewMatrix();
     }
 }
+/**
+ * The MIDI input that drives the controls of every `UserInterface`. Set when the main loop starts.
+ * @type {?MidiInput}
+ */
+UserInterface.midi = null;
 
 /**
  * A class that represents a view on the screen with a specific location
@@ -2579,8 +2950,176 @@ class State {
      * @property {string} [pnpId] - Example: `'USB\\VID_2341&PID_0043\\752303138333518011C1'`. Plug and Play ID. Windows only?
      */
 
-    /** @type {DeviceState} */
-    deviceState = { status: 'Scanning', found: [] };
+    /**
+     * The most recent state reported by the server for each microcontroller, keyed by device name.
+     * @type {Object<string, DeviceState>}
+     */
+    deviceStates = {};
+
+    /**
+     * Where the frames that reach the LEDs currently come from (e.g. `'browser'` or `'opc'`, or `'watchdog'` when
+     * the server sends its own because frames stopped), or `null` if no frames have been sent yet.
+     * @type {?string}
+     */
+    inputSource = null;
+
+    /**
+     * How many frames per second the server sent to each microcontroller, and how many it skipped
+     * because newer frames arrived before the older ones could be sent. Keyed by device name.
+     * @type {Object<string, {sent: number, dropped: number, sentPerSecond: number, droppedPerSecond: number}>}
+     */
+    frameStats = {};
+
+    /**
+     * The current the server estimates the LEDs draw for the latest frame, in milliamps:
+     * for each power supply (and how much its LEDs were dimmed to stay within budget), and for each device.
+     * @type {{supplies: {name: string, milliamps: number, maxMilliamps: number, scale: number}[], devices: Object<string, number>}}
+     */
+    power = { supplies: [], devices: {} };
+
+    /**
+     * Readings from sensors wired to the microcontrollers, smoothed over `sensorSmoothingMs`, by sensor name.
+     * A sensor shows up here once the microcontroller reports it with `reportSensor` (see `src.ino`).
+     * Read them in `loop()` as `$sensors.<name>`.
+     * @type {Object<string, number>}
+     */
+    sensors = {};
+
+    /**
+     * The latest reading of each sensor, without smoothing, by sensor name.
+     * @type {Object<string, number>}
+     */
+    rawSensors = {};
+
+    /**
+     * How smoothly `sensors` follows new readings: roughly how many milliseconds it takes
+     * to move two thirds of the way to a new reading. Use 0 to turn smoothing off.
+     */
+    sensorSmoothingMs = 150;
+
+    /**
+     * The latest OSC message the server relayed, when it arrived (from `performance.now()`),
+     * and whether `receiveOsc` understood it. Shown in the GUI for `State.OSC_DISPLAY_MS`.
+     * @type {?{address: string, args: any[], ms: number, isHandled: boolean}}
+     */
+    lastOsc = null;
+
+    /**
+     * MIDI controllers, and which sliders, checkboxes and buttons they drive.
+     * Turn MIDI on and bind controls in the GUI.
+     */
+    midi = new MidiInput();
+
+    /**
+     * While paused, time stands still in `loop()`: `elapsedMs` stops and `dtMs` is 0.
+     * Scripts pause and resume through the server's "remote" websocket.
+     */
+    isPaused = false;
+    /**
+     * When the loop was paused, from `performance.now()`.
+     * @private
+     */
+    __pausedAtMs = 0;
+    /**
+     * How long the loop has been paused in total, in milliseconds.
+     * Left out of `elapsedMs`, so animations continue where they left off.
+     */
+    pausedTotalMs = 0;
+
+    /**
+     * Recent warnings printed by the microcontrollers (e.g. "Frame too short"),
+     * keyed by device name and event kind so repeats of the same warning are counted instead of listed.
+     * - `name`: the device that printed the warning
+     * - `text`: the most recent line printed for this kind of warning
+     * - `count`: how many times it was printed since it first appeared
+     * - `lastMs`: when it was last printed, from `performance.now()`
+     * @type {Map<string, {name: string, text: string, count: number, lastMs: number}>}
+     */
+    deviceWarnings = new Map();
+
+    /**
+     * Whether each microcontroller has reported "LEDs registered" since it last connected, keyed by device name.
+     * @type {Object<string, boolean>}
+     */
+    deviceReady = {};
+
+    /**
+     * The port remembered for each microcontroller (see `REMEMBERED_PORTS_PATH` in server.js), keyed by device name.
+     * @type {Object<string, ?{vendorId?: string, productId?: string, serialNumber?: string}>}
+     */
+    deviceRemembered = {};
+
+    /**
+     * Whether each microcontroller is simulated by the server, keyed by device name. Simulated devices have no port to pick.
+     * @type {Object<string, boolean>}
+     */
+    deviceIsVirtual = {};
+
+    /**
+     * Every serial port the server found, whether or not a device is connected to it.
+     * @type {PortInfo[]}
+     */
+    availablePorts = [];
+
+    /**
+     * The name of the device whose port picker is open in the status UI, or `null` if it is closed.
+     * @type {?string}
+     */
+    portPickerDevice = null;
+
+    /**
+     * Which kind of mapping ('persp', 'flat' or 'curve') has its file picker open in the status UI, or `null` if none.
+     * @type {?string}
+     */
+    mappingPickerKind = null;
+
+    /**
+     * Called when the server pushes new points for a mapping. Set by `Mappings`.
+     * @type {?(name: string, points: Vector3[]) => void}
+     */
+    onMappingPushed = null;
+
+    /**
+     * Called when a mapping file in 'server/front/mappings' changed on disk. Set by `Mappings`.
+     * @type {?(name: string) => void}
+     */
+    onMappingFileChanged = null;
+
+    /**
+     * Called when 'server/front/schedule.json' changed on disk. Set by `Schedule`.
+     * @type {?() => void}
+     */
+    onScheduleFileChanged = null;
+
+    /**
+     * Follows 'server/front/schedule.json'. Set when the main loop starts.
+     * @type {?Schedule}
+     */
+    schedule = null;
+
+    /**
+     * Keeps the loop running when an animation or `loop` throws. Set when the main loop starts.
+     * @type {?AnimationGuard}
+     */
+    animationGuard = null;
+
+    /**
+     * Whether this page controls the LEDs. Several pages can be open at once, but only the controller
+     * sends frames; the others ("viewers") show the frames the LEDs are showing.
+     * - `clientId`: identifies this page to the server
+     * - `controllerId`: identifies the page that is in control
+     * - `isController`: is this page in control?
+     * - `isControllerConnected`: is the page that is in control still open?
+     * - `clientCount`: how many pages are open
+     * @type {{clientId: ?string, controllerId: ?string, isController: boolean, isControllerConnected: boolean, clientCount: number}}
+     */
+    control = { clientId: null, controllerId: null, isController: false, isControllerConnected: false, clientCount: 0 };
+
+    /**
+     * While this page is a viewer, the most recent frame the LEDs are showing, or `null` if none has arrived.
+     * @type {?Uint8ClampedArray}
+     */
+    liveFrame = null;
 
     /**
      * Creates a new `State` object. 
@@ -2595,28 +3134,124 @@ class State {
         this.reset();
         this.tryRestoreFromSave();
 
+        // Keep the same id across reloads of this tab, so the server lets us keep control.
+        const clientId = sessionStorage.getItem(State.CLIENT_ID_KEY) || Math.random().toString(16).slice(2);
+        sessionStorage.setItem(State.CLIENT_ID_KEY, clientId);
+
+        /**
+         * The secret the server gives this page on the data websocket. The server only carries out device commands
+         * from the page in control, so we send it on the status websocket to tell the server who we are there too.
+         * @type {?string}
+         */
+        let statusKey = null;
+        const identify = () => {
+            if (statusKey !== null && this.statusWs.readyState === WebSocket.OPEN) {
+                this.statusWs.send(JSON.stringify({ type: 'identify', statusKey }));
+            }
+        };
         this.statusWs = new WebSocket(`ws://${window.location.host}/status`);
         this.statusWs.onopen = (evt) => {
             console.log('[Status] Opened websocket for getting device status messages.');
+            identify();
         };
         this.statusWs.onmessage = (evt) => {
             try {
-                this.deviceState = JSON.parse(evt.data);
-                console.log('[Status]', this.deviceState);
+                const message = JSON.parse(evt.data);
+                if (message.type === 'device') {
+                    this.deviceStates[message.name] = message.state;
+                    this.deviceRemembered[message.name] = message.remembered;
+                    this.deviceIsVirtual[message.name] = message.isVirtual;
+                    if (message.state.status !== 'Connected') {
+                        this.deviceReady[message.name] = false;
+                    }
+                } else if (message.type === 'deviceRemoved') {
+                    delete this.deviceStates[message.name];
+                    if (this.portPickerDevice === message.name) {
+                        this.portPickerDevice = null;
+                    }
+                } else if (message.type === 'telemetry') {
+                    this.receiveTelemetry(message.name, message.event);
+                } else if (message.type === 'ports') {
+                    this.availablePorts = message.ports;
+                } else if (message.type === 'deviceCommandError') {
+                    this.receiveTelemetry(message.name, { kind: 'command', level: 'warning', text: message.message });
+                } else if (message.type === 'input') {
+                    this.inputSource = message.source;
+                } else if (message.type === 'mapping') {
+                    console.log('[Status]', `Got ${message.points.length} new points for ${message.name}`);
+                    if (this.onMappingPushed) {
+                        this.onMappingPushed(message.name, message.points);
+                    }
+                    // The points would flood the console.
+                    return;
+                } else if (message.type === 'sensors') {
+                    Object.assign(this.rawSensors, message.values);
+                    // These arrive many times per second; don't flood the console with them.
+                    return;
+                } else if (message.type === 'osc') {
+                    const isHandled = this.receiveOsc(message.address, message.args);
+                    this.lastOsc = { address: message.address, args: message.args, ms: performance.now(), isHandled };
+                    // Faders send these many times per second; don't flood the console with them.
+                    return;
+                } else if (message.type === 'power') {
+                    this.power = { supplies: message.supplies, devices: message.devices };
+                    // These arrive every second; don't flood the console with them.
+                    return;
+                } else if (message.type === 'frameStats') {
+                    this.frameStats = message.devices;
+                    // These arrive every second; don't flood the console with them.
+                    return;
+                }
+                console.log('[Status]', message);
             } catch (e) {
                 console.error('Unable to parse status message', e);
             }
         };
 
-        this.dataWs = new WebSocket(`ws://${window.location.host}/data`);
+        this.dataWs = new WebSocket(`ws://${window.location.host}/data?client=${encodeURIComponent(clientId)}`);
+        this.dataWs.binaryType = 'arraybuffer';
         this.dataWs.onopen = (evt) => {
             console.log('[Data] Opened websocket for forwarding messages to microcontroller.');
         };
+        this.dataWs.onmessage = (evt) => {
+            if (evt.data instanceof ArrayBuffer) {
+                // A frame the LEDs are showing. We only get these while we're a viewer.
+                this.liveFrame = new Uint8ClampedArray(evt.data);
+                return;
+            }
+            try {
+                const message = JSON.parse(evt.data);
+                if (message.type === 'statusKey') {
+                    statusKey = message.statusKey;
+                    identify();
+                    // Keep the key out of the console.
+                    return;
+                } else if (message.type === 'control') {
+                    this.control = message;
+                    sessionStorage.setItem(State.CLIENT_ID_KEY, message.clientId);
+                    if (message.isController) {
+                        this.liveFrame = null;
+                    }
+                    console.log('[Data]', message);
+                } else if (message.type === 'remote') {
+                    /** @type {{type: 'remoteReply', requestId: number, ok: boolean, result?: any, error?: string}} */
+                    let reply;
+                    try {
+                        reply = { type: 'remoteReply', requestId: message.requestId, ok: true, result: this.handleRemoteCommand(message) };
+                    } catch (e) {
+                        reply = { type: 'remoteReply', requestId: message.requestId, ok: false, error: e.message };
+                    }
+                    this.dataWs.send(JSON.stringify(reply));
+                }
+            } catch (e) {
+                console.error('Unable to parse data message', e);
+            }
+        };
         this.dataWs.onclose = (evt) => {
             console.warn(`
             [Data] Closed websocket. Will no longer send actuator data to server.
             
-            You likely stopped the server or opened a new browser tab (only one can send data at a time).
+            You likely stopped the server.
             If you didn't expect this, make sure the server is running and refresh the page.
             `);
         };
@@ -2662,37 +3297,1256 @@ class State {
     /**
      * Send the passed data to the server, which will pass it
      * on to the microcontroller if there is a connected microcontroller.
+     * Does nothing unless this page is in control (see `control`).
      * 
      * @param {Uint8ClampedArray} data
      */
     trySendToMicrocontroller(data) {
-        if (this.dataWs.readyState === WebSocket.OPEN) {
+        if (this.control.isController && this.dataWs.readyState === WebSocket.OPEN) {
             this.dataWs.send(data);
         }
     }
-}
-State.STORAGE_KEY = 'InstallationState';
 
+    /**
+     * Ask the server to make this page the one that controls the LEDs.
+     * Whichever page was in control before becomes a viewer.
+     */
+    takeControl() {
+        if (this.dataWs.readyState === WebSocket.OPEN) {
+            this.dataWs.send(JSON.stringify({ type: 'takeControl' }));
+        }
+    }
 
-/**
- * Start the main animation loop
- * @param {number} msPerFrame 
- * @param {State} state 
- */
-function beginMainLoop(msPerFrame, state) {
-    const mappings = new Mappings(state);
-    /** @type {HTMLCanvasElement} */
-    const canvas = (/** @type {HTMLCanvasElement} */document.getElementById('visualization'));
-    /** @type {CanvasRenderingContext2D} */
-    const ctx = canvas.getContext('2d');
-    Space.autoResize(ctx);
-    const spaces = new Spaces(ctx);
-    let lastMsTs = performance.now();
+    /**
+     * Asks the server to manage the microcontroller called `name`.
+     * - `'connect'`: connect to the port at `path`, or without `path`, scan for the usual port again
+     * - `'disconnect'`: disconnect and stop scanning until the next `'connect'`
+     * - `'remember'`: prefer the port at `path` (or the connected port) from now on, even after restarting the server
+     * - `'forget'`: stop preferring the remembered port
+     * @param {'connect'|'disconnect'|'remember'|'forget'} type
+     * @param {string} name
+     * @param {string} [path]
+     */
+    sendDeviceCommand(type, name, path) {
+        if (this.statusWs.readyState === WebSocket.OPEN) {
+            this.statusWs.send(JSON.stringify({ type, name, path }));
+        }
+    }
 
     /**
-     * Main animation loop
-     * @param {number} elapsedMs Number of milliseconds that elapsed since the beginning.
-     * @param {number} dtMs Number of milliseconds that elapsed since the last call.
+     * Moves every value in `sensors` towards its latest reading. Called once per frame, before `loop()`.
+     * @param {number} dtMs - milliseconds since the previous frame
+     */
+    updateSensors(dtMs) {
+        const amount = this.sensorSmoothingMs > 0 ? 1 - Math.exp(-dtMs / this.sensorSmoothingMs) : 1;
+        for (const name in this.rawSensors) {
+            const raw = this.rawSensors[name];
+            const prev = this.sensors[name];
+            this.sensors[name] = prev === undefined ? raw : prev + (raw - prev) * amount;
+        }
+    }
+
+    /**
+     * Finds a value in `saved` by its keys, e.g. `['rotation', 'xVal']` for `saved.rotation.xVal`.
+     * Returns the object that holds the value and the value's key in it, or `null` if there is no such value.
+     * @param {string[]} keys
+     * @returns {?{target: any, key: string}}
+     */
+    findSavedValue(keys) {
+        /**
+         * @param {any} obj
+         * @param {string} key
+         */
+        const has = (obj, key) => typeof obj === 'object' && obj !== null && Object.prototype.hasOwnProperty.call(obj, key);
+        /** @type {any} */
+        let target = this.saved;
+        for (const key of keys.slice(0, -1)) {
+            target = has(target, key) ? target[key] : undefined;
+        }
+        const key = keys[keys.length - 1];
+        return key !== undefined && has(target, key) ? { target, key } : null;
+    }
+
+    /**
+     * Stops time in `loop()` until `resume()` is called.
+     */
+    pause() {
+        if (!this.isPaused) {
+            this.isPaused = true;
+            this.__pausedAtMs = performance.now();
+        }
+    }
+
+    /**
+     * Lets time run in `loop()` again, from where it stopped.
+     */
+    resume() {
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.pausedTotalMs += performance.now() - this.__pausedAtMs;
+        }
+    }
+
+    /**
+     * The time `loop()` gets as `elapsedMs`: `nowMs` without the time spent paused.
+     * @param {number} nowMs - from `performance.now()`
+     * @returns {number}
+     */
+    loopTimeMs(nowMs) {
+        return (this.isPaused ? this.__pausedAtMs : nowMs) - this.pausedTotalMs;
+    }
+
+    /**
+     * Carries out a command that a script sent to the server's "remote" websocket, and returns its result.
+     * Throws an `Error` that explains what's wrong if the command can't be carried out.
+     * See `server/remote.js` for the commands.
+     * @param {{command: string, path?: string, value?: any, animation?: number}} command
+     * @returns {any}
+     */
+    handleRemoteCommand(command) {
+        /** @type {any} */
+        const saved = this.saved;
+        /** @returns {{target: any, key: string}} */
+        const findPath = () => {
+            const found = typeof command.path === 'string' ? this.findSavedValue(command.path.split('.')) : null;
+            if (found === null) {
+                throw new Error(`$state.saved has no value at ${JSON.stringify(command.path)}. Use a path like "rotation.xVal".`);
+            }
+            return found;
+        };
+        switch (command.command) {
+            case 'get': {
+                if (command.path === undefined || command.path === '') {
+                    return saved;
+                }
+                const { target, key } = findPath();
+                return target[key];
+            }
+            case 'set': {
+                const { target, key } = findPath();
+                if (command.value === undefined) {
+                    throw new Error('Send the new value as "value".');
+                }
+                // Like `receiveOsc`, refuse values that would make `loop()` throw, e.g. a number where an object was.
+                /** @param {any} value */
+                const kindOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+                const prevKind = kindOf(target[key]);
+                if (prevKind !== 'null' && kindOf(command.value) !== prevKind) {
+                    throw new Error(`$state.saved.${command.path} is ${prevKind === 'array' || prevKind === 'object' ? 'an' : 'a'} ${prevKind}, `
+                        + `so it can't be set to ${JSON.stringify(command.value)}.`);
+                }
+                target[key] = command.value;
+                return target[key];
+            }
+            case 'selectAnimation':
+                if (!Number.isInteger(command.animation)) {
+                    throw new Error('Send the animation as a whole number, like "animation": 2.');
+                }
+                if (!State.isAnimationIndex(command.animation)) {
+                    // Otherwise `runAnimations` would draw nothing, and the bad index would stick around in `saved`.
+                    throw new Error(`There is no animation ${command.animation}. `
+                        + `Pick one from 0 to ${ANIMATIONS.length - 1}: ${ANIMATIONS.map((animation) => animation.name).join(', ')}.`);
+                }
+                saved.animState = command.animation;
+                return saved.animState;
+            case 'reset':
+                this.reset();
+                return this.saved;
+            case 'pause':
+                this.pause();
+                return { isPaused: this.isPaused };
+            case 'resume':
+                this.resume();
+                return { isPaused: this.isPaused };
+            case 'snapshot':
+                return { ledCount: Math.floor(this.ledData.length / 3), ledData: Array.from(this.ledData) };
+            default:
+                throw new Error(`Unknown command ${JSON.stringify(command.command)}.`);
+        }
+    }
+
+    /**
+     * Handles an OSC message relayed by the server (see `server/osc.js`):
+     * - `/saved/<path>`: sets the value at `<path>` in `saved` to the first argument, e.g. `/saved/rotation/xVal 0.5`.
+     *   Only values that already exist can be set. Booleans stay booleans, so a toggle sending 1 and 0 switches a checkbox.
+     * - `/anim/select <number>`: switches `saved.animState`. The number has to be the index of one of the `ANIMATIONS`.
+     * @param {string} address
+     * @param {any[]} args
+     * @returns {boolean} `false` if the message wasn't understood
+     */
+    receiveOsc(address, args) {
+        /** @type {any} */
+        const saved = this.saved;
+        const value = args[0];
+        if (address === '/anim/select') {
+            if (!State.isAnimationIndex(value)) {
+                return false;
+            }
+            saved.animState = value;
+            return true;
+        }
+        if (!address.startsWith('/saved/')) {
+            return false;
+        }
+        const found = this.findSavedValue(address.slice('/saved/'.length).split('/'));
+        if (found === null || value === undefined) {
+            return false;
+        }
+        const { target, key } = found;
+        const prev = target[key];
+        if (typeof prev === 'boolean') {
+            target[key] = typeof value === 'string' ? value === 'true' : !!value;
+        } else if (typeof prev === 'number') {
+            if (typeof value !== 'number') {
+                return false;
+            }
+            target[key] = value;
+        } else if (typeof prev === 'string' || prev === null) {
+            target[key] = value;
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Handles a line printed by a microcontroller, as parsed by the server (see `server/telemetry.js`).
+     * @param {string} name - the device that printed the line
+     * @param {{kind: string, level: 'info'|'warning', text: string}} event
+     */
+    receiveTelemetry(name, event) {
+        if (event.kind === 'ledsRegistered') {
+            this.deviceReady[name] = true;
+        }
+        if (event.level !== 'warning') {
+            return;
+        }
+        const key = `${name}:${event.kind}`;
+        const now = performance.now();
+        const prev = this.deviceWarnings.get(key);
+        const isRecent = prev && now - prev.lastMs < State.DEVICE_WARNING_DURATION_MS;
+        this.deviceWarnings.set(key, {
+            name,
+            text: event.text,
+            count: isRecent ? prev.count + 1 : 1,
+            lastMs: now,
+        });
+    }
+}
+State.STORAGE_KEY = 'InstallationState';
+State.CLIENT_ID_KEY = 'InstallationClientId';
+/** Where `MidiInput` keeps its bindings. */
+State.MIDI_KEY = 'InstallationMidi';
+/** How long a device warning stays in the status panel after it was last printed. */
+State.DEVICE_WARNING_DURATION_MS = 10000;
+/** How long (in milliseconds) the GUI shows the latest OSC message. */
+State.OSC_DISPLAY_MS = 3000;
+
+/**
+ * Whether `index` picks one of the `ANIMATIONS`, so `saved.animState` can be set to it.
+ * @param {number} index
+ * @returns {boolean}
+ */
+State.isAnimationIndex = (index) => Number.isInteger(index) && index >= 0 && index < ANIMATIONS.length;
+
+
+/**
+ * One animation that `loop()` can switch between. See `ANIMATIONS`.
+ * @typedef {object} Animation
+ * @property {string} name - shown on its button in the GUI, and used in `schedule.json`
+ * @property {(elapsedMs: number, dtMs: number, spaces: Spaces, mappings: Mappings) => void} run - draws one frame into `$state.ledData`
+ */
+
+/**
+ * Follows `schedule.json` (in the same folder as this file), so the installation can run for weeks without anyone clicking.
+ * The file lists playlists of animations, with parameter presets and durations, that play during time windows,
+ * and blackout periods when the LEDs stay dark. See `schedule.example.json` and the README for the format.
+ *
+ * - Time windows have `days` (like `["mon", "tue"]`), `from` and `to` (like `"09:00"`, in local time). Leave any of them out
+ *   to mean every day, or the whole day. A window whose `to` is earlier than its `from` ends the next day.
+ * - The first playlist whose window contains the current time plays. Its entries play in order and start over after the last one.
+ *   Where a playlist is in its list only depends on the clock, so every page (and every reload) agrees.
+ * - When an entry starts, its `preset` is merged into `$state.saved` and its animation starts, crossfading from the previous one.
+ *   Changes made in between (e.g. with the GUI) stay until the next entry starts.
+ * - During a blackout, the LEDs fade to black, whatever the playlists say.
+ */
+class Schedule {
+    /**
+     * The schedule as read from `schedule.json`, or `null` if there is none.
+     * @type {?{crossfadeSeconds?: number, preset?: object, playlists: ScheduleWindow[], blackouts?: ScheduleWindow[]}}
+     */
+    file = null;
+    /**
+     * What's wrong with `schedule.json`, or `null` if nothing is. While something is, the previous schedule stays in use.
+     * @type {?string}
+     */
+    problem = null;
+    /**
+     * What's wrong with the entry that should be playing (e.g. an animation that isn't in `ANIMATIONS`), or `null` if nothing is.
+     * @type {?string}
+     */
+    entryProblem = null;
+    /** Whether the visualizer follows the schedule. Turn it off in the GUI to take over by hand; the choice is saved in the browser. */
+    isFollowing = true;
+    /**
+     * What the schedule says should be happening now, or `null` when not following it.
+     * @type {?ScheduleSegment}
+     */
+    current = null;
+    /**
+     * What comes after `current`, or `null` if nothing changes for `Schedule.LOOKAHEAD_MS`.
+     * @type {?ScheduleSegment}
+     */
+    next = null;
+    /**
+     * How dark the blackout makes the LEDs, from 0 (not at all) to 1 (black).
+     */
+    blackoutLevel = 0;
+    /**
+     * The crossfade in progress: which animation we fade from, and when the fade started (from `performance.now()`).
+     * @type {?{from: number, startMs: number, durationMs: number}}
+     */
+    fade = null;
+    /**
+     * The LEDs of the animation we fade from.
+     * @private
+     */
+    __fadeLedData = new Uint8ClampedArray(0);
+    /**
+     * When `update` last ran, from `performance.now()`.
+     * @private
+     */
+    __lastUpdateMs = performance.now();
+
+    /** @param {State} state */
+    constructor(state) {
+        this.state = state;
+        this.isFollowing = localStorage.getItem(Schedule.FOLLOWING_KEY) !== 'false';
+        state.onScheduleFileChanged = () => this.load();
+        this.load();
+    }
+
+    /**
+     * Reads `schedule.json` again. Until it has been read, and if it has a mistake, the previous schedule stays in use,
+     * so a typo while editing the file doesn't stop the installation.
+     * @returns {Promise<void>}
+     */
+    load() {
+        return fetch('schedule.json', { cache: 'no-store' }).then((response) => {
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Unable to load schedule.json: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        }).then((file) => {
+            const problem = file === null ? null : Schedule.findProblem(file);
+            this.problem = problem;
+            if (problem !== null) {
+                console.log('[Schedule]', problem, this.file === null ? '' : '(still following the previous version)');
+                return;
+            }
+            this.file = file;
+            this.current = null;
+            if (file !== null) {
+                console.log('[Schedule]', 'Loaded schedule.json');
+            }
+        }).catch((e) => {
+            this.problem = `schedule.json: ${e.message}`;
+            console.error('[Schedule]', e);
+        });
+    }
+
+    /**
+     * Starts or stops following the schedule.
+     * @param {boolean} isFollowing
+     */
+    setFollowing(isFollowing) {
+        this.isFollowing = isFollowing;
+        localStorage.setItem(Schedule.FOLLOWING_KEY, String(isFollowing));
+        this.current = null;
+    }
+
+    /**
+     * Works out what the schedule says should be happening now, and starts the next entry when its time has come.
+     * Call it once per frame, before running the animations.
+     * @param {Animation[]} animations
+     */
+    update(animations) {
+        const frameMs = performance.now();
+        const dtMs = frameMs - this.__lastUpdateMs;
+        this.__lastUpdateMs = frameMs;
+
+        if (!this.isFollowing || this.file === null) {
+            this.current = null;
+            this.next = null;
+            this.fade = null;
+            this.blackoutLevel = 0;
+            return;
+        }
+        const nowMs = Date.now();
+        if (this.current === null || nowMs >= this.current.endMs) {
+            const prev = this.current;
+            this.current = this.segmentAt(nowMs);
+            this.next = this.current.endMs < nowMs + Schedule.LOOKAHEAD_MS ? this.segmentAt(this.current.endMs) : null;
+            if (this.current.entry && (prev === null || prev.key !== this.current.key)) {
+                this.startEntry(this.current.entry, animations, prev !== null);
+            }
+        }
+
+        const isBlackout = this.current.blackout !== undefined;
+        const fadeSeconds = this.fadeSecondsFor(isBlackout ? this.current.blackout : null);
+        const step = fadeSeconds > 0 ? dtMs / (fadeSeconds * 1000) : 1;
+        this.blackoutLevel = isBlackout ? Math.min(this.blackoutLevel + step, 1) : Math.max(this.blackoutLevel - step, 0);
+    }
+
+    /**
+     * Applies the preset of `entry` and switches to its animation.
+     * @param {ScheduleEntry} entry
+     * @param {Animation[]} animations
+     * @param {boolean} shouldFade - whether to crossfade from the animation that ran before
+     */
+    startEntry(entry, animations, shouldFade) {
+        /** @type {any} */
+        const saved = this.state.saved;
+        const index = animations.findIndex((animation) => animation.name === entry.animation);
+        if (index < 0) {
+            this.entryProblem = `schedule.json: there is no animation named '${entry.animation}'. Use one of: ${animations.map((a) => a.name).join(', ')}.`;
+            return;
+        }
+        this.entryProblem = null;
+        Schedule.mergePreset(saved, this.file.preset || {}, 'preset');
+        Schedule.mergePreset(saved, entry.preset || {}, `preset of ${entry.animation}`);
+        const fadeSeconds = this.fadeSecondsFor(entry);
+        if (shouldFade && fadeSeconds > 0 && saved.animState !== index && animations[saved.animState]) {
+            this.fade = { from: saved.animState, startMs: performance.now(), durationMs: fadeSeconds * 1000 };
+        }
+        saved.animState = index;
+        console.log('[Schedule]', `Playing ${entry.animation}`);
+    }
+
+    /**
+     * How long fading into `item` (an entry or blackout) takes, in seconds.
+     * @param {?{crossfadeSeconds?: number}} item
+     * @returns {number}
+     */
+    fadeSecondsFor(item) {
+        if (item && item.crossfadeSeconds !== undefined) {
+            return item.crossfadeSeconds;
+        }
+        return this.file && this.file.crossfadeSeconds !== undefined ? this.file.crossfadeSeconds : 0;
+    }
+
+    /**
+     * Runs the animation `$saved.animState` picks, crossfading from the previous one while the schedule switches between them.
+     * @param {Animation[]} animations
+     * @param {number} elapsedMs
+     * @param {number} dtMs
+     * @param {Spaces} spaces
+     * @param {Mappings} mappings
+     */
+    runAnimations(animations, elapsedMs, dtMs, spaces, mappings) {
+        const state = this.state;
+        const animation = animations[state.saved['animState']];
+        const fade = this.fade;
+        const progress = fade === null ? 1 : (performance.now() - fade.startMs) / fade.durationMs;
+        if (fade === null || progress >= 1 || !animations[fade.from]) {
+            this.fade = null;
+            if (animation) {
+                state.animationGuard.run(animation, animations, elapsedMs, dtMs, spaces, mappings);
+            }
+            return;
+        }
+        // Run the previous animation into its own LEDs, then mix them with the LEDs of the current one.
+        const ledData = state.ledData;
+        if (this.__fadeLedData.length !== ledData.length) {
+            this.__fadeLedData = new Uint8ClampedArray(ledData.length);
+        }
+        this.__fadeLedData.fill(0);
+        state.ledData = this.__fadeLedData;
+        try {
+            state.animationGuard.run(animations[fade.from], animations, elapsedMs, dtMs, spaces, mappings);
+        } finally {
+            state.ledData = ledData;
+        }
+        if (animation) {
+            state.animationGuard.run(animation, animations, elapsedMs, dtMs, spaces, mappings);
+        }
+        for (let i = 0; i < ledData.length; i++) {
+            ledData[i] = lerp(this.__fadeLedData[i], ledData[i], progress);
+        }
+    }
+
+    /**
+     * Darkens `ledData` as much as the current blackout says.
+     * @param {Uint8ClampedArray} ledData
+     */
+    applyBlackout(ledData) {
+        if (this.blackoutLevel <= 0) {
+            return;
+        }
+        const scale = 1 - this.blackoutLevel;
+        for (let i = 0; i < ledData.length; i++) {
+            ledData[i] *= scale;
+        }
+    }
+
+    /**
+     * Works out what the schedule says for the time `ms` (milliseconds since the epoch), and until when.
+     * @param {number} ms
+     * @returns {ScheduleSegment}
+     */
+    segmentAt(ms) {
+        const file = this.file;
+        const active = this.activeAt(ms);
+        /** @type {ScheduleSegment} */
+        let segment;
+        if (active.blackout !== undefined) {
+            segment = { key: active.key, blackout: file.blackouts[active.blackout], endMs: Infinity };
+        } else if (active.playlist !== undefined) {
+            const playlist = file.playlists[active.playlist];
+            const durations = playlist.entries.map((entry) => entry.seconds * 1000);
+            const totalMs = durations.reduce((a, b) => a + b, 0);
+            const sinceStartMs = ms - active.startMs;
+            const cycle = Math.floor(sinceStartMs / totalMs);
+            let entryStartMs = active.startMs + cycle * totalMs;
+            let i = 0;
+            while (entryStartMs + durations[i] <= ms) {
+                entryStartMs += durations[i];
+                i++;
+            }
+            segment = {
+                key: `${active.key}:${cycle}:${i}`,
+                playlist,
+                entry: playlist.entries[i],
+                endMs: entryStartMs + durations[i],
+            };
+        } else {
+            segment = { key: active.key, endMs: Infinity };
+        }
+        // A blackout or another playlist might start before this segment would end.
+        // Windows start and end on whole minutes, so checking every minute is enough.
+        const limitMs = Math.min(segment.endMs, ms + Schedule.LOOKAHEAD_MS);
+        for (let t = (Math.floor(ms / 60000) + 1) * 60000; t < limitMs; t += 60000) {
+            if (this.activeAt(t).key !== active.key) {
+                segment.endMs = t;
+                return segment;
+            }
+        }
+        segment.endMs = limitMs;
+        return segment;
+    }
+
+    /**
+     * Finds the blackout or playlist that's active at the time `ms`, and when its window started.
+     * @param {number} ms
+     * @returns {{key: string, blackout?: number, playlist?: number, startMs?: number}}
+     */
+    activeAt(ms) {
+        const file = this.file;
+        const blackouts = file.blackouts || [];
+        for (let i = 0; i < blackouts.length; i++) {
+            const startMs = Schedule.windowStartAt(blackouts[i], ms);
+            if (startMs !== null) {
+                return { key: `blackout:${i}:${startMs}`, blackout: i, startMs };
+            }
+        }
+        for (let i = 0; i < file.playlists.length; i++) {
+            const startMs = Schedule.windowStartAt(file.playlists[i], ms);
+            if (startMs !== null) {
+                return { key: `playlist:${i}:${startMs}`, playlist: i, startMs };
+            }
+        }
+        return { key: 'idle' };
+    }
+
+    /**
+     * Describes `segment` for the GUI, e.g. `'Daytime: Anim2'`.
+     * @param {ScheduleSegment} segment
+     * @returns {string}
+     */
+    describe(segment) {
+        if (segment.blackout) {
+            return `blackout${segment.blackout.name ? ` (${segment.blackout.name})` : ''}`;
+        }
+        if (segment.entry) {
+            return `${segment.playlist.name ? `${segment.playlist.name}: ` : ''}${segment.entry.animation}`;
+        }
+        return 'nothing scheduled';
+    }
+
+    /**
+     * Draws what the schedule is doing and what comes next, with a button to stop or start following it,
+     * and any mistake in `schedule.json`.
+     * @param {UserInterface} ui
+     * @param {number} uiY - where to draw the first row
+     * @returns {number} where to draw whatever comes next
+     */
+    drawStatus(ui, uiY) {
+        for (const problem of [this.problem, this.entryProblem]) {
+            if (problem !== null) {
+                ui.label(problem, 2, uiY, { fill: 'orange' });
+                uiY += 5;
+            }
+        }
+        if (this.file !== null) {
+            let scheduleText = 'Schedule: not following';
+            if (this.isFollowing && this.current !== null) {
+                const current = this.current;
+                scheduleText = `Schedule: ${this.describe(current)}`;
+                if (this.next !== null) {
+                    scheduleText += ` for ${Schedule.formatDuration(current.endMs - Date.now())}, then ${this.describe(this.next)}`;
+                }
+            }
+            ui.label(scheduleText, 2, uiY);
+            if (ui.button(this.isFollowing ? 'Stop' : 'Follow', 4 + ui.measureLabel(scheduleText), uiY)) {
+                this.setFollowing(!this.isFollowing);
+            }
+            uiY += 5;
+        }
+        return uiY;
+    }
+}
+/** Where we remember whether the visualizer follows the schedule. */
+Schedule.FOLLOWING_KEY = 'InstallationScheduleFollowing';
+/** How far ahead (in milliseconds) the schedule looks for what comes next. */
+Schedule.LOOKAHEAD_MS = 2 * 24 * 60 * 60 * 1000;
+/** Day names as used in `days`, in the order of `Date.getDay()`. */
+Schedule.DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * A time window, and what happens during it.
+ * @typedef {object} ScheduleWindow
+ * @property {string} [name]
+ * @property {string[]} [days] - e.g. `["sat", "sun"]`. Every day if left out.
+ * @property {string} [from] - e.g. `"09:00"`. Midnight if left out.
+ * @property {string} [to] - e.g. `"18:30"`. Midnight if left out.
+ * @property {ScheduleEntry[]} [entries] - for playlists: what plays, in order
+ * @property {number} [crossfadeSeconds] - for blackouts: how long fading to black takes
+ */
+/**
+ * One entry of a playlist.
+ * @typedef {object} ScheduleEntry
+ * @property {string} animation - the `name` of one of the `ANIMATIONS`
+ * @property {number} seconds - how long it plays
+ * @property {object} [preset] - values to merge into `$state.saved` when it starts, e.g. `{ "rotation": { "z": true } }`
+ * @property {number} [crossfadeSeconds] - how long fading in from the previous animation takes
+ */
+/**
+ * What the schedule says for a stretch of time.
+ * @typedef {object} ScheduleSegment
+ * @property {string} key - changes whenever something else should happen
+ * @property {number} endMs - when this segment ends, in milliseconds since the epoch
+ * @property {ScheduleWindow} [blackout] - the blackout, during a blackout
+ * @property {ScheduleWindow} [playlist] - the playlist, while one plays
+ * @property {ScheduleEntry} [entry] - the entry of the playlist, while one plays
+ */
+
+/**
+ * Parses a time of day like `"09:30"` into minutes since midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+Schedule.parseTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Returns when the occurrence of `timeWindow` that contains the time `ms` started, or `null` if it doesn't contain `ms`.
+ * A window without `days`, `from` and `to` always contains `ms`, and started at the epoch.
+ * @param {ScheduleWindow} timeWindow
+ * @param {number} ms
+ * @returns {?number}
+ */
+Schedule.windowStartAt = (timeWindow, ms) => {
+    if (timeWindow.days === undefined && timeWindow.from === undefined && timeWindow.to === undefined) {
+        return 0;
+    }
+    const date = new Date(ms);
+    const minute = (ms - new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()) / 60000;
+    const from = timeWindow.from === undefined ? 0 : Schedule.parseTime(timeWindow.from);
+    const to = timeWindow.to === undefined ? 24 * 60 : Schedule.parseTime(timeWindow.to);
+    /**
+     * When the window starts on the day `daysAgo` days before `date`, or `null` if it doesn't start that day.
+     * @param {number} daysAgo
+     * @returns {?number}
+     */
+    const startOn = (daysAgo) => {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysAgo);
+        if (timeWindow.days !== undefined && !timeWindow.days.includes(Schedule.DAYS[day.getDay()])) {
+            return null;
+        }
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, from).getTime();
+    };
+    if (from < to) {
+        return minute >= from && minute < to ? startOn(0) : null;
+    }
+    // The timeWindow ends the next day.
+    if (minute >= from) {
+        return startOn(0);
+    }
+    return minute < to ? startOn(1) : null;
+};
+
+/**
+ * Copies the values of `preset` into `target`, going into nested objects.
+ * Values that `target` doesn't have are skipped with a warning, since they're probably typos.
+ * @param {any} target
+ * @param {any} preset
+ * @param {string} name - where the preset comes from, for the warning
+ */
+Schedule.mergePreset = (target, preset, name) => {
+    for (const key in preset) {
+        const value = preset[key];
+        if (!Object.prototype.hasOwnProperty.call(target, key)) {
+            console.warn('[Schedule]', `The ${name} sets '${key}', which isn't in $state.saved.`);
+        } else if (typeof value === 'object' && value !== null && !Array.isArray(value)
+            && typeof target[key] === 'object' && target[key] !== null) {
+            Schedule.mergePreset(target[key], value, name);
+        } else {
+            target[key] = JSON.parse(JSON.stringify(value));
+        }
+    }
+};
+
+/**
+ * Checks that `file` has the shape of a schedule and returns a description of the first problem, or `null` if there is none.
+ * @param {any} file
+ * @returns {?string}
+ */
+Schedule.findProblem = (file) => {
+    /** @param {any} value */
+    const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+    /** @param {any} value */
+    const isSeconds = (value) => typeof value === 'number' && value >= 0;
+    /**
+     * @param {any} timeWindow
+     * @param {string} name
+     * @returns {?string}
+     */
+    const findWindowProblem = (timeWindow, name) => {
+        if (!isObject(timeWindow)) {
+            return `${name} must be an object.`;
+        }
+        if (timeWindow.days !== undefined && !(Array.isArray(timeWindow.days) && timeWindow.days.every((day) => Schedule.DAYS.includes(day)))) {
+            return `${name}.days must be an array of days like ["mon", "tue"]. Use ${Schedule.DAYS.join(', ')}.`;
+        }
+        for (const key of ['from', 'to']) {
+            if (timeWindow[key] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/.test(timeWindow[key])) {
+                return `${name}.${key} must be a time like "09:30", but it is ${JSON.stringify(timeWindow[key])}.`;
+            }
+        }
+        if (timeWindow.crossfadeSeconds !== undefined && !isSeconds(timeWindow.crossfadeSeconds)) {
+            return `${name}.crossfadeSeconds must be a number of at least 0.`;
+        }
+        return null;
+    };
+
+    if (!isObject(file)) {
+        return 'schedule.json must contain a JSON object like { "playlists": [...] }.';
+    }
+    if (file.crossfadeSeconds !== undefined && !isSeconds(file.crossfadeSeconds)) {
+        return 'schedule.json: crossfadeSeconds must be a number of at least 0.';
+    }
+    if (file.preset !== undefined && !isObject(file.preset)) {
+        return 'schedule.json: preset must be an object.';
+    }
+    if (!Array.isArray(file.playlists)) {
+        return 'schedule.json: playlists must be an array.';
+    }
+    for (let i = 0; i < file.playlists.length; i++) {
+        const name = `playlists[${i}]`;
+        const playlist = file.playlists[i];
+        const problem = findWindowProblem(playlist, name);
+        if (problem !== null) {
+            return `schedule.json: ${problem}`;
+        }
+        if (!Array.isArray(playlist.entries) || playlist.entries.length === 0) {
+            return `schedule.json: ${name}.entries must be an array with at least one entry.`;
+        }
+        for (let j = 0; j < playlist.entries.length; j++) {
+            const entry = playlist.entries[j];
+            const entryName = `${name}.entries[${j}]`;
+            if (!isObject(entry) || typeof entry.animation !== 'string') {
+                return `schedule.json: ${entryName} must be an object like { "animation": "Anim1", "seconds": 60 }.`;
+            }
+            if (typeof entry.seconds !== 'number' || !(entry.seconds > 0)) {
+                return `schedule.json: ${entryName}.seconds must be a positive number.`;
+            }
+            if (entry.crossfadeSeconds !== undefined && !isSeconds(entry.crossfadeSeconds)) {
+                return `schedule.json: ${entryName}.crossfadeSeconds must be a number of at least 0.`;
+            }
+            if (entry.preset !== undefined && !isObject(entry.preset)) {
+                return `schedule.json: ${entryName}.preset must be an object.`;
+            }
+        }
+    }
+    if (file.blackouts !== undefined) {
+        if (!Array.isArray(file.blackouts)) {
+            return 'schedule.json: blackouts must be an array.';
+        }
+        for (let i = 0; i < file.blackouts.length; i++) {
+            const problem = findWindowProblem(file.blackouts[i], `blackouts[${i}]`);
+            if (problem !== null) {
+                return `schedule.json: ${problem}`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Formats a duration like `'1:02:03'` or `'2:03'`.
+ * @param {number} ms
+ * @returns {string}
+ */
+Schedule.formatDuration = (ms) => {
+    const seconds = Math.max(Math.ceil(ms / 1000), 0);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Runs animations so that one that throws doesn't stop the show, since we edit them while the piece is running.
+ * When an animation throws, the LEDs show the animation that last ran without throwing instead,
+ * or `AnimationGuard.safePattern` if there is none. The failing animation is tried again every `AnimationGuard.RETRY_MS`,
+ * and takes over again as soon as it runs without throwing.
+ * The error and its stack appear in a panel in the GUI view, which doesn't block the controls under it.
+ */
+class AnimationGuard {
+    /**
+     * The latest error, or `null` if there is none (or it was dismissed).
+     * `source` is the name of the animation that threw, or `'loop()'` for the rest of `loop`.
+     * @type {?{source: string, message: string, stack: string[], count: number, fallback: string}}
+     */
+    error = null;
+    /**
+     * The name of the animation that last ran without throwing, or `null` if none has yet.
+     * @type {?string}
+     */
+    lastGoodName = null;
+    /**
+     * When each animation that threw last threw, from `performance.now()`. Keyed by name.
+     * @private
+     * @type {Map<string, number>}
+     */
+    __failedAtMs = new Map();
+
+    /** @param {State} state */
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Runs `animation`. If it throws (or threw less than `AnimationGuard.RETRY_MS` ago),
+     * runs the animation of `animations` that last worked instead, or else the safe pattern.
+     * @param {Animation} animation
+     * @param {Animation[]} animations
+     * @param {number} elapsedMs
+     * @param {number} dtMs
+     * @param {Spaces} spaces
+     * @param {Mappings} mappings
+     */
+    run(animation, animations, elapsedMs, dtMs, spaces, mappings) {
+        const failedAtMs = this.__failedAtMs.get(animation.name);
+        if (failedAtMs === undefined || performance.now() - failedAtMs >= AnimationGuard.RETRY_MS) {
+            if (this.__tryRun(animation, elapsedMs, dtMs, spaces, mappings)) {
+                return;
+            }
+        }
+        const fallback = animations.find((a) => a.name === this.lastGoodName);
+        if (fallback && fallback !== animation && !this.__failedAtMs.has(fallback.name)) {
+            // Don't leave half a frame of the failed animation on the LEDs.
+            this.state.ledData.fill(0);
+            this.__setFallback(`showing ${fallback.name} instead`);
+            if (this.__tryRun(fallback, elapsedMs, dtMs, spaces, mappings)) {
+                return;
+            }
+        }
+        this.runSafePattern(elapsedMs);
+    }
+
+    /**
+     * Shows `AnimationGuard.safePattern` on the LEDs instead of whatever threw.
+     * @param {number} elapsedMs
+     */
+    runSafePattern(elapsedMs) {
+        this.state.ledData.fill(0);
+        this.__setFallback('showing a safe pattern instead');
+        AnimationGuard.safePattern(this.state.ledData, elapsedMs);
+    }
+
+    /**
+     * Records `err`, thrown by `source`, and logs it unless it's the same error as last time.
+     * @param {any} err
+     * @param {string} source
+     */
+    report(err, source) {
+        const message = err instanceof Error ? `${err.name}: ${err.message}` : String(err);
+        if (this.error !== null && this.error.source === source && this.error.message === message) {
+            this.error.count++;
+            return;
+        }
+        console.error(`[AnimationGuard] ${source} threw:`, err);
+        const stack = err instanceof Error && err.stack ? err.stack.split('\n') : [];
+        this.error = {
+            source,
+            message,
+            // Chrome repeats the message on the first line; the URLs are all the same.
+            stack: stack.filter((line) => line.trim() !== '' && !line.startsWith(message))
+                .map((line) => line.trim().replace(`${location.origin}/`, '')),
+            count: 1,
+            fallback: '',
+        };
+    }
+
+    /**
+     * Takes down the error panel if the error came from `source`, since it has run without throwing.
+     * @param {string} source
+     */
+    clear(source) {
+        if (this.error !== null && this.error.source === source) {
+            console.log(`[AnimationGuard] ${source} runs without errors again`);
+            this.error = null;
+        }
+    }
+
+    /**
+     * Draws the latest error in `ui`, below the controls at the top, with a button to dismiss it.
+     * @param {UserInterface} ui
+     */
+    drawPanel(ui) {
+        const error = this.error;
+        if (error === null) {
+            return;
+        }
+        const count = error.count > 1 ? ` (${error.count} times)` : '';
+        const lines = [
+            `${error.source} threw${count}${error.fallback ? `, ${error.fallback}` : ''}:`,
+            error.message,
+            ...error.stack.slice(0, AnimationGuard.STACK_LINES),
+        ];
+        const top = ui.top() - 40;
+        const buttonY = top - (lines.length + 1) * 5 - 1;
+        ui.rect(1, buttonY - 1, 98, top - buttonY + 1, { fill: 0x000000D0, stroke: 'red', thickness: 1 });
+        lines.forEach((line, i) => {
+            ui.label(line, 2, top - (i + 1) * 5, { fill: i < 2 ? 'red' : 'white' });
+        });
+        // Binding this button to MIDI would only get in the way.
+        ui.withoutMidi(() => {
+            if (ui.button('Dismiss', 2, buttonY)) {
+                this.error = null;
+            }
+        });
+    }
+
+    /**
+     * Runs `animation` and returns whether it ran without throwing.
+     * @private
+     * @param {Animation} animation
+     * @param {number} elapsedMs
+     * @param {number} dtMs
+     * @param {Spaces} spaces
+     * @param {Mappings} mappings
+     * @returns {boolean}
+     */
+    __tryRun(animation, elapsedMs, dtMs, spaces, mappings) {
+        try {
+            animation.run(elapsedMs, dtMs, spaces, mappings);
+        } catch (e) {
+            this.report(e, animation.name);
+            this.__failedAtMs.set(animation.name, performance.now());
+            return false;
+        }
+        if (this.__failedAtMs.delete(animation.name)) {
+            this.clear(animation.name);
+        }
+        this.lastGoodName = animation.name;
+        return true;
+    }
+
+    /**
+     * Notes in the error panel what the LEDs show instead.
+     * @private
+     * @param {string} fallback
+     */
+    __setFallback(fallback) {
+        if (this.error !== null) {
+            this.error.fallback = fallback;
+        }
+    }
+}
+/** How often (in milliseconds) an animation that threw is tried again. */
+AnimationGuard.RETRY_MS = 1000;
+/** How many lines of the stack the error panel shows. */
+AnimationGuard.STACK_LINES = 6;
+
+/**
+ * Fills `ledData` with a pattern that can't go wrong: every LED slowly breathing in a dim amber.
+ * @param {Uint8ClampedArray} ledData
+ * @param {number} elapsedMs
+ */
+AnimationGuard.safePattern = (ledData, elapsedMs) => {
+    const level = 0.05 + 0.25 * (0.5 - 0.5 * cos(elapsedMs * TAU / 4000));
+    for (let i = 0; i < ledData.length; i += 3) {
+        ledData[i + 0] = 255 * level;
+        ledData[i + 1] = 120 * level;
+        ledData[i + 2] = 40 * level;
+    }
+};
+
+/**
+ * Draws the port picker of the device called `name`: a row of buttons to scan, disconnect, forget the
+ * remembered port or close the picker, then every serial port the server found, to connect to or remember.
+ * Only the page in control can carry these out (see `State.sendDeviceCommand`).
+ * @param {UserInterface} ui
+ * @param {State} state
+ * @param {string} name
+ * @param {number} uiY - where to draw the first row
+ * @returns {number} where to draw whatever comes next
+ */
+function drawPortPicker(ui, state, name, uiY) {
+    const remembered = state.deviceRemembered[name];
+    const options = ['Scan', 'Disconnect', 'Close'];
+    if (remembered) {
+        options.splice(2, 0, 'Forget');
+    }
+    const option = options[ui.buttonRow(options, 6, uiY)];
+    if (option === 'Scan') {
+        state.sendDeviceCommand('connect', name);
+    } else if (option === 'Disconnect' || option === 'Forget') {
+        state.sendDeviceCommand(option.toLowerCase(), name);
+    } else if (option === 'Close') {
+        state.portPickerDevice = null;
+    }
+    uiY += 5;
+    for (const port of state.availablePorts) {
+        const ids = [port.vendorId, port.productId, port.serialNumber].filter((id) => id).join(' / ');
+        const text = ids ? `${port.path} (${ids})` : port.path;
+        ui.label(text, 6, uiY);
+        const choice = ui.buttonRow(['Connect', 'Remember'], 8 + ui.measureLabel(text), uiY);
+        if (choice >= 0) {
+            state.sendDeviceCommand(choice === 0 ? 'connect' : 'remember', name, port.path);
+        }
+        uiY += 5;
+    }
+    if (state.availablePorts.length === 0) {
+        ui.label('No serial ports found', 6, uiY);
+        uiY += 5;
+    }
+    if (remembered) {
+        ui.label(`Remembered: ${Object.values(remembered).join(' / ')}`, 6, uiY);
+        uiY += 5;
+    }
+    return uiY;
+}
+
+/**
+ * Draws which mapping file each kind of points comes from, with a button to pick another one
+ * from the list the server's mapping API returns.
+ * @param {UserInterface} ui
+ * @param {State} state
+ * @param {Mappings} mappings
+ * @param {number} uiY - where to draw the first row
+ * @returns {number} where to draw whatever comes next
+ */
+function drawMappingPicker(ui, state, mappings, uiY) {
+    for (const kind of ['curve', 'flat', 'persp']) {
+        if (state.mappingPickerKind === kind) {
+            // Mapping picker, drawn below the mapping it changes.
+            for (const mapping of mappings.available || []) {
+                if (mapping.ledCount === null) {
+                    ui.label(`${mapping.name} (not a mapping)`, 6, uiY, { fill: 'gray' });
+                } else if (ui.highlightButton(`${mapping.name} (${mapping.ledCount} LEDs)`, mapping.name === mappings.files[kind], 6, uiY)) {
+                    mappings.useFile(kind, mapping.name);
+                    state.mappingPickerKind = null;
+                }
+                uiY += 5;
+            }
+            if (mappings.available === null) {
+                ui.label('Loading...', 6, uiY);
+                uiY += 5;
+            }
+        }
+        const mappingText = `Mapping [${kind}]: ${mappings.files[kind]}`;
+        ui.label(mappingText, 2, uiY);
+        const isOpen = state.mappingPickerKind === kind;
+        if (ui.button(isOpen ? 'Close' : 'Change', 4 + ui.measureLabel(mappingText), uiY)) {
+            state.mappingPickerKind = isOpen ? null : kind;
+            if (!isOpen) {
+                mappings.available = null;
+                mappings.refreshAvailable();
+            }
+        }
+        uiY += 5;
+    }
+    return uiY;
+}
+
+/**
+ * Draws the status panel at the bottom of the GUI: device warnings and status, sensors, OSC, power,
+ * where the LEDs get their frames from, who is in control, the mappings, MIDI and the schedule.
+ * `beginMainLoop` draws it after `loop()`, so it stays up to date even while `loop()` throws.
+ * @param {UserInterface} ui
+ * @param {State} state
+ * @param {Mappings} mappings
+ */
+function drawStatusPanel(ui, state, mappings) {
+    // Binding these controls to MIDI would only get in the way.
+    ui.withoutMidi(() => {
+        let uiY = ui.bottom() + 2;
+        const isConnectedToServer = state.statusWs.readyState === WebSocket.OPEN;
+        if (isConnectedToServer) {
+            const now = performance.now();
+            for (const [key, warning] of state.deviceWarnings) {
+                if (now - warning.lastMs > State.DEVICE_WARNING_DURATION_MS) {
+                    state.deviceWarnings.delete(key);
+                    continue;
+                }
+                const repeats = warning.count > 1 ? ` (x${warning.count})` : '';
+                ui.label(`Warning [${warning.name}]: ${warning.text}${repeats}`, 2, uiY, { fill: 'orange' });
+                uiY += 5;
+            }
+            for (const name in state.deviceStates) {
+                if (state.portPickerDevice === name) {
+                    uiY = drawPortPicker(ui, state, name, uiY);
+                }
+                const stats = state.frameStats[name];
+                const rates = state.deviceStates[name].status === 'Connected' && stats
+                    ? ` (${Math.round(stats.sentPerSecond)} fps, ${Math.round(stats.droppedPerSecond)} skipped/s)`
+                    : '';
+                const ready = state.deviceReady[name] ? ', LEDs registered' : '';
+                const milliamps = state.power.devices[name];
+                const current = milliamps === undefined ? '' : `, ~${(milliamps / 1000).toFixed(2)} A`;
+                const deviceText = `Device Status [${name}]: ${state.deviceStates[name].status}${ready}${rates}${current}`;
+                ui.label(deviceText, 2, uiY);
+                if (!state.deviceIsVirtual[name] && state.portPickerDevice !== name
+                    && ui.button('Ports', 4 + ui.measureLabel(deviceText), uiY)) {
+                    state.portPickerDevice = name;
+                }
+                uiY += 5;
+            }
+            const sensorNames = Object.keys(state.sensors);
+            if (sensorNames.length > 0) {
+                const readings = sensorNames.map((name) => `${name} ${Math.round(state.sensors[name] * 100) / 100}`);
+                ui.label(`Sensors: ${readings.join(', ')}`, 2, uiY);
+                uiY += 5;
+            }
+            const lastOsc = state.lastOsc;
+            if (lastOsc !== null && performance.now() - lastOsc.ms < State.OSC_DISPLAY_MS) {
+                const oscText = `OSC: ${lastOsc.address} ${lastOsc.args.map((arg) => JSON.stringify(arg)).join(' ')}`;
+                if (lastOsc.isHandled) {
+                    ui.label(oscText, 2, uiY);
+                } else {
+                    ui.label(`${oscText} (not understood)`, 2, uiY, { fill: 'orange' });
+                }
+                uiY += 5;
+            }
+            for (const supply of state.power.supplies) {
+                const amps = `~${(supply.milliamps / 1000).toFixed(2)} A of ${(supply.maxMilliamps / 1000).toFixed(2)} A`;
+                if (supply.scale < 1) {
+                    ui.label(`Power [${supply.name}]: ${amps}, dimmed to ${Math.round(supply.scale * 100)}%`, 2, uiY, { fill: 'orange' });
+                } else {
+                    ui.label(`Power [${supply.name}]: ${amps}`, 2, uiY);
+                }
+                uiY += 5;
+            }
+            if (state.inputSource === 'watchdog') {
+                ui.label('Showing frames from: the server, because nothing else is sending any', 2, uiY, { fill: 'orange' });
+                uiY += 5;
+            } else if (state.inputSource !== null) {
+                ui.label(`Showing frames from: ${state.inputSource}`, 2, uiY);
+                uiY += 5;
+            }
+            const control = state.control;
+            if (control.isController) {
+                ui.label(`Control: this page (${control.clientCount} open)`, 2, uiY);
+            } else {
+                const controller = control.isControllerConnected ? 'another page' : 'nobody';
+                ui.label(`Control: ${controller} (viewing)`, 2, uiY);
+                if (ui.button('Take Control', 40, uiY)) {
+                    state.takeControl();
+                }
+            }
+            uiY += 5;
+        } else {
+            uiY += 5;
+        }
+        ui.label(`Connected to Server: ${isConnectedToServer}`, 2, uiY);
+        uiY += 5;
+        if (state.isPaused) {
+            ui.label('Paused: time stands still in loop()', 2, uiY, { fill: 'orange' });
+            if (ui.button('Resume', 4 + ui.measureLabel('Paused: time stands still in loop()'), uiY)) {
+                state.resume();
+            }
+            uiY += 5;
+        }
+        uiY = drawMappingPicker(ui, state, mappings, uiY);
+        const midi = state.midi;
+        if (midi.status === 'ready') {
+            const midiText = `MIDI: ${midi.inputNames.join(', ') || 'no inputs'}`;
+            ui.label(midiText, 2, uiY);
+            if (ui.highlightButton(midi.isLearning ? 'Done' : 'Learn', midi.isLearning, 4 + ui.measureLabel(midiText), uiY)) {
+                midi.isLearning = !midi.isLearning;
+                midi.learnTarget = null;
+            }
+        } else {
+            const midiText = {
+                off: 'MIDI: off',
+                starting: 'MIDI: waiting for the browser...',
+                unsupported: 'MIDI: not supported by this browser',
+                denied: 'MIDI: not allowed (check the site permissions)',
+            }[midi.status];
+            ui.label(midiText, 2, uiY);
+            if ((midi.status === 'off' || midi.status === 'denied') && ui.button('Turn On', 4 + ui.measureLabel(midiText), uiY)) {
+                midi.start();
+            }
+        }
+        uiY += 5;
+        uiY = state.schedule.drawStatus(ui, uiY);
+        if (midi.isLearning) {
+            const target = midi.learnTarget;
+            if (target === null) {
+                ui.label('MIDI learn: click a slider, checkbox or button', 2, uiY, { fill: 'orange' });
+            } else {
+                const binding = midi.bindings[target];
+                const learnText = `MIDI learn: move a knob or press a key for ${target}${binding ? ` (now ${MidiInput.describe(binding)})` : ''}`;
+                ui.label(learnText, 2, uiY, { fill: 'orange' });
+                if (binding && ui.button('Unbind', 4 + ui.measureLabel(learnText), uiY)) {
+                    midi.unbind(target);
+                }
+            }
+            uiY += 5;
+        }
+    });
+}
+
+/**
+ * Start the main animation loop
+ * @param {number} msPerFrame 
+ * @param {State} state 
+ */
+function beginMainLoop(msPerFrame, state) {
+    const mappings = new Mappings(state);
+    state.schedule = new Schedule(state);
+    state.animationGuard = new AnimationGuard(state);
+    /** @type {HTMLCanvasElement} */
+    const canvas = (/** @type {HTMLCanvasElement} */document.getElementById('visualization'));
+    /** @type {CanvasRenderingContext2D} */
+    const ctx = canvas.getContext('2d');
+    Space.autoResize(ctx);
+    const spaces = new Spaces(ctx);
+    UserInterface.midi = state.midi;
+    let lastMsTs = performance.now();
+
+    /**
+     * Main animation loop
+     * @param {number} elapsedMs Number of milliseconds that elapsed since the beginning.
+     * @param {number} dtMs Number of milliseconds that elapsed since the last call.
      */
     function _loop(elapsedMs, dtMs) {
         Space.autoResize(ctx);
@@ -2714,9 +4568,21 @@ function beginMainLoop(msPerFrame, state) {
 
         Top.setSpaceRotation(0, 0, 0);
         Top.axes(1, 6, { stroke: 0xFFFFFF, thickness: 0.5 });
-        loop(elapsedMs, dtMs, spaces, mappings);
+        state.updateSensors(dtMs);
+        try {
+            loop(state.loopTimeMs(elapsedMs), state.isPaused ? 0 : dtMs, spaces, mappings);
+            state.animationGuard.clear('loop()');
+        } catch (e) {
+            // Keep the loop and the LEDs going, so the code can be fixed while the piece runs.
+            state.animationGuard.report(e, 'loop()');
+            state.animationGuard.runSafePattern(elapsedMs);
+            state.trySendToMicrocontroller(state.ledData);
+        }
+        drawStatusPanel(spaces.GUI.ui, state, mappings);
+        state.animationGuard.drawPanel(spaces.GUI.ui);
         spaces.onFrameEnd();
         Space.onFrameEnd();
+        state.midi.onFrameEnd();
 
         const newMsTs = performance.now();
         lastMsTs = elapsedMs;
@@ -2744,6 +4610,7 @@ function beginMainLoop(msPerFrame, state) {
 class Mappings {
     /** @param {State} state */
     constructor(state) {
+        this.state = state;
         /** @type {Vector3[]} corresponding array of data points in normalized coordinates */
         this.normalized = [];
         /** @type {Vector3[]} flat array of data points in normalized coordinates */
@@ -2751,34 +4618,148 @@ class Mappings {
 
         this.normalizedCurve = [];
 
-        Promise.all(
+        /**
+         * Which file in the 'server/front/mappings' directory to load for each kind of points.
+         * Pick different files in the GUI; the choice is saved in the browser.
+         * @type {{persp: string, flat: string, curve: string}}
+         */
+        this.files = { ...Mappings.DEFAULT_FILES };
+        try {
+            Object.assign(this.files, JSON.parse(localStorage.getItem(Mappings.FILES_KEY)));
+        } catch (e) {
+            console.warn('Unable to restore the chosen mapping files', e);
+        }
+
+        /**
+         * The points of each kind, as loaded from the files, before normalization.
+         * @type {{persp: Vector3[], flat: Vector3[], curve: Vector3[]}}
+         */
+        this.points = { persp: [], flat: [], curve: [] };
+
+        /**
+         * Every mapping file on the server, or `null` until `refreshAvailable` has been called.
+         * @type {?{name: string, ledCount: ?number, size: number, modified: string}[]}
+         */
+        this.available = null;
+
+        state.onMappingPushed = (name, points) => this.receivePoints(name, points);
+        state.onMappingFileChanged = (name) => this.reloadFile(name);
+
+        this.load();
+    }
+
+    /**
+     * Loads the files in `this.files`, normalizes their points, and resizes `state.ledData` to fit.
+     * If a file can't be loaded, the points loaded before stay in use.
+     * @returns {Promise<void>}
+     */
+    load() {
+        return Promise.all(
             [
-                this.readMapping('mappingPersp.json'),
-                this.readMapping('mappingFlat.json'),
-                this.readMapping('mappingCurve.json'),
+                this.readMapping(this.files.persp),
+                this.readMapping(this.files.flat),
+                this.readMapping(this.files.curve),
 
             ]
         ).then(([persp, flat, curve]) => {
-            const numberOfLEDs = persp.length;
-
-            {
-                const perspBounds = Bounds3D.fromPoints(persp);
-                const curveBounds = Bounds3D.fromPoints(curve);
-                const fullBounds = perspBounds.union(curveBounds);
+            this.points = { persp, flat, curve };
+            this.normalize();
+        }).catch((e) => {
+            console.error('Unable to load mappings', this.files, e);
+        });
+    }
 
-                const scaleFactor = fullBounds.getNormalizingScaleFactor();
-                this.normalized = mapPointsToScaledPoints(persp, scaleFactor);
-                this.normalizedCurve = mapPointsToScaledPoints(curve, scaleFactor);
+    /**
+     * Uses `points` for every kind of points whose file is called `name`, e.g. because Grasshopper just pushed them.
+     * Animations keep running; only the points (and the number of LEDs) change.
+     * @param {string} name
+     * @param {Vector3[]} points
+     */
+    receivePoints(name, points) {
+        let isUsed = false;
+        for (const kind of /** @type {const} */ (['persp', 'flat', 'curve'])) {
+            if (this.files[kind] === name) {
+                this.points[kind] = points;
+                isUsed = true;
             }
+        }
+        if (isUsed) {
+            this.normalize();
+        }
+    }
 
-            {
-                const flatBounds = Bounds3D.fromPoints(flat);
-                const scaleFactor = flatBounds.getNormalizingScaleFactor();
-                this.normalizedFlat = mapPointsToScaledPoints(flat, scaleFactor);
-            }
+    /**
+     * Loads the file called `name` again if it is in use, e.g. because Grasshopper just exported it.
+     * If it can't be loaded (for example because it is only half written), the current points stay in use.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    reloadFile(name) {
+        if (this.available !== null) {
+            // The picker is showing the list of files, which might have changed.
+            this.refreshAvailable();
+        }
+        if (!Object.values(this.files).includes(name)) {
+            return Promise.resolve();
+        }
+        return this.readMapping(name)
+            .then((points) => this.receivePoints(name, points))
+            .catch((e) => console.error(`Unable to reload mapping ${name}`, e));
+    }
 
-            state.ledData = new Uint8ClampedArray(numberOfLEDs * 3); // 3 bytes per LED, for Red, Green, Blue channels of each LED
-        });
+    /**
+     * Computes the normalized points from `this.points`, and resizes `state.ledData` if the number of LEDs changed.
+     */
+    normalize() {
+        const { persp, flat, curve } = this.points;
+        const numberOfLEDs = persp.length;
+
+        {
+            const perspBounds = Bounds3D.fromPoints(persp);
+            const curveBounds = Bounds3D.fromPoints(curve);
+            const fullBounds = perspBounds.union(curveBounds);
+
+            const scaleFactor = fullBounds.getNormalizingScaleFactor();
+            this.normalized = mapPointsToScaledPoints(persp, scaleFactor);
+            this.normalizedCurve = mapPointsToScaledPoints(curve, scaleFactor);
+        }
+
+        {
+            const flatBounds = Bounds3D.fromPoints(flat);
+            const scaleFactor = flatBounds.getNormalizingScaleFactor();
+            this.normalizedFlat = mapPointsToScaledPoints(flat, scaleFactor);
+        }
+
+        const oldLedData = this.state.ledData;
+        if (oldLedData.length !== numberOfLEDs * 3) {
+            const ledData = new Uint8ClampedArray(numberOfLEDs * 3); // 3 bytes per LED, for Red, Green, Blue channels of each LED
+            // Keep the colors of the LEDs that are still there.
+            ledData.set(oldLedData.subarray(0, ledData.length));
+            this.state.ledData = ledData;
+        }
+    }
+
+    /**
+     * Uses the mapping file called `fileName` for one kind of points, remembers the choice, and loads it.
+     * @param {'persp'|'flat'|'curve'} kind
+     * @param {string} fileName
+     * @returns {Promise<void>}
+     */
+    useFile(kind, fileName) {
+        this.files[kind] = fileName;
+        localStorage.setItem(Mappings.FILES_KEY, JSON.stringify(this.files));
+        return this.load();
+    }
+
+    /**
+     * Asks the server which mapping files exist and stores the answer in `this.available`.
+     * @returns {Promise<void>}
+     */
+    refreshAvailable() {
+        return fetch(`http://${window.location.host}/api/mappings`)
+            .then((value) => value.json())
+            .then((list) => { this.available = list; })
+            .catch((e) => console.error('Unable to list mappings', e));
     }
 
     /**
@@ -2787,9 +4768,17 @@ class Mappings {
      * @returns {Promise<Object>}
      */
     readMapping(jsonFileName) {
-        return fetch(`http://${window.location.host}/mappings/${jsonFileName}`).then((value) => value.json());
+        return fetch(`http://${window.location.host}/api/mappings/${encodeURIComponent(jsonFileName)}`).then((value) => {
+            if (!value.ok) {
+                throw new Error(`Unable to load mapping ${jsonFileName}: ${value.status} ${value.statusText}`);
+            }
+            return value.json();
+        });
     }
 }
+/** The mapping files used unless others are picked in the GUI. */
+Mappings.DEFAULT_FILES = { persp: 'mappingPersp.json', flat: 'mappingFlat.json', curve: 'mappingCurve.json' };
+Mappings.FILES_KEY = 'InstallationMappingFiles';
 
 /** @typedef {'Section for changing default values:'} StateDefinition */
 const $state = new State(
@@ -2818,6 +4807,21 @@ const $state = new State(
         }
     }
 );
+
+/**
+ * The animations `loop()` switches between: `$saved.animState` is the index of the one that runs.
+ * Each gets a button in the GUI, and `schedule.json` picks them by name.
+ * @type {Animation[]}
+ */
+const ANIMATIONS = [
+    // Vertical line passing across the screen
+    { name: 'Anim1', run: exampleAnim1 },
+    // Polar line rotating
+    { name: 'Anim2', run: exampleAnim2 },
+    // Circle expanding
+    { name: 'Anim3', run: exampleAnim3 },
+];
+
 beginMainLoop(/* msPerFrame */1000 / 60, $state);
 
 /**
@@ -2866,6 +4870,13 @@ function loop(elapsedMs, dtMs, spaces, mappings) {
      * @see {StateDefinition} to add or remove properties from `$saved`.
      */
     const $saved = $state.saved;
+    /**
+     * Sensor readings from the microcontroller, smoothed over time, by name.
+     * For example, `$sensors.distance` is the latest value sent with `reportSensor("distance", ...)` in `src.ino`,
+     * or `undefined` until the first reading arrives.
+     * @see {State.sensors}
+     */
+    const $sensors = $state.sensors;
 
 
     { // Main UI
@@ -2896,25 +4907,12 @@ function loop(elapsedMs, dtMs, spaces, mappings) {
         let uiX = 50;
         if ($saved.anim.show = GUI.ui.checkbox('Anim', uiX, uiY -= 15, $saved.anim.show)) {
             uiX += 5;
-            if (GUI.ui.highlightButton('Anim1', $saved.animState === 0, uiX, uiY -= 5)) {
-                $saved.animState = 0;
-            }
-            if (GUI.ui.highlightButton('Anim2', $saved.animState === 1, uiX, uiY -= 5)) {
-                $saved.animState = 1;
-            }
-            if (GUI.ui.highlightButton('Anim3', $saved.animState === 2, uiX, uiY -= 5)) {
-                $saved.animState = 2;
-            }
-        }
-    }
-
-    { // Status UI
-        let uiY = GUI.ui.bottom() + 2;
-        const isConnectedToServer = $state.statusWs.readyState === WebSocket.OPEN;
-        if (isConnectedToServer) {
-            GUI.ui.label(`Device Status: ${$state.deviceState.status}`, 2, uiY);
+            ANIMATIONS.forEach((animation, i) => {
+                if (GUI.ui.highlightButton(animation.name, $saved.animState === i, uiX, uiY -= 5)) {
+                    $saved.animState = i;
+                }
+            });
         }
-        GUI.ui.label(`Connected to Server: ${isConnectedToServer}`, 2, uiY += 5);
     }
 
     { // Draw some perspective helper UI
@@ -2930,22 +4928,14 @@ function loop(elapsedMs, dtMs, spaces, mappings) {
         Perspective.rectXZ([-0.5, 0, -0.5], 1, 1, { stroke: 0xFFFF001F, thickness: 2 });
     }
 
+    // Follow schedule.json, if there is one: start its entries when their time comes, and black out the LEDs when it says so.
+    $state.schedule.update(ANIMATIONS);
+
     // $saved.anim.show = false;
     if ($saved.anim.show) {
-        //Anim1: Vertical line passing across the screen 
-        if ($saved.animState == 0) {
-            exampleAnim1(elapsedMs, dtMs, spaces, mappings);
-        }
-
-        //Anim2: Polar line rotating
-        if ($saved.animState == 1) {
-            exampleAnim2(elapsedMs, dtMs, spaces, mappings);
-        }
-
-        //Anim3: Circle expanding 
-        if ($saved.animState == 2) {
-            exampleAnim3(elapsedMs, dtMs, spaces, mappings);
-        }
+        // Runs ANIMATIONS[$saved.animState], crossfading when the schedule switches animations.
+        // If it throws, the animation that last worked runs instead, and the error shows up in the GUI.
+        $state.schedule.runAnimations(ANIMATIONS, elapsedMs, dtMs, spaces, mappings);
     } else {
         $saved.sliderState = GUI.ui.slider('led', 20, 20, 0, 101, $saved.sliderState);
         const x = $saved.sliderState;
@@ -2953,6 +4943,13 @@ function loop(elapsedMs, dtMs, spaces, mappings) {
         $ledData[(x | 0) * 3 + 0] = 255;
     }
 
+    if (!$state.control.isController && $state.liveFrame !== null) {
+        // We're a viewer, so show what the LEDs are actually showing instead of our own animation.
+        $ledData.set($state.liveFrame.subarray(0, $ledData.length));
+    } else {
+        $state.schedule.applyBlackout($ledData);
+    }
+
     { // Actually display LEDs in different views (and label the views)
         Front.ui.label(`Front [normalized:${mappings.normalized.length}]`, 5, 5, { fill: 'white' });
         Front.drawLeds(mappings.normalized, $ledData);
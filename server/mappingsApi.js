@@ -0,0 +1,402 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+/**
+ * HTTP endpoints for managing the mapping files in `front/mappings`, so the browser
+ * (or Grasshopper, or a script) can add and organize mappings without copying files by hand.
+ *
+ * | Request                                   | Does                                               |
+ * | ----------------------------------------- | -------------------------------------------------- |
+ * | `GET /api/mappings`                       | lists every mapping: name, LED count, size, date    |
+ * | `GET /api/mappings/<name>`                | returns the points of one mapping                   |
+ * | `PUT /api/mappings/<name>`                | creates or replaces a mapping; the body is its points |
+ * | `POST /api/mappings/<name>/rename`        | renames a mapping; the body is `{"name": "<new name>"}` |
+ * | `DELETE /api/mappings/<name>`             | deletes a mapping                                   |
+ *
+ * A mapping is a JSON array with one `[x, y, z]` array of numbers per LED, like the files Grasshopper exports.
+ * Names end in `.json` and may only contain letters, digits, spaces, `-`, `_` and `.`.
+ * Requests that change mappings must send their body as `Content-Type: application/json`, and are refused if they
+ * come from a page of another website (see `checkChangeRequest`).
+ * Every response is JSON; errors look like `{"error": "..."}`.
+ * Pages that use a mapping get its new points as soon as it is saved, without reloading.
+ *
+ * While you work on a mapping, Grasshopper (or `pushMapping.js`) can also push its points over the `/mappings`
+ * websocket instead, which doesn't have to write a file. See `createMappingPushServer`.
+ */
+
+/** Every request handled here starts with this. */
+const API_PREFIX = '/api/mappings';
+/** Largest mapping we accept, in bytes. */
+const MAX_MAPPING_BYTES = 10 * 1024 * 1024;
+/** What a mapping's file name has to look like. */
+const MAPPING_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,99}\.json$/;
+
+/**
+ * An error that is reported to the client with the given HTTP status.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Checks that `points` has the shape of a mapping and returns a description of the first problem,
+ * or `null` if it is a valid mapping.
+ * @param {any} points
+ * @returns {?string}
+ */
+function findMappingProblem(points) {
+    if (!Array.isArray(points)) {
+        return 'A mapping must be a JSON array with one [x, y, z] array per LED.';
+    }
+    if (points.length === 0) {
+        return 'A mapping must contain at least one LED.';
+    }
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        if (!Array.isArray(point) || point.length !== 3 || !point.every((n) => typeof n === 'number' && Number.isFinite(n))) {
+            return `LED ${i} must be an array of 3 numbers like [1.5, 0, -2], but it is ${JSON.stringify(point)}.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Throws a 400 `HttpError` unless `name` is an acceptable mapping name.
+ * @param {string} name
+ */
+function checkMappingName(name) {
+    if (!MAPPING_NAME_PATTERN.test(name)) {
+        throw new HttpError(400, `'${name}' is not a valid mapping name. Use letters, digits, spaces, '-', '_' and '.', and end it with '.json'.`);
+    }
+}
+
+/**
+ * Throws a 403 `HttpError` if `req` comes from a page of another website.
+ * Browsers let any website send a cross-origin POST with a form-like body, so without this, any page open in the
+ * same browser could rename mappings. Browsers always add an `Origin` header to such requests; tools like curl don't.
+ * @param {import('http').IncomingMessage} req
+ */
+function checkChangeRequest(req) {
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin !== `http://${req.headers.host}`) {
+        throw new HttpError(403, `Mappings can only be changed from this server's pages, not from ${origin}.`);
+    }
+}
+
+/**
+ * Reads the whole body of `req` and parses it as JSON.
+ * Rejects with a 415 `HttpError` unless the body is sent as `Content-Type: application/json`, which other websites
+ * can't send without the browser asking this server first.
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            reject(new HttpError(415, `Send the body as JSON, with the header 'Content-Type: application/json'.`));
+            return;
+        }
+        /** @type {Buffer[]} */
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_MAPPING_BYTES) {
+                // Stop reading, but keep the connection open so the client gets the 413 (which closes it).
+                req.removeAllListeners('data');
+                req.removeAllListeners('end');
+                req.pause();
+                reject(new HttpError(413, `The request is larger than ${MAX_MAPPING_BYTES} bytes.`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(new HttpError(400, `The request body is not valid JSON: ${err.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Writes `contents` to `filePath` without leaving a half-written file behind if something goes wrong.
+ * @param {string} filePath
+ * @param {string} contents
+ */
+async function writeFileAtomically(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, contents);
+    try {
+        await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+        await fs.promises.unlink(tempPath).catch(() => { });
+        throw err;
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).isFile();
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Checks `name` and `points` and writes them to the mappings directory.
+ * Throws an `HttpError` (with a message meant for whoever sent the mapping) if either is invalid.
+ * @param {string} directory - absolute path of the mappings directory
+ * @param {string} name
+ * @param {any} points
+ * @returns {Promise<{filePath: string, existed: boolean}>}
+ */
+async function saveMapping(directory, name, points) {
+    checkMappingName(name);
+    const problem = findMappingProblem(points);
+    if (problem !== null) {
+        throw new HttpError(400, problem);
+    }
+    const filePath = path.join(directory, name);
+    const existed = await fileExists(filePath);
+    await writeFileAtomically(filePath, JSON.stringify(points, null, 4));
+    return { filePath, existed };
+}
+
+/**
+ * One entry of the list returned by `GET /api/mappings`.
+ * @typedef {object} MappingInfo
+ * @property {string} name - file name, e.g. `'mappingPersp.json'`
+ * @property {?number} ledCount - number of points, or `null` if the file isn't a valid mapping
+ * @property {number} size - file size in bytes
+ * @property {string} modified - when the file last changed, as an ISO date
+ */
+
+/**
+ * Creates a handler for the mapping endpoints. Call it for every request; it returns `false`
+ * (and does nothing) for requests that aren't meant for it, so they can be handled elsewhere.
+ * @param {string} directory - absolute path of the mappings directory
+ * @param {(action: string, ...msg: any[]) => void} log
+ * @param {(name: string, points: number[][], filePath: string) => void} onSaved - called after a `PUT` wrote a mapping
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => boolean}
+ */
+function createMappingsApi(directory, log, onSaved) {
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    const pathFor = (name) => {
+        checkMappingName(name);
+        return path.join(directory, name);
+    };
+
+    /** @returns {Promise<MappingInfo[]>} */
+    const listMappings = async () => {
+        const names = (await fs.promises.readdir(directory)).filter((name) => MAPPING_NAME_PATTERN.test(name)).sort();
+        /** @type {MappingInfo[]} */
+        const list = [];
+        for (const name of names) {
+            const filePath = path.join(directory, name);
+            const stats = await fs.promises.stat(filePath);
+            if (!stats.isFile()) {
+                continue;
+            }
+            let ledCount = null;
+            try {
+                const points = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+                ledCount = findMappingProblem(points) === null ? points.length : null;
+            } catch (err) {
+                // Not valid JSON; listed with a `null` LED count.
+            }
+            list.push({ name, ledCount, size: stats.size, modified: stats.mtime.toISOString() });
+        }
+        return list;
+    };
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @param {string[]} parts - the path after `/api/mappings/`, split at `/`
+     * @returns {Promise<[number, any]>} the status and body of the response
+     */
+    const route = async (req, parts) => {
+        const method = req.method;
+        if (method !== 'GET') {
+            checkChangeRequest(req);
+        }
+        if (parts.length === 0) {
+            if (method === 'GET') {
+                return [200, await listMappings()];
+            }
+            throw new HttpError(405, `Use GET to list mappings.`);
+        }
+        const name = parts[0];
+        const filePath = pathFor(name);
+        if (parts.length === 1) {
+            if (method === 'GET') {
+                if (!await fileExists(filePath)) {
+                    throw new HttpError(404, `There is no mapping named '${name}'.`);
+                }
+                return [200, JSON.parse(await fs.promises.readFile(filePath, 'utf8'))];
+            }
+            if (method === 'PUT') {
+                const points = await readJsonBody(req);
+                const { existed } = await saveMapping(directory, name, points);
+                log(existed ? 'replaced mapping' : 'added mapping', name, `(${points.length} LEDs)`);
+                onSaved(name, points, filePath);
+                return [existed ? 200 : 201, { name, ledCount: points.length }];
+            }
+            if (method === 'DELETE') {
+                if (!await fileExists(filePath)) {
+                    throw new HttpError(404, `There is no mapping named '${name}'.`);
+                }
+                await fs.promises.unlink(filePath);
+                log('deleted mapping', name);
+                return [200, { name }];
+            }
+            throw new HttpError(405, `Use GET, PUT or DELETE on a mapping.`);
+        }
+        if (parts.length === 2 && parts[1] === 'rename') {
+            if (method !== 'POST') {
+                throw new HttpError(405, `Use POST to rename a mapping.`);
+            }
+            const body = await readJsonBody(req);
+            const newName = body && body.name;
+            if (typeof newName !== 'string') {
+                throw new HttpError(400, `Send the new name as {"name": "newName.json"}.`);
+            }
+            const newPath = pathFor(newName);
+            if (!await fileExists(filePath)) {
+                throw new HttpError(404, `There is no mapping named '${name}'.`);
+            }
+            if (newName !== name && await fileExists(newPath)) {
+                throw new HttpError(409, `There is already a mapping named '${newName}'. Delete or rename it first.`);
+            }
+            await fs.promises.rename(filePath, newPath);
+            log('renamed mapping', name, '->', newName);
+            return [200, { name: newName }];
+        }
+        throw new HttpError(404, `Unknown mappings endpoint.`);
+    };
+
+    return function handleMappingsRequest(req, res) {
+        const uri = new URL(req.url || '/', 'http://localhost/');
+        if (uri.pathname !== API_PREFIX && !uri.pathname.startsWith(`${API_PREFIX}/`)) {
+            return false;
+        }
+        /** @type {string[]} */
+        let parts;
+        try {
+            parts = uri.pathname.slice(API_PREFIX.length).split('/').filter((part) => part !== '').map(decodeURIComponent);
+        } catch (err) {
+            parts = ['\0'];
+        }
+        route(req, parts).then(([status, body]) => {
+            const json = JSON.stringify(body);
+            res.writeHead(status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(json),
+                'Cache-Control': 'no-store',
+            });
+            res.end(json);
+        }, (err) => {
+            const status = err instanceof HttpError ? err.status : 500;
+            if (status === 500) {
+                log('ERROR', req.method, uri.pathname, err.message);
+            }
+            const json = JSON.stringify({ error: err.message });
+            if (!res.headersSent) {
+                res.writeHead(status, {
+                    'Content-Type': 'application/json; charset=utf-8',
+                    'Content-Length': Buffer.byteLength(json),
+                    // The rest of the body is still on its way, so the connection can't be used for another request.
+                    ...(req.complete ? {} : { 'Connection': 'close' }),
+                });
+            }
+            res.end(json);
+        });
+        return true;
+    };
+}
+
+/**
+ * Creates the websocket server for pushing mappings from Grasshopper or a script while you work on them.
+ * Send a JSON text message `{ "name": "mappingPersp.json", "points": [[x, y, z], ...] }`, and every page that
+ * uses the mapping with that name swaps in the new points without reloading.
+ * Add `"save": true` to also write the points to the mapping file.
+ *
+ * The server answers every message with `{ "type": "pushed", "name", "ledCount", "saved" }`,
+ * or with `{ "type": "error", "message" }` if the mapping is invalid.
+ * @param {string} directory - absolute path of the mappings directory
+ * @param {(action: string, ...msg: any[]) => void} log
+ * @param {(name: string, points: number[][], filePath: ?string) => void} onPushed - called for every valid mapping,
+ *   with the file it was written to if it was saved
+ * @returns {WebSocket.Server} a server without a port of its own; pass it the upgrade requests for `/mappings`
+ */
+function createMappingPushServer(directory, log, onPushed) {
+    const mappingServer = new WebSocket.Server({ noServer: true });
+    mappingServer.on('connection', function connection(ws) {
+        /** @param {object} reply */
+        const send = (reply) => ws.send(JSON.stringify(reply));
+
+        ws.on('message', async (message) => {
+            let request;
+            try {
+                request = JSON.parse(String(message));
+            } catch (err) {
+                send({ type: 'error', message: `Unable to parse message: ${err.message}` });
+                return;
+            }
+            const { name, points, save } = request || {};
+            if (typeof name !== 'string') {
+                send({ type: 'error', message: 'Send the mapping as {"name": "mappingPersp.json", "points": [[x, y, z], ...]}.' });
+                return;
+            }
+            const problem = findMappingProblem(points);
+            if (problem !== null) {
+                send({ type: 'error', message: problem });
+                return;
+            }
+            /** @type {?string} */
+            let savedPath = null;
+            if (save) {
+                try {
+                    ({ filePath: savedPath } = await saveMapping(directory, name, points));
+                } catch (err) {
+                    send({ type: 'error', message: err.message });
+                    return;
+                }
+            }
+            onPushed(name, points, savedPath);
+            log('pushed mapping', name, `(${points.length} LEDs${save ? ', saved' : ''})`);
+            send({ type: 'pushed', name, ledCount: points.length, saved: Boolean(save) });
+        });
+    });
+    return mappingServer;
+}
+
+module.exports = {
+    API_PREFIX,
+    findMappingProblem,
+    saveMapping,
+    createMappingsApi,
+    createMappingPushServer,
+};
@@ -0,0 +1,303 @@
+// @ts-check
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+/**
+ * Outputs that send frames over the network to Ethernet pixel controllers,
+ * using either E1.31 (sACN) or Art-Net.
+ *
+ * Both protocols carry up to 512 channels per "universe", so a frame gets split across
+ * as many consecutive universes as it needs, starting at `startUniverse`.
+ * An LED's 3 channels are never split between two universes.
+ */
+
+/**
+ * One entry of the `NETWORK_OUTPUTS` table.
+ * @typedef {object} NetworkOutputConfig
+ * @property {string} name - label used in logs
+ * @property {'e131'|'artnet'} protocol
+ * @property {string} [host] - where to send packets. E1.31 defaults to the standard multicast address of each universe;
+ *   Art-Net defaults to broadcasting to `255.255.255.255`.
+ * @property {number} [port] - UDP port. Defaults to 5568 for E1.31 and 6454 for Art-Net.
+ * @property {number} startUniverse - universe that receives the first LEDs of this output
+ * @property {number} [channelsPerUniverse] - how many channels to use in each universe. Defaults to 510 (170 LEDs).
+ * @property {number} [priority] - E1.31 only: priority from 0 to 200. Defaults to 100.
+ * @property {number} ledStart - index of the first LED this output sends
+ * @property {number} [ledCount] - number of LEDs this output sends. Defaults to the rest of the frame.
+ * @property {import('./color').ColorConfig} [color] - overrides the color settings for this output
+ */
+
+/** Most channels a universe can carry. */
+const MAX_CHANNELS_PER_UNIVERSE = 512;
+
+/**
+ * Base class for outputs that split frames into universes.
+ * Subclasses build the actual packets.
+ */
+class UniverseOutput {
+    /**
+     * @param {NetworkOutputConfig} config
+     * @param {number} defaultPort
+     * @param {(err: Error) => void} onError - called when sending fails
+     */
+    constructor(config, defaultPort, onError) {
+        const channelsPerUniverse = config.channelsPerUniverse === undefined ? 510 : config.channelsPerUniverse;
+        if (!(channelsPerUniverse >= 3 && channelsPerUniverse <= MAX_CHANNELS_PER_UNIVERSE)) {
+            throw new Error(`${config.name}: channelsPerUniverse must be between 3 and ${MAX_CHANNELS_PER_UNIVERSE}, but it is ${channelsPerUniverse}.`);
+        }
+        this.config = config;
+        this.name = config.name;
+        this.port = config.port === undefined ? defaultPort : config.port;
+        this.bytesPerUniverse = Math.floor(channelsPerUniverse / 3) * 3;
+        /**
+         * The sequence number of the next packet for each universe.
+         * @type {Map<number, number>}
+         */
+        this._sequences = new Map();
+        this._socket = dgram.createSocket('udp4');
+        this._socket.on('error', onError);
+        this._onError = onError;
+    }
+
+    /**
+     * Sends `frame` (this output's LEDs only) across as many universes as it needs.
+     * @param {Buffer} frame - 3 bytes per LED
+     */
+    send(frame) {
+        let universe = this.config.startUniverse;
+        for (let offset = 0; offset < frame.length; offset += this.bytesPerUniverse) {
+            const data = frame.subarray(offset, Math.min(offset + this.bytesPerUniverse, frame.length));
+            const packet = this.makePacket(universe, this._nextSequence(universe), data);
+            this._socket.send(packet, this.port, this.hostFor(universe), (err) => {
+                if (err) {
+                    this._onError(err);
+                }
+            });
+            universe++;
+        }
+    }
+
+    /**
+     * Stops sending and releases the socket.
+     */
+    close() {
+        this._socket.close();
+    }
+
+    /**
+     * @param {number} universe
+     * @returns {number}
+     */
+    _nextSequence(universe) {
+        const sequence = this._sequences.get(universe) || this.firstSequence();
+        this._sequences.set(universe, this.advanceSequence(sequence));
+        return sequence;
+    }
+
+    /**
+     * @abstract
+     * @param {number} universe
+     * @param {number} sequence
+     * @param {Buffer} data - channel values for this universe
+     * @returns {Buffer}
+     */
+    makePacket(universe, sequence, data) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * @abstract
+     * @param {number} universe
+     * @returns {string} the address to send packets for `universe` to
+     */
+    hostFor(universe) {
+        throw new Error('Not implemented');
+    }
+
+    /** @returns {number} the sequence number of the first packet */
+    firstSequence() {
+        return 0;
+    }
+
+    /**
+     * @param {number} sequence
+     * @returns {number} the sequence number that follows `sequence`
+     */
+    advanceSequence(sequence) {
+        return (sequence + 1) & 0xFF;
+    }
+}
+
+/** Identifies E1.31 packets. */
+const E131_PACKET_IDENTIFIER = Buffer.from([0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00]);
+/** Number of bytes in front of the channel data of an E1.31 data packet. */
+const E131_HEADER_SIZE = 126;
+
+/**
+ * Sends frames as E1.31 (sACN) data packets, as described in ANSI E1.31-2016.
+ */
+class E131Output extends UniverseOutput {
+    /**
+     * @param {NetworkOutputConfig} config
+     * @param {(err: Error) => void} onError
+     */
+    constructor(config, onError) {
+        super(config, 5568, onError);
+        this.priority = config.priority === undefined ? 100 : config.priority;
+        if (!(this.priority >= 0 && this.priority <= 200)) {
+            throw new Error(`${config.name}: priority must be between 0 and 200, but it is ${this.priority}.`);
+        }
+        /** Identifies this sender to receivers. */
+        this.cid = crypto.randomBytes(16);
+        this.sourceName = Buffer.alloc(64);
+        this.sourceName.write(`DigitalFutures2021 ${config.name}`.slice(0, 63), 'utf8');
+        if (config.host === undefined) {
+            this._socket.bind(() => this._socket.setMulticastTTL(16));
+        }
+    }
+
+    /**
+     * @param {number} universe
+     * @returns {string}
+     */
+    hostFor(universe) {
+        return this.config.host === undefined
+            ? `239.255.${(universe >> 8) & 0xFF}.${universe & 0xFF}`
+            : this.config.host;
+    }
+
+    /**
+     * @param {number} universe
+     * @param {number} sequence
+     * @param {Buffer} data
+     * @returns {Buffer}
+     */
+    makePacket(universe, sequence, data) {
+        const packet = Buffer.alloc(E131_HEADER_SIZE + data.length);
+        // Root layer
+        packet.writeUInt16BE(0x0010, 0); // Preamble size
+        packet.writeUInt16BE(0x0000, 2); // Postamble size
+        E131_PACKET_IDENTIFIER.copy(packet, 4);
+        packet.writeUInt16BE(0x7000 | (packet.length - 16), 16); // Flags and length
+        packet.writeUInt32BE(0x00000004, 18); // VECTOR_ROOT_E131_DATA
+        this.cid.copy(packet, 22);
+        // Framing layer
+        packet.writeUInt16BE(0x7000 | (packet.length - 38), 38);
+        packet.writeUInt32BE(0x00000002, 40); // VECTOR_E131_DATA_PACKET
+        this.sourceName.copy(packet, 44);
+        packet.writeUInt8(this.priority, 108);
+        packet.writeUInt16BE(0, 109); // Synchronization address (unused)
+        packet.writeUInt8(sequence, 111);
+        packet.writeUInt8(0, 112); // Options
+        packet.writeUInt16BE(universe, 113);
+        // DMP layer
+        packet.writeUInt16BE(0x7000 | (packet.length - 115), 115);
+        packet.writeUInt8(0x02, 117); // VECTOR_DMP_SET_PROPERTY
+        packet.writeUInt8(0xA1, 118); // Address type and data type
+        packet.writeUInt16BE(0x0000, 119); // First property address
+        packet.writeUInt16BE(0x0001, 121); // Address increment
+        packet.writeUInt16BE(data.length + 1, 123); // Property value count (start code + channels)
+        packet.writeUInt8(0x00, 125); // DMX start code
+        data.copy(packet, E131_HEADER_SIZE);
+        return packet;
+    }
+}
+
+/** Identifies Art-Net packets. */
+const ARTNET_ID = Buffer.from('Art-Net\0', 'ascii');
+/** Number of bytes in front of the channel data of an ArtDmx packet. */
+const ARTNET_HEADER_SIZE = 18;
+
+/**
+ * Sends frames as Art-Net ArtDmx packets.
+ * Universes are 15-bit Port-Addresses (Net, Sub-Net and Universe combined).
+ */
+class ArtNetOutput extends UniverseOutput {
+    /**
+     * @param {NetworkOutputConfig} config
+     * @param {(err: Error) => void} onError
+     */
+    constructor(config, onError) {
+        super(config, 6454, onError);
+        if (config.host === undefined) {
+            this._socket.bind(() => this._socket.setBroadcast(true));
+        }
+    }
+
+    /**
+     * @param {number} universe
+     * @returns {string}
+     */
+    hostFor(universe) {
+        return this.config.host === undefined ? '255.255.255.255' : this.config.host;
+    }
+
+    /** @returns {number} */
+    firstSequence() {
+        return 1;
+    }
+
+    /**
+     * Art-Net uses 0 to mean "sequence numbers are disabled", so we count from 1 to 255.
+     * @param {number} sequence
+     * @returns {number}
+     */
+    advanceSequence(sequence) {
+        return sequence >= 255 ? 1 : sequence + 1;
+    }
+
+    /**
+     * @param {number} universe
+     * @param {number} sequence
+     * @param {Buffer} data
+     * @returns {Buffer}
+     */
+    makePacket(universe, sequence, data) {
+        // The data length has to be even.
+        const length = data.length + (data.length % 2);
+        const packet = Buffer.alloc(ARTNET_HEADER_SIZE + length);
+        ARTNET_ID.copy(packet, 0);
+        packet.writeUInt16LE(0x5000, 8); // OpDmx
+        packet.writeUInt16BE(14, 10); // Protocol version
+        packet.writeUInt8(sequence, 12);
+        packet.writeUInt8(0, 13); // Physical
+        packet.writeUInt8(universe & 0xFF, 14); // SubUni
+        packet.writeUInt8((universe >> 8) & 0x7F, 15); // Net
+        packet.writeUInt16BE(length, 16);
+        data.copy(packet, ARTNET_HEADER_SIZE);
+        return packet;
+    }
+}
+
+/**
+ * Every protocol a network output can use, by the name used in `NetworkOutputConfig.protocol`.
+ * To support another protocol, add a subclass of `UniverseOutput` here.
+ */
+const NETWORK_PROTOCOLS = {
+    e131: E131Output,
+    artnet: ArtNetOutput,
+};
+
+/**
+ * Creates the output described by `config`.
+ * @param {NetworkOutputConfig} config
+ * @param {(err: Error) => void} onError - called when sending fails
+ * @returns {UniverseOutput}
+ */
+function createNetworkOutput(config, onError) {
+    const OutputClass = NETWORK_PROTOCOLS[config.protocol];
+    if (!OutputClass) {
+        throw new Error(`${config.name}: unknown protocol '${config.protocol}'. Use one of: ${Object.keys(NETWORK_PROTOCOLS).join(', ')}.`);
+    }
+    return new OutputClass(config, onError);
+}
+
+module.exports = {
+    UniverseOutput,
+    E131Output,
+    ArtNetOutput,
+    NETWORK_PROTOCOLS,
+    createNetworkOutput,
+};
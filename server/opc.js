@@ -0,0 +1,84 @@
+// @ts-check
+'use strict';
+
+const net = require('net');
+
+/**
+ * Receiving frames over Open Pixel Control (OPC), so tools like TouchDesigner
+ * or Python scripts can drive the installation.
+ * See http://openpixelcontrol.org/ for the protocol.
+ *
+ * Every OPC message looks like this:
+ * ```
+ * Byte:     0        1        2        3        4 ...
+ * Meaning:  channel  command  lenHi    lenLo    data (length bytes)
+ * ```
+ * We only handle command 0 ("set 8-bit pixel colors"), whose data contains 3 bytes (R, G, B) per LED.
+ * Every channel is treated as the whole installation, so a message on channel 0 (the broadcast channel)
+ * and a message on channel 1 do the same thing. Other commands are ignored.
+ */
+
+/** Number of bytes in front of the data of each message. */
+const OPC_HEADER_SIZE = 4;
+/** The "set 8-bit pixel colors" command. */
+const OPC_SET_PIXEL_COLORS = 0;
+
+/**
+ * Collects bytes from a TCP stream and calls `onFrame` for every complete
+ * "set 8-bit pixel colors" message.
+ */
+class OpcParser {
+    /**
+     * @param {(frame: Buffer, channel: number) => void} onFrame
+     */
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        /** Bytes we received but haven't parsed yet. */
+        this._pending = Buffer.alloc(0);
+    }
+
+    /**
+     * @param {Buffer} chunk - bytes as they arrived from the socket
+     */
+    push(chunk) {
+        let pending = this._pending.length > 0 ? Buffer.concat([this._pending, chunk]) : chunk;
+        while (pending.length >= OPC_HEADER_SIZE) {
+            const length = pending.readUInt16BE(2);
+            if (pending.length < OPC_HEADER_SIZE + length) {
+                break;
+            }
+            const channel = pending[0];
+            const command = pending[1];
+            if (command === OPC_SET_PIXEL_COLORS) {
+                // Copy the data so that it doesn't keep the rest of the chunk alive.
+                this.onFrame(Buffer.from(pending.subarray(OPC_HEADER_SIZE, OPC_HEADER_SIZE + length)), channel);
+            }
+            pending = pending.subarray(OPC_HEADER_SIZE + length);
+        }
+        this._pending = Buffer.from(pending);
+    }
+}
+
+/**
+ * Creates a TCP server that accepts OPC clients. Call `.listen(port)` on the result to start it.
+ * @param {(frame: Buffer) => void} onFrame - called with the data of every "set 8-bit pixel colors" message
+ * @param {(action: string, ...msg: any[]) => void} log - called when clients connect, disconnect, or misbehave
+ * @returns {net.Server}
+ */
+function createOpcServer(onFrame, log) {
+    const server = net.createServer((socket) => {
+        const client = `${socket.remoteAddress}:${socket.remotePort}`;
+        log('connected', client);
+        const parser = new OpcParser(onFrame);
+        socket.on('data', (chunk) => parser.push(chunk));
+        socket.on('close', () => log('disconnected', client));
+        socket.on('error', (err) => log('ERROR', client, err.message));
+    });
+    server.on('error', (err) => log('ERROR', err.message));
+    return server;
+}
+
+module.exports = {
+    OpcParser,
+    createOpcServer,
+};
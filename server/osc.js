@@ -0,0 +1,223 @@
+// @ts-check
+'use strict';
+
+const dgram = require('dgram');
+
+/**
+ * Receiving Open Sound Control (OSC) messages over UDP, so tools like TouchOSC, Max or Pure Data
+ * can change values in the browser while a show runs.
+ * See https://opensoundcontrol.stanford.edu/spec-1_0.html for the protocol.
+ *
+ * Every message has an address like `/saved/rotation/xVal` and a list of arguments.
+ * We understand these argument types: `i` (int32), `f` (float32), `d` (float64), `h` (int64), `s` and `S` (strings),
+ * `c` (a character), `b` (blob, as an array of bytes), `T`, `F`, `N` and `I` (true, false, null and true).
+ * Bundles are unpacked into their messages, which are all handled right away, whatever their time tag says.
+ *
+ * Before a message is passed on, its address is looked up in the address table (see `OscAddressConfig`),
+ * so controllers whose addresses you can't change can still drive the values you want.
+ */
+
+/**
+ * One OSC message.
+ * @typedef {object} OscMessage
+ * @property {string} address - e.g. `'/anim/select'`
+ * @property {(number|string|boolean|null|number[])[]} args
+ */
+
+/**
+ * One entry of the address table: what to do with messages sent to `address`.
+ * @typedef {object} OscAddressConfig
+ * @property {string} address - the address the controller sends to, e.g. `'/1/fader1'`
+ * @property {string} to - the address to pass the message on as, e.g. `'/saved/rotation/xVal'`
+ * @property {number[]} [range] - `[min, max]`: scales the first argument from 0..1 (what most faders send) to min..max
+ * @property {(number|string|boolean)[]} [args] - arguments to send instead of the ones that came in, e.g. `[2]`.
+ *   Buttons send 1 when pressed and 0 when released, so with `args`, messages whose first argument is 0 or false are dropped.
+ */
+
+/** Every bundle starts with this string. */
+const BUNDLE_TAG = '#bundle';
+
+/**
+ * Reads a string that ends with a 0 byte and is padded to a multiple of 4 bytes.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{value: string, next: number}}
+ */
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end < 0) {
+        throw new Error(`A string at byte ${offset} doesn't end.`);
+    }
+    return { value: buffer.toString('utf8', offset, end), next: (end + 4) & ~3 };
+}
+
+/**
+ * Checks that `size` bytes can be read at `offset`.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} size
+ */
+function checkSize(buffer, offset, size) {
+    if (offset + size > buffer.length) {
+        throw new Error(`The packet ends in the middle of an argument at byte ${offset}.`);
+    }
+}
+
+/**
+ * Parses one message (not a bundle).
+ * @param {Buffer} buffer
+ * @returns {OscMessage}
+ */
+function parseMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error(`'${address.value}' is not an OSC address.`);
+    }
+    /** @type {OscMessage} */
+    const message = { address: address.value, args: [] };
+    if (address.next >= buffer.length) {
+        // Very old senders leave out the type tags of messages without arguments.
+        return message;
+    }
+    const typeTags = readString(buffer, address.next);
+    if (!typeTags.value.startsWith(',')) {
+        throw new Error(`The type tags of ${address.value} don't start with ','.`);
+    }
+    let offset = typeTags.next;
+    for (const type of typeTags.value.slice(1)) {
+        switch (type) {
+            case 'i':
+                checkSize(buffer, offset, 4);
+                message.args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                checkSize(buffer, offset, 4);
+                message.args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'd':
+                checkSize(buffer, offset, 8);
+                message.args.push(buffer.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 'h':
+                checkSize(buffer, offset, 8);
+                message.args.push(Number(buffer.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 'c':
+                checkSize(buffer, offset, 4);
+                message.args.push(String.fromCharCode(buffer.readUInt32BE(offset)));
+                offset += 4;
+                break;
+            case 's':
+            case 'S': {
+                const string = readString(buffer, offset);
+                message.args.push(string.value);
+                offset = string.next;
+                break;
+            }
+            case 'b': {
+                checkSize(buffer, offset, 4);
+                const size = buffer.readInt32BE(offset);
+                checkSize(buffer, offset + 4, size);
+                message.args.push(Array.from(buffer.subarray(offset + 4, offset + 4 + size)));
+                offset = (offset + 4 + size + 3) & ~3;
+                break;
+            }
+            case 'T':
+            case 'I':
+                message.args.push(true);
+                break;
+            case 'F':
+                message.args.push(false);
+                break;
+            case 'N':
+                message.args.push(null);
+                break;
+            default:
+                throw new Error(`${address.value} has an argument of type '${type}', which we don't understand.`);
+        }
+    }
+    return message;
+}
+
+/**
+ * Parses a UDP packet with an OSC message or bundle, and returns every message in it.
+ * Throws an `Error` if the packet isn't valid OSC.
+ * @param {Buffer} buffer
+ * @returns {OscMessage[]}
+ */
+function parseOscPacket(buffer) {
+    if (readString(buffer, 0).value !== BUNDLE_TAG) {
+        return [parseMessage(buffer)];
+    }
+    /** @type {OscMessage[]} */
+    const messages = [];
+    // Skip the tag and the 8-byte time tag.
+    let offset = 16;
+    while (offset < buffer.length) {
+        checkSize(buffer, offset, 4);
+        const size = buffer.readInt32BE(offset);
+        checkSize(buffer, offset + 4, size);
+        messages.push(...parseOscPacket(buffer.subarray(offset + 4, offset + 4 + size)));
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+/**
+ * Looks up `message` in the address table and returns the message to pass on,
+ * or `null` if it should be dropped. Messages to addresses that aren't in the table are passed on unchanged.
+ * @param {OscAddressConfig[]} addresses
+ * @param {OscMessage} message
+ * @returns {?OscMessage}
+ */
+function mapOscMessage(addresses, message) {
+    const entry = addresses.find((e) => e.address === message.address);
+    if (!entry) {
+        return message;
+    }
+    if (entry.args !== undefined) {
+        const first = message.args[0];
+        if (first === 0 || first === false) {
+            return null;
+        }
+        return { address: entry.to, args: entry.args };
+    }
+    const args = [...message.args];
+    if (entry.range !== undefined && typeof args[0] === 'number') {
+        const [min, max] = entry.range;
+        args[0] = min + args[0] * (max - min);
+    }
+    return { address: entry.to, args };
+}
+
+/**
+ * Creates a UDP socket that receives OSC messages. Call `.bind(port)` on the result to start it.
+ * @param {(message: OscMessage) => void} onMessage - called with every message, in the order they arrived
+ * @param {(action: string, ...msg: any[]) => void} log - called when a packet can't be parsed or the socket fails
+ * @returns {dgram.Socket}
+ */
+function createOscServer(onMessage, log) {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (packet, remote) => {
+        let messages;
+        try {
+            messages = parseOscPacket(packet);
+        } catch (err) {
+            log('ERROR', `${remote.address}:${remote.port}`, `Ignoring a packet that isn't valid OSC. ${err.message}`);
+            return;
+        }
+        messages.forEach(onMessage);
+    });
+    socket.on('error', (err) => log('ERROR', err.message));
+    return socket;
+}
+
+module.exports = {
+    parseOscPacket,
+    mapOscMessage,
+    createOscServer,
+};
@@ -0,0 +1,128 @@
+// @ts-check
+'use strict';
+
+/**
+ * Estimating how much current the LEDs draw, and dimming frames that would draw more than the power supplies can give.
+ *
+ * The model is simple: each channel (red, green or blue) of an LED draws `milliampsPerChannel` at full brightness (255)
+ * and proportionally less below that, and every LED draws `idleMilliampsPerLed` even when it is off.
+ * For WS2812 and similar LEDs, 20 mA per channel and about 1 mA idle are typical; measure yours if you can.
+ *
+ * Each supply powers a range of LEDs. If a frame would make a supply's LEDs draw more than its `maxMilliamps`,
+ * every LED of that supply is dimmed by the same factor, so the frame keeps its look, just darker.
+ */
+
+/**
+ * One power supply and the LEDs it powers.
+ * @typedef {object} PowerSupplyConfig
+ * @property {string} name - label used in the terminal and in the browser
+ * @property {number} ledStart - index of the first LED this supply powers
+ * @property {number} [ledCount] - number of LEDs this supply powers. Defaults to the rest of the frame.
+ * @property {number} maxMilliamps - the most current the LEDs may draw from this supply
+ */
+
+/**
+ * @typedef {object} PowerConfig
+ * @property {number} milliampsPerChannel - current one channel draws at full brightness
+ * @property {number} idleMilliampsPerLed - current each LED draws when it is off
+ * @property {PowerSupplyConfig[]} supplies
+ */
+
+/**
+ * What a supply would have drawn for a frame, and how much it was dimmed.
+ * @typedef {object} SupplyEstimate
+ * @property {string} name
+ * @property {number} milliamps - estimated draw before dimming
+ * @property {number} maxMilliamps
+ * @property {number} scale - factor the supply's LEDs were dimmed by: 1 if the frame was within budget
+ */
+
+/**
+ * The part of a frame that goes to one output, starting at LED `ledStart`.
+ * `limitPower` replaces `data` with a dimmed copy if needed.
+ * @typedef {object} PoweredFrame
+ * @property {number} ledStart
+ * @property {Buffer} data
+ */
+
+/**
+ * Sums the channel values of the LEDs from `startLed` up to (but not including) `endLed` of `data`.
+ * @param {Buffer} data
+ * @param {number} startLed
+ * @param {number} endLed
+ * @returns {number}
+ */
+function sumChannels(data, startLed, endLed) {
+    let sum = 0;
+    for (let i = startLed * 3; i < endLed * 3; i++) {
+        sum += data[i];
+    }
+    return sum;
+}
+
+/**
+ * Estimates the current (in milliamps) the LEDs in `data` draw.
+ * @param {PowerConfig} config
+ * @param {Buffer} data - 3 bytes per LED
+ * @returns {number}
+ */
+function estimateMilliamps(config, data) {
+    const ledCount = Math.floor(data.length / 3);
+    return sumChannels(data, 0, ledCount) / 255 * config.milliampsPerChannel + ledCount * config.idleMilliampsPerLed;
+}
+
+/**
+ * Estimates what each supply draws for a frame and dims the LEDs of supplies that would draw more than their budget.
+ * The frame is given as the parts that go to each output; if two outputs drive the same LEDs of the frame,
+ * both count, since each of them drives real LEDs.
+ * @param {PowerConfig} config
+ * @param {PoweredFrame[]} frames - changed in place: `data` is replaced by a dimmed copy where needed
+ * @returns {SupplyEstimate[]}
+ */
+function limitPower(config, frames) {
+    return config.supplies.map((supply) => {
+        const supplyStart = supply.ledStart;
+        const supplyEnd = supply.ledCount === undefined ? Infinity : supply.ledStart + supply.ledCount;
+        /** The LEDs of each frame this supply powers, as [start, end) within the frame. */
+        const overlaps = frames.map((frame) => {
+            const frameLeds = Math.floor(frame.data.length / 3);
+            const start = Math.max(supplyStart - frame.ledStart, 0);
+            const end = Math.min(supplyEnd - frame.ledStart, frameLeds);
+            return start < end ? [start, end] : null;
+        });
+
+        let channelSum = 0;
+        let ledCount = 0;
+        overlaps.forEach((overlap, i) => {
+            if (overlap !== null) {
+                channelSum += sumChannels(frames[i].data, overlap[0], overlap[1]);
+                ledCount += overlap[1] - overlap[0];
+            }
+        });
+        const activeMilliamps = channelSum / 255 * config.milliampsPerChannel;
+        const idleMilliamps = ledCount * config.idleMilliampsPerLed;
+        const milliamps = activeMilliamps + idleMilliamps;
+        if (milliamps <= supply.maxMilliamps || activeMilliamps === 0) {
+            return { name: supply.name, milliamps, maxMilliamps: supply.maxMilliamps, scale: 1 };
+        }
+
+        // Idle current can't be dimmed away, so only the rest has to fit in what's left.
+        const scale = Math.max(supply.maxMilliamps - idleMilliamps, 0) / activeMilliamps;
+        overlaps.forEach((overlap, i) => {
+            if (overlap !== null) {
+                // Copy first: the data might be shared with other outputs or the original frame.
+                const data = Buffer.from(frames[i].data);
+                for (let b = overlap[0] * 3; b < overlap[1] * 3; b++) {
+                    data[b] = Math.floor(data[b] * scale);
+                }
+                frames[i].data = data;
+            }
+        });
+        return { name: supply.name, milliamps, maxMilliamps: supply.maxMilliamps, scale };
+    });
+}
+
+module.exports = {
+    estimateMilliamps,
+    limitPower,
+};
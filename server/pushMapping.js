@@ -0,0 +1,108 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+/**
+ * Pushes the points in a mapping file to a running server, the way Grasshopper does while you work on a mapping.
+ * Pages that use the mapping swap in the points without reloading. See `createMappingPushServer` in `mappingsApi.js`.
+ *
+ * ```
+ * node pushMapping.js <points.json> [--name mappingPersp.json] [--save] [--url ws://localhost:8080/mappings]
+ * ```
+ * The mapping is pushed under the file's own name unless `--name` gives another one.
+ * `--save` also writes the points to that mapping file on the server.
+ */
+
+const DEFAULT_URL = 'ws://localhost:8080/mappings';
+/** How long to wait for the server's answer before giving up. */
+const REPLY_TIMEOUT_MS = 5000;
+
+/**
+ * Sends one mapping over the mappings websocket at `url` and returns the server's answer.
+ * Rejects if the server can't be reached, doesn't answer, or refuses the mapping.
+ * @param {string} url
+ * @param {string} name
+ * @param {any} points
+ * @param {boolean} save
+ * @returns {Promise<{type: 'pushed', name: string, ledCount: number, saved: boolean}>}
+ */
+function pushMapping(url, name, points, save) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        const timeout = setTimeout(() => {
+            ws.terminate();
+            reject(new Error(`${url} didn't answer within ${REPLY_TIMEOUT_MS}ms`));
+        }, REPLY_TIMEOUT_MS);
+        ws.on('error', (err) => {
+            clearTimeout(timeout);
+            reject(err);
+        });
+        ws.on('open', () => ws.send(JSON.stringify({ name, points, save })));
+        ws.on('message', (message) => {
+            clearTimeout(timeout);
+            ws.close();
+            const reply = JSON.parse(String(message));
+            if (reply.type === 'error') {
+                reject(new Error(reply.message));
+            } else {
+                resolve(reply);
+            }
+        });
+    });
+}
+
+/**
+ * @param {string[]} args - the command line arguments after the script's name
+ * @returns {{file: string, name: string, save: boolean, url: string}}
+ */
+function parseArgs(args) {
+    /** @type {?string} */
+    let file = null;
+    /** @type {?string} */
+    let name = null;
+    let save = false;
+    let url = DEFAULT_URL;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--save') {
+            save = true;
+        } else if (arg === '--name' || arg === '--url') {
+            const value = args[++i];
+            if (value === undefined) {
+                throw new Error(`${arg} needs a value`);
+            }
+            if (arg === '--name') {
+                name = value;
+            } else {
+                url = value;
+            }
+        } else if (arg.startsWith('--') || file !== null) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            file = arg;
+        }
+    }
+    if (file === null) {
+        throw new Error('Usage: node pushMapping.js <points.json> [--name mappingPersp.json] [--save] [--url ws://localhost:8080/mappings]');
+    }
+    return { file, name: name === null ? path.basename(file) : name, save, url };
+}
+
+if (require.main === module) {
+    (async () => {
+        const { file, name, save, url } = parseArgs(process.argv.slice(2));
+        const points = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const reply = await pushMapping(url, name, points, save);
+        console.log(`Pushed ${reply.name} (${reply.ledCount} LEDs${reply.saved ? ', saved' : ''})`);
+    })().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    pushMapping,
+};
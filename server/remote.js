@@ -0,0 +1,162 @@
+// @ts-check
+'use strict';
+
+const WebSocket = require('ws');
+
+/**
+ * Controlling the visualizer from other programs, like show control or test scripts, over the `/remote` websocket.
+ * Send JSON text messages like `{ "id": 1, "command": "set", "path": "rotation.xVal", "value": 0.5 }`.
+ * The server passes each command on to the controlling page, which carries it out, and answers with
+ * `{ "id": 1, "ok": true, "result": ... }` or `{ "id": 1, "ok": false, "error": "..." }`,
+ * using the same `id`, so replies can be matched to commands.
+ *
+ * | Command                                  | Does                                           | `result`                    |
+ * | ---------------------------------------- | ---------------------------------------------- | --------------------------- |
+ * | `{ "command": "get", "path": "a.b" }`    | reads a value of `$state.saved` (all of it without `path`) | the value             |
+ * | `{ "command": "set", "path": "a.b", "value": 1 }` | changes a value of `$state.saved`      | the new value               |
+ * | `{ "command": "selectAnimation", "animation": 2 }` | switches `$saved.animState`           | the new `animState`         |
+ * | `{ "command": "reset" }`                 | resets `$state.saved` to its defaults          | `$state.saved`              |
+ * | `{ "command": "pause" }`, `{ "command": "resume" }` | stops and restarts time in `loop()`  | `{ "isPaused" }`            |
+ * | `{ "command": "snapshot" }`              | reads the colors of the LEDs                   | `{ "ledCount", "ledData" }` |
+ *
+ * The page gets commands on the "data" websocket as `{ "type": "remote", "requestId", "command", ... }`
+ * and answers with `{ "type": "remoteReply", "requestId", "ok", "result" | "error" }`.
+ */
+
+/** Commands scripts can send over the "remote" websocket. The controlling page carries them out. */
+const REMOTE_COMMANDS = ['get', 'set', 'selectAnimation', 'reset', 'pause', 'resume', 'snapshot'];
+
+/**
+ * What a script gets back for a command.
+ * @typedef {object} RemoteAnswer
+ * @property {boolean} ok
+ * @property {any} [result]
+ * @property {string} [error]
+ */
+
+/**
+ * A page that can carry out remote commands.
+ * @typedef {object} RemotePage
+ * @property {string} id
+ * @property {WebSocket} ws - the page's "data" websocket
+ */
+
+/**
+ * Passes remote commands on to a page and its answers back to the scripts that sent them.
+ */
+class RemoteRelay {
+    /**
+     * @param {number} timeoutMs - how long a page has to answer a command
+     */
+    constructor(timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        /**
+         * Commands that were passed on to a page and haven't been answered yet, by the id we gave them.
+         * - `clientId`: the page we passed the command on to
+         * - `reply`: answers the script that sent the command
+         * @type {Map<number, {clientId: string, reply: (answer: RemoteAnswer) => void}>}
+         */
+        this._pending = new Map();
+        this._nextRequestId = 1;
+    }
+
+    /**
+     * Passes `command` on to `page`, and calls `reply` with its answer.
+     * Answers with an error if there is no page, or if it doesn't answer within `timeoutMs`.
+     * @param {RemotePage|undefined} page - the controlling page
+     * @param {object} command - `{ "command", ... }` as the script sent it, without its `id`
+     * @param {(answer: RemoteAnswer) => void} reply
+     */
+    send(page, command, reply) {
+        if (!page || page.ws.readyState !== WebSocket.OPEN) {
+            reply({ ok: false, error: 'No page is in control. Open the visualizer in a browser first.' });
+            return;
+        }
+        const requestId = this._nextRequestId++;
+        const timeout = setTimeout(() => {
+            this._pending.delete(requestId);
+            reply({ ok: false, error: `The controlling page didn't answer within ${this.timeoutMs} ms.` });
+        }, this.timeoutMs);
+        this._pending.set(requestId, {
+            clientId: page.id,
+            reply: (answer) => {
+                clearTimeout(timeout);
+                this._pending.delete(requestId);
+                reply(answer);
+            },
+        });
+        page.ws.send(JSON.stringify({ ...command, type: 'remote', requestId }));
+    }
+
+    /**
+     * Handles a `remoteReply` message from the page `clientId`.
+     * Answers from other pages than the one the command went to are ignored.
+     * @param {string} clientId
+     * @param {{requestId: number, ok: boolean, result?: any, error?: any}} message
+     */
+    receiveReply(clientId, message) {
+        const pending = this._pending.get(message.requestId);
+        if (pending && pending.clientId === clientId) {
+            pending.reply(message.ok ? { ok: true, result: message.result } : { ok: false, error: String(message.error) });
+        }
+    }
+
+    /**
+     * Answers every command still waiting for the page `clientId` with an error. Call this when the page closes.
+     * @param {string} clientId
+     */
+    pageClosed(clientId) {
+        for (const pending of [...this._pending.values()]) {
+            if (pending.clientId === clientId) {
+                pending.reply({ ok: false, error: 'The controlling page closed before answering.' });
+            }
+        }
+    }
+}
+
+/**
+ * Creates the `/remote` websocket server. Pass upgrade requests for `/remote` to its `handleUpgrade`.
+ * @param {RemoteRelay} relay
+ * @param {() => RemotePage|undefined} findController - returns the page that is in control, if any
+ * @param {(action: string, ...msg: any[]) => void} log - called with every command that changes something
+ * @returns {WebSocket.Server}
+ */
+function createRemoteServer(relay, findController, log) {
+    const remoteServer = new WebSocket.Server({ noServer: true });
+    remoteServer.on('connection', function connection(ws) {
+        ws.on('message', (message) => {
+            let request;
+            try {
+                request = JSON.parse(String(message));
+            } catch (err) {
+                ws.send(JSON.stringify({ id: null, ok: false, error: `Unable to parse message: ${err.message}` }));
+                return;
+            }
+            if (typeof request !== 'object' || request === null || Array.isArray(request)) {
+                ws.send(JSON.stringify({ id: null, ok: false, error: 'Send commands as JSON objects like {"id": 1, "command": "get", "path": "animState"}.' }));
+                return;
+            }
+            const { id = null, ...command } = request;
+            /** @param {RemoteAnswer} answer */
+            const reply = (answer) => {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ id, ...answer }));
+                }
+            };
+            if (!REMOTE_COMMANDS.includes(command.command)) {
+                reply({ ok: false, error: `Unknown command ${JSON.stringify(command.command)}. Use one of: ${REMOTE_COMMANDS.join(', ')}.` });
+                return;
+            }
+            if (!['get', 'snapshot'].includes(command.command)) {
+                log('remote', JSON.stringify(command));
+            }
+            relay.send(findController(), command, reply);
+        });
+    });
+    return remoteServer;
+}
+
+module.exports = {
+    RemoteRelay,
+    createRemoteServer,
+};
@@ -6,6 +6,14 @@
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////
 // 👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇👇
 
+/**
+ * A JSON file (relative to this folder) that overrides the defaults below for this particular rig,
+ * so you don't have to edit this file. Command-line flags override both; run `node server.js --help` to list them.
+ * `config.example.json` shows every setting. The server reloads the device settings
+ * (`baudRate`, `devices`, `networkOutputs`, `serialFraming`, `maxDeviceFramesPerSecond`, `color`, `power` and `watchdog`) when the file changes.
+ */
+const CONFIG_PATH = 'config.json';
+
 /**
  * The baud rate to use when connecting to the microcontroller
  * The units are bits/second.
@@ -14,36 +22,186 @@
  */
 const DEVICE_BAUD_RATE = 1000000;
 /**
- * Returns `true` if the passed `portInfo` matches the device you want to
- * autoconnect to. You'll probably need to change this depending
- * on the microcontroller you're using, but once you've done that,
- * your code will work even if you plug your microcontroller into
- * a different port on your computer or run it on a different computer.
- * @param {PortInfo} portInfo 
- * @returns {boolean}
+ * The microcontrollers this server should drive. Every incoming frame gets split up
+ * so that each device receives only the LEDs it is responsible for.
+ *
+ * Each entry has:
+ * - `name`: a short label used in the terminal and in the browser's status display.
+ * - `match`: describes the port this device is plugged into. Every property you list
+ *   (`vendorId`, `productId` and/or `serialNumber`) has to match for a port to be used.
+ *   A property can be a single value or an array of acceptable values, and upper/lower case is ignored.
+ *   You'll probably need to change this depending on the microcontroller you're using,
+ *   but once you've done that, your code will work even if you plug your microcontroller into
+ *   a different port on your computer or run it on a different computer.
+ *   If you use several identical boards, use `serialNumber` to tell them apart.
+ * - `ledStart`: index of the first LED (not byte!) of the frame that this device drives.
+ * - `ledCount`: [Optional] how many LEDs this device drives. Leave it out to drive every LED
+ *   from `ledStart` to the end of the frame.
+ * - `virtual`: [Optional] simulate this device inside the server instead of connecting to a real one.
+ *   The simulated microcontroller runs the same frame parser as `microcontroller/src/src.ino`
+ *   and prints the same messages, so you can try everything out without any hardware.
+ *   Set `ledCount` to the value of `TOTAL_NUM_LEDS` you want to simulate.
+ * - `color`: [Optional] overrides settings from `COLOR` for this device, e.g. `{ channelOrder: 'GRB' }`.
+ *
+ * Each device connects and reconnects on its own, so unplugging one doesn't affect the others.
+ * @type {DeviceConfig[]}
  */
-function isDesiredPortInfo(portInfo) {
-    return (portInfo.vendorId === '2341' /* Arduino */
-        || (portInfo.vendorId === '16C0' || portInfo.vendorId === '16c0' /* Teensy */));
-}
+const DEVICES = [
+    {
+        name: 'Main',
+        match: { vendorId: ['2341' /* Arduino */, '16C0' /* Teensy */] },
+        ledStart: 0,
+    },
+    // {
+    //     name: 'Second Teensy',
+    //     match: { vendorId: '16C0', serialNumber: '1234560' },
+    //     ledStart: 102,
+    //     ledCount: 102,
+    // },
+    // {
+    //     name: 'Simulated',
+    //     match: {},
+    //     ledStart: 0,
+    //     virtual: { ledCount: 102 },
+    // },
+];
+
+/**
+ * When you pick a port for a device in the browser and click "Remember", the server saves
+ * that port's identifiers (vendorId, productId, serialNumber) in this file, relative to this folder.
+ * A remembered port takes priority over the `match` in `DEVICES`, even after restarting the server.
+ * Delete the file (or click "Forget") to go back to using `match` alone.
+ */
+const REMEMBERED_PORTS_PATH = 'remembered-ports.json';
+
+/**
+ * Ethernet pixel controllers to send frames to, in addition to the microcontrollers in `DEVICES`.
+ *
+ * Each entry has:
+ * - `name`: a short label used in the terminal.
+ * - `protocol`: `'e131'` (also called sACN) or `'artnet'`. Check which one your pixel controller understands.
+ * - `host`: [Optional] IP address of the pixel controller. Leave it out to use multicast (E1.31) or broadcast (Art-Net).
+ * - `port`: [Optional] UDP port. Defaults to 5568 for E1.31 and 6454 for Art-Net.
+ * - `startUniverse`: the universe for the first LEDs of this output. If the LEDs don't fit in one universe,
+ *   the rest continue in the next universes (`startUniverse + 1`, `startUniverse + 2`, ...).
+ * - `channelsPerUniverse`: [Optional] how many channels to use in each universe. Defaults to 510, which fits 170 LEDs.
+ * - `priority`: [Optional] E1.31 only. Receivers listen to the sender with the highest priority (0-200). Defaults to 100.
+ * - `ledStart` and `ledCount`: the range of LEDs this output sends, just like in `DEVICES`.
+ * - `color`: [Optional] overrides settings from `COLOR` for this output, just like in `DEVICES`.
+ * @type {NetworkOutputConfig[]}
+ */
+const NETWORK_OUTPUTS = [
+    // {
+    //     name: 'Facade',
+    //     protocol: 'e131',
+    //     host: '192.168.1.50',
+    //     startUniverse: 1,
+    //     ledStart: 102,
+    //     ledCount: 340,
+    // },
+];
+
+/**
+ * How frames are packaged when they are sent to the microcontroller.
+ * This needs to match `USE_CHECKED_FRAMING` in the microcontroller code.
+ * - `'legacy'`: every frame starts with 0xFF. LED data can't use 0xFF, so no channel
+ *   can reach full brightness, and corrupted bytes go unnoticed.
+ *   Use this with `#define USE_CHECKED_FRAMING 0`.
+ * - `'checked'`: every frame starts with a header that contains its length and a sequence number,
+ *   and ends with a checksum. LED data can use the full 0-255 range, and the microcontroller
+ *   drops corrupted frames instead of showing them.
+ *   Use this with `#define USE_CHECKED_FRAMING 1`.
+ * - `'compressed'`: like `'checked'`, but most frames only contain the LEDs that changed since the previous frame,
+ *   with runs of the same color sent only once. Use this for large installations where full frames
+ *   take too long to send. Also use this with `#define USE_CHECKED_FRAMING 1`.
+ * @type {'legacy'|'checked'|'compressed'}
+ */
+const SERIAL_FRAMING = 'legacy';
+
+/**
+ * With `'compressed'` framing, every this many frames a full frame is sent instead of only the changes,
+ * so a microcontroller that missed a frame shows the right colors again soon.
+ */
+const KEYFRAME_INTERVAL = 30;
+
+/**
+ * The most frames per second the server sends to each microcontroller.
+ * If frames arrive faster than this (or faster than the baud rate can carry them),
+ * the server skips the stale ones and always sends the newest frame next,
+ * so the LEDs never lag behind the browser. Set this to `0` to send as fast as the port allows.
+ */
+const MAX_DEVICE_FRAMES_PER_SECOND = 60;
+
+/**
+ * Color correction applied to the frames of every device and network output, right before they are sent.
+ * The browser sends linear colors; these settings make them look right on your particular LEDs.
+ * A device or network output can override any of them with its own `color` property.
+ * - `gamma`: LEDs look far too bright at low values. A gamma of 2.2 to 2.8 makes fades look even. 1 changes nothing.
+ * - `whitePoint`: `[red, green, blue]` from 0 to 1. Lower a channel if white looks tinted, e.g. `[1, 0.85, 0.7]` for a bluish strip.
+ * - `brightness`: from 0 to 1. Limits the brightness of every LED, e.g. to stay within what the power supply can handle.
+ * - `channelOrder`: the order in which each LED's channels are sent: 'RGB', 'RBG', 'GRB', 'GBR', 'BRG' or 'BGR'.
+ *   The microcontroller code already reorders channels for the strip it was written for (see `addLeds` in `src.ino`),
+ *   so only change this if a batch of strips shows the wrong colors, e.g. red and green swapped.
+ * @type {import('./color').ColorConfig}
+ */
+const COLOR = {
+    gamma: 1,
+    whitePoint: [1, 1, 1],
+    brightness: 1,
+    channelOrder: 'RGB',
+};
+
+/**
+ * How much current the LEDs draw, and how much each power supply can give.
+ * The server estimates the current of every frame (after `COLOR`) and shows it in the browser.
+ * If a frame would draw more from a supply than its `maxMilliamps`, the LEDs of that supply are dimmed until it fits,
+ * so an animation can't brown out the supply.
+ * - `milliampsPerChannel`: current one channel (red, green or blue) of an LED draws at full brightness.
+ *   20 is typical for WS2812 LEDs, so a full white LED draws 60 mA.
+ * - `idleMilliampsPerLed`: current each LED draws even when it is off.
+ * - `supplies`: the power supplies and the LEDs they power. Each has a `name`, a `maxMilliamps`,
+ *   and `ledStart` and `ledCount` just like in `DEVICES`. Leave some headroom: use about 80% of what the supply is rated for.
+ * @type {import('./power').PowerConfig}
+ */
+const POWER = {
+    milliampsPerChannel: 20,
+    idleMilliampsPerLed: 1,
+    supplies: [
+        // {
+        //     name: '5V 10A',
+        //     ledStart: 0,
+        //     maxMilliamps: 8000,
+        // },
+    ],
+};
 
 /**
  * Given a specific `device` and `buffer`, sends the buffer to the device,
  * along with any other bytes the device might need for things like synchronization.
- * @param {SerialPort} device 
+ * Calls `callback` once every byte has been sent, so the server knows when the device is ready for the next frame.
+ * @param {DevicePort} device 
  * @param {Buffer} buffer 
+ * @param {(err?: ?Error) => void} callback
  */
-function forwardBufferToDevice(device, buffer) {
-    // We use 0xFF to indicate the start of a frame
-    device.write([0xFF]);
-    for (let i = 0; i < buffer.length; i++) {
-        // If we see 0xFF in the regular buffer, use 0xFE instead.
-        // This will guarantee that 0xFF will only be used to indicate message starts
-        // at the cost of slightly reducing the total range of outputs;
-        // you can't set an LED to full brightness.
-        buffer[i] = buffer[i] === 0xFF ? 0xFE : buffer[i];
+function forwardBufferToDevice(device, buffer, callback) {
+    if (settings.serialFraming === 'compressed') {
+        device.write(encodeCompressedFrame(device, buffer));
+    } else if (settings.serialFraming === 'checked') {
+        device.write(framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, nextSequenceNumber(device), buffer));
+    } else {
+        // We use 0xFF to indicate the start of a frame
+        device.write([0xFF]);
+        // Copy the buffer first, since other outputs might share it.
+        const data = Buffer.from(buffer);
+        for (let i = 0; i < data.length; i++) {
+            // If we see 0xFF in the regular buffer, use 0xFE instead.
+            // This will guarantee that 0xFF will only be used to indicate message starts
+            // at the cost of slightly reducing the total range of outputs;
+            // you can't set an LED to full brightness.
+            data[i] = data[i] === 0xFF ? 0xFE : data[i];
+        }
+        device.write(data);
     }
-    device.write(buffer);
 
     // Example message. Might be useful for debugging color channel ordering.
     // device.write([
@@ -58,9 +216,106 @@ function forwardBufferToDevice(device, buffer) {
     // For debugging what is sent in the buffer:
     // console.log(buffer);
 
-    device.drain();
+    device.drain(callback);
 }
 
+/**
+ * Settings for recording and playing back "shows": frames saved to a file along with their timing.
+ * - `recordDirectory`: if set, every frame from the browser that reaches the LEDs is also recorded
+ *   into a new show file in this directory (relative to the `server` folder). Each time the server
+ *   starts, it creates a new file named after the current date and time.
+ *   Browser frames that lose out to another source (see `INPUT_PRIORITY`) aren't recorded.
+ * - `playbackPath`: if set, the server plays this show file (relative to the `server` folder) to the devices
+ *   as soon as it starts, so the installation keeps running without a browser.
+ *   While a browser is sending frames, the browser's frames are shown instead.
+ * - `loop`: start the show over after its last frame.
+ * - `speed`: playback speed. 2 plays twice as fast, 0.5 plays at half speed.
+ */
+const SHOWS = {
+    recordDirectory: null,
+    playbackPath: null,
+    loop: true,
+    speed: 1,
+};
+
+/**
+ * The TCP port where the server listens for Open Pixel Control (OPC) clients, like TouchDesigner
+ * or Python scripts. 7890 is the usual OPC port. Set this to `null` to turn OPC input off.
+ * @type {?number}
+ */
+const OPC_PORT = 7890;
+
+/**
+ * Open Sound Control (OSC) input, so TouchOSC, Max, Pure Data and the like can change values in the browser.
+ * OSC messages are relayed to every open page:
+ * - `/saved/<path>` sets a value of `$state.saved`, e.g. `/saved/rotation/xVal 0.5`
+ * - `/anim/select <number>` switches `$saved.animState` to the animation with that index
+ * - `port`: the UDP port to listen on. Point your controller's outgoing port here. Set this to `null` to turn OSC input off.
+ * - `addresses`: passes messages from controllers whose addresses you can't change on as the addresses above.
+ *   Each entry has an `address` (what the controller sends), a `to` (what to pass it on as),
+ *   and optionally a `range` (`[min, max]` to scale a 0..1 fader to) or fixed `args` (for buttons). See `osc.js`.
+ * @type {{port: ?number, addresses: import('./osc').OscAddressConfig[]}}
+ */
+const OSC = {
+    port: 9000,
+    addresses: [
+        // { address: '/1/fader1', to: '/saved/rotation/xVal', range: [-1, 1] },
+        // { address: '/1/toggle1', to: '/saved/rotation/x' },
+        // { address: '/1/push1', to: '/anim/select', args: [0] },
+        // { address: '/1/push2', to: '/anim/select', args: [1] },
+    ],
+};
+
+/**
+ * What the LEDs do when frames stop arriving, e.g. because the browser tab crashed, froze or shows an error.
+ * Without this, the LEDs keep showing the last frame they got.
+ * Once no source (see `INPUT_PRIORITY`) has sent a frame for `timeoutMs`, the server sends frames of its own,
+ * fading from the last frame to the fallback. As soon as any source sends a frame again, the server stops and that source is in control.
+ * - `timeoutMs`: how long (in milliseconds) frames may stop before the server steps in. Set this to `null` to keep the last frame forever.
+ *   Its frames only reach the LEDs once every other source has been quiet for `SOURCE_IDLE_MS`, so use at least that.
+ * - `fallback`: `'black'` fades the LEDs out, `'pattern'` plays `pattern`, and `'show'` plays the show file at `showPath` in a loop.
+ * - `fadeMs`: how long the fade from the last frame to the fallback takes.
+ * - `pattern`: `'breathe'` (all LEDs slowly breathing in `color`) or `'rainbow'`.
+ * - `color`: `[red, green, blue]` from 0 to 255, for the `'breathe'` pattern.
+ * - `showPath`: a show file (see `SHOWS`), relative to the `server` folder.
+ * @type {import('./watchdog').WatchdogConfig}
+ */
+const WATCHDOG = {
+    timeoutMs: 5000,
+    fallback: 'black',
+    fadeMs: 2000,
+    pattern: 'breathe',
+    color: [255, 120, 40],
+    showPath: null,
+};
+
+/**
+ * Where frames can come from, from highest to lowest priority:
+ * - `'opc'`: Open Pixel Control clients (see `OPC_PORT`)
+ * - `'browser'`: the visualizer in your browser
+ * - `'show'`: a show file being played back (see `SHOWS`)
+ *
+ * If several sources are sending frames at the same time, only frames from the one with the highest
+ * priority reach the LEDs. A source counts as "sending" until it has been quiet for `SOURCE_IDLE_MS`,
+ * after which the next source in line takes over.
+ * OPC comes first because a browser page is almost always open and sending, while an OPC client only sends
+ * when someone starts it on purpose; if the browser came first, OPC frames would never reach the LEDs.
+ * @type {FrameSource[]}
+ */
+const INPUT_PRIORITY = ['opc', 'browser', 'show'];
+/**
+ * How long (in milliseconds) a source has to stop sending frames before a lower-priority source can take over.
+ */
+const SOURCE_IDLE_MS = 1000;
+
+/**
+ * Several browsers can be open at once, but only one of them, the "controller", sends frames to the LEDs.
+ * The others are "viewers": they show the frames the LEDs are showing, and they can take control when needed.
+ * If the controller closes its page, it has this many milliseconds to come back (e.g. after a reload)
+ * before the next page that opens takes control automatically.
+ */
+const CONTROL_RECLAIM_MS = 3000;
+
 /**
  * The port where this webserver runs.
  * You'll be able to open http://localhost:BROWSER_PORT/
@@ -68,6 +323,11 @@ function forwardBufferToDevice(device, buffer) {
  */
 const BROWSER_PORT = 8080;
 
+/**
+ * The directory (relative to this folder) with the webapp's files.
+ */
+const FRONT_DIRECTORY = 'front';
+
 // 👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆👆
 /////////////////////////////////////////////////////////////////////////////////////////////////////////
 /////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -76,11 +336,74 @@ const BROWSER_PORT = 8080;
 /////////////////////////////////////////////////////////////////////////////////////////////////////////
 /////////////////////////////////////////////////////////////////////////////////////////////////////////
 /////////////////////////////////////////////////////////////////////////////////////////////////////////
-const fs = require('fs'),
-    http = require('http');
+const crypto = require('crypto'),
+    fs = require('fs'),
+    http = require('http'),
+    path = require('path');
 const WebSocket = require('ws');
 const SerialPort = require('serialport');
 const Delimiter = require('@serialport/parser-delimiter')
+const framing = require('./framing');
+const { Control, pickClientId } = require('./control');
+const { sliceFrameForRange, SourcePriority, FramePacer } = require('./frames');
+const { VirtualSerialPort } = require('./virtualDevice');
+const { ShowRecorder, ShowPlayer, readShow } = require('./show');
+const { createNetworkOutput } = require('./networkOutputs');
+const { createOpcServer } = require('./opc');
+const { createOscServer, mapOscMessage } = require('./osc');
+const { parseDeviceLine, parseSensorLine } = require('./telemetry');
+const { createColorPipeline } = require('./color');
+const { estimateMilliamps, limitPower } = require('./power');
+const { Watchdog } = require('./watchdog');
+const { describeFlags, loadSettings, watchConfigFile } = require('./settings');
+const { createStaticFileHandler } = require('./staticFiles');
+const { createMappingsApi, createMappingPushServer } = require('./mappingsApi');
+const { RemoteRelay, createRemoteServer } = require('./remote');
+
+/**
+ * Everything in the CONFIG block that a config file or command-line flag can override.
+ * @type {import('./settings').Settings}
+ */
+const DEFAULT_SETTINGS = {
+    baudRate: DEVICE_BAUD_RATE,
+    devices: DEVICES,
+    networkOutputs: NETWORK_OUTPUTS,
+    serialFraming: SERIAL_FRAMING,
+    maxDeviceFramesPerSecond: MAX_DEVICE_FRAMES_PER_SECOND,
+    color: COLOR,
+    power: POWER,
+    osc: OSC,
+    watchdog: WATCHDOG,
+    keyframeInterval: KEYFRAME_INTERVAL,
+    shows: SHOWS,
+    opcPort: OPC_PORT,
+    inputPriority: INPUT_PRIORITY,
+    httpPort: BROWSER_PORT,
+    frontRoot: FRONT_DIRECTORY,
+};
+
+/** Command-line flags only apply when this file is run directly, not when it is loaded by another script. */
+const ARGV = require.main === module ? process.argv.slice(2) : [];
+
+/**
+ * The settings the server runs with: the CONFIG block, overridden by the config file and command-line flags.
+ * Replaced when the config file changes (see `reloadSettings`).
+ * @type {import('./settings').Settings}
+ */
+let settings;
+/** The config file the settings came from, whether or not it exists. */
+let configPath;
+try {
+    let help;
+    ({ settings, configPath, help } = loadSettings(DEFAULT_SETTINGS, ARGV, path.resolve(__dirname, CONFIG_PATH)));
+    if (help) {
+        console.log(describeFlags());
+        process.exit(0);
+    }
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 // See https://stackoverflow.com/questions/9781218/how-to-change-node-jss-console-font-color
 const ANSI_COLORS = {
@@ -118,7 +441,7 @@ const ANSI_COLORS = {
 
 /**
  * This is a union of all the different possible states we might be in at any given point in time.
- * @typedef {DeviceState_Scanning|DeviceState_UnableToConnect|DeviceState_Connected} DeviceState
+ * @typedef {DeviceState_Scanning|DeviceState_UnableToConnect|DeviceState_Connected|DeviceState_Disconnected} DeviceState
  */
 /**
  * One of the possible types of `DeviceState`.
@@ -138,6 +461,12 @@ const ANSI_COLORS = {
 * @property {'Connected'} status
 * @property {PortInfo} details - details for the device to which we are connected
 */
+/**
+ * One of the possible types of `DeviceState`.
+ * The browser asked us to disconnect, so we won't scan for the device until it asks us to connect again.
+ * @typedef {object} DeviceState_Disconnected
+ * @property {'Disconnected'} status
+ */
 
 /**
  * Information about a device. Can be used to auto-connect to it even when plugged in to a different port or computer.
@@ -151,56 +480,187 @@ const ANSI_COLORS = {
  * @property {string} [pnpId] - Example: `'USB\\VID_2341&PID_0043\\752303138333518011C1'`. Plug and Play ID. Windows only?
  */
 
+/**
+ * Describes which port a device is plugged into.
+ * Every listed property has to match; each one may list several acceptable values.
+ * @typedef {object} PortMatcher
+ * @property {string|string[]} [vendorId]
+ * @property {string|string[]} [productId]
+ * @property {string|string[]} [serialNumber]
+ */
 
-/** 
- * If we are connected to a device, this will contain a reference
- * to the `SerialPort` we use to communicated with that device.
- * Otherwise it will contain `null`.
- * @type {?SerialPort}
+/**
+ * A range of LEDs within a frame.
+ * @typedef {import('./frames').LedRange} LedRange
  */
-let connectedDevice = null;
 
 /**
- * This tracks the current state we are in.
- * It will change as devices get plugged in/unplugged and
- * as we discover a device to which we want to connect.
- * @type {DeviceState}
+ * One entry of the `NETWORK_OUTPUTS` table.
+ * @typedef {import('./networkOutputs').NetworkOutputConfig} NetworkOutputConfig
  */
-let currDeviceState = {
-    status: 'Scanning',
-    found: []
-};
+
+/**
+ * One entry of the `DEVICES` table.
+ * @typedef {object} DeviceConfig
+ * @property {string} name - label used in logs and in the browser
+ * @property {PortMatcher} match - which port belongs to this device
+ * @property {number} ledStart - index of the first LED this device drives
+ * @property {number} [ledCount] - number of LEDs this device drives. Defaults to the rest of the frame.
+ * @property {{ledCount: number}} [virtual] - if present, simulate this device instead of connecting to a serial port
+ * @property {import('./color').ColorConfig} [color] - overrides `COLOR` for this device
+ */
+
+/**
+ * Either a real serial port or a simulated one.
+ * @typedef {SerialPort|VirtualSerialPort} DevicePort
+ */
+
+/**
+ * Everything we track about one entry of `DEVICES` while the server is running.
+ * @typedef {object} Device
+ * @property {DeviceConfig} config
+ * @property {?DevicePort} port - the port we use to communicate with this device, or `null` if we aren't connected.
+ * @property {DeviceState} currState - the state this device is in right now.
+ *   It will change as devices get plugged in/unplugged and as we discover a port to which we want to connect.
+ * @property {?DeviceState} prevState - the state this device was in before the current state.
+ *   We use it to determine if the state has changed, so we can send messages only if the state has changed.
+ * @property {FramePacer} pacer - sends this device's frames one at a time, respecting `MAX_DEVICE_FRAMES_PER_SECOND`,
+ *   and counts how many were sent and skipped
+ * @property {?string} requestedPath - a port the browser asked us to connect to. Tried once, on the next scan.
+ * @property {boolean} isStopped - `true` after the browser asked us to disconnect, until it asks us to connect again
+ * @property {?PortMatcher} remembered - the port remembered for this device, if any (see `REMEMBERED_PORTS_PATH`)
+ * @property {boolean} isRemoved - `true` once the device was removed from the config file. Stops `scanForDevice`.
+ */
+
 /**
- * This is the state we were in before the current state.
- * We use it to determine if our state has changed, so we
- * can send messages only if the state has changed. 
- * @type {?DeviceState}*/
-let prevDeviceState = null;
+ * Counts of what happened to the frames meant for one device.
+ * @typedef {import('./frames').FrameStats} FrameStats
+ */
+
+/**
+ * Reads the ports remembered for each device from `REMEMBERED_PORTS_PATH`, keyed by device name.
+ * Returns an empty object if the file doesn't exist yet or can't be read.
+ * @returns {Object<string, PortMatcher>}
+ */
+function loadRememberedPorts() {
+    const filePath = path.resolve(__dirname, REMEMBERED_PORTS_PATH);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Unable to read remembered ports from ${filePath}. Ignoring them.`, err.message);
+        }
+        return {};
+    }
+}
+
+/**
+ * Writes the port remembered for every device to `REMEMBERED_PORTS_PATH`.
+ */
+function saveRememberedPorts() {
+    /** @type {Object<string, PortMatcher>} */
+    const remembered = {};
+    for (const device of devices) {
+        if (device.remembered !== null) {
+            remembered[device.config.name] = device.remembered;
+        }
+    }
+    fs.writeFileSync(path.resolve(__dirname, REMEMBERED_PORTS_PATH), JSON.stringify(remembered, null, 4) + '\n');
+}
+
+const rememberedPorts = loadRememberedPorts();
+
+/**
+ * One entry per microcontroller listed in `DEVICES`.
+ * @type {Device[]}
+ */
+const devices = settings.devices.map(createDevice);
+
+/**
+ * Creates the `Device` for one entry of `DEVICES`. It isn't connected until `scanForDevice` finds its port.
+ * @param {DeviceConfig} config
+ * @returns {Device}
+ */
+function createDevice(config) {
+    /** @type {Device} */
+    const device = {
+        config,
+        port: null,
+        currState: {
+            status: 'Scanning',
+            found: []
+        },
+        prevState: null,
+        pacer: new FramePacer((frame, done) => {
+            if (device.port !== null) {
+                forwardBufferToDevice(device.port, frame, done);
+            }
+        }, () => settings.maxDeviceFramesPerSecond),
+        requestedPath: null,
+        isStopped: false,
+        isRemoved: false,
+        remembered: rememberedPorts[config.name] || null,
+    };
+    return device;
+}
+
+/**
+ * Every serial port we found the last time we listed them.
+ * @type {PortInfo[]}
+ */
+let availablePorts = [];
+
 
+/**
+ * A browser page connected to the "data" websocket.
+ * @typedef {object} DataClient
+ * @property {string} id - identifies the page. The page keeps it across reloads, so it can keep control.
+ *   Every page learns the id of the controller, so it proves nothing about who is asking.
+ * @property {string} statusKey - a secret that only this page gets, which it sends on the "status" websocket
+ *   so the server knows which page is asking there
+ * @property {WebSocket} ws
+ */
 
 /**
- * We maintain several connections to a single webapp at a time using websockets.
+ * We maintain several connections to every open webapp using websockets.
  * Each websocket has a diffrent purpose.
  */
 const websockets = {
     /**
-     * Allows the browser to send messages to the server that
+     * Allows the controlling browser to send messages to the server that
      * the server will pass on to the microcontroller.
-     * @type {?WebSocket} */
-    data: null,
+     * Viewers receive the frames that are sent to the microcontroller through it.
+     * @type {Set<DataClient>} */
+    data: new Set(),
     /**
      * Reports the status of the server to the webapp, so that the
      * webapp will know what the server is doing (scanning, connected to a device, etc...).
-     * @type {?WebSocket} */
-    status: null,
+     * @type {Set<WebSocket>} */
+    status: new Set(),
     /** 
      * The server posts to this when a frontend file has been modified.
      * That allows the webapp to live reload when frontend code changes.
-     * @type {?WebSocket}
+     * @type {Set<WebSocket>}
      */
-    update: null,
+    update: new Set(),
 };
 
+/** Which page is allowed to send frames, if any. */
+const control = new Control(CONTROL_RECLAIM_MS);
+
+/**
+ * Sends `payload` to every open websocket in `sockets`.
+ * @param {Iterable<WebSocket>} sockets
+ * @param {string|Buffer} payload
+ */
+function broadcast(sockets, payload) {
+    for (const ws of sockets) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(payload);
+        }
+    }
+}
+
 /**
  * Returns true if the two passed device states, `a` and `b`, are sufficiently
  * equivalent that we don't need to report that something changed.
@@ -232,6 +692,7 @@ function areStatesApproxEqual(a, b) {
                 }
                 break;
             case 'UnableToConnect':
+            case 'Disconnected':
                 return true;
         }
     }
@@ -239,61 +700,102 @@ function areStatesApproxEqual(a, b) {
 }
 
 /**
- * If the device state has changed since the lass call to this function,
+ * Sends `message` to the webapp over the "status" websocket, if it is connected.
+ * @param {object} message - will be converted to JSON
+ */
+function sendStatus(message) {
+    broadcast(websockets.status, JSON.stringify(message));
+}
+
+/**
+ * Builds the message we send over the "status" websocket to describe `device`.
+ * @param {Device} device
+ * @returns {string}
+ */
+function makeDeviceStatusMessage(device) {
+    return JSON.stringify({
+        type: 'device',
+        name: device.config.name,
+        state: device.currState,
+        remembered: device.remembered,
+        isVirtual: !!device.config.virtual
+    });
+}
+
+/**
+ * If the state of `device` has changed since the last call to this function,
  * logs information about the change to the console where the server is running
  * and also sends the current device state to the "status" websocket.
+ * @param {Device} device
  * @returns {void}
  */
-function reportDeviceStateIfChanged() {
-    if (!areStatesApproxEqual(prevDeviceState, currDeviceState)) {
+function reportDeviceStateIfChanged(device) {
+    if (device.isRemoved) {
+        return;
+    }
+    if (!areStatesApproxEqual(device.prevState, device.currState)) {
         console.log('~~~~~~~~~~~~~~~~~~~');
-        console.log('deviceState:');
-        console.log(currDeviceState);
+        console.log(`deviceState [${device.config.name}]:`);
+        console.log(device.currState);
         console.log('~~~~~~~~~~~~~~~~~~~');
-        prevDeviceState = currDeviceState;
+        device.prevState = device.currState;
 
-        if (websockets.status) {
-            websockets.status.send(JSON.stringify(currDeviceState));
-        }
+        broadcast(websockets.status, makeDeviceStatusMessage(device));
+    }
+}
+
+/**
+ * Parses a line printed by `device` and sends the resulting event over the "status" websocket,
+ * so the browser can show problems like frames of the wrong size.
+ * @param {Device} device
+ * @param {string} line
+ */
+function reportDeviceLine(device, line) {
+    const event = parseDeviceLine(line);
+    if (event.text !== '') {
+        sendStatus({ type: 'telemetry', name: device.config.name, event });
     }
 }
 
 /**
- * Sets `deviceState` to the Scanning state.
+ * Sets the state of `device` to the Scanning state.
  * Stores info about what devices we've found thus far.
+ * @param {Device} device
  * @param {PortInfo[]} foundSoFar
  */
-function setDeviceStateScanning(foundSoFar) {
-    currDeviceState = {
+function setDeviceStateScanning(device, foundSoFar) {
+    device.currState = {
         status: 'Scanning',
         found: foundSoFar
     };
-    reportDeviceStateIfChanged();
+    reportDeviceStateIfChanged(device);
 }
 
 /**
- * Sets `deviceState` to the UnableToConnect state.
+ * Sets the state of `device` to the UnableToConnect state.
  * Stores the error that prevented connection.
+ * @param {Device} device
  * @param {Error} err
  */
-function setDeviceStateUnableToConnect(err) {
-    currDeviceState = {
+function setDeviceStateUnableToConnect(device, err) {
+    device.currState = {
         status: 'UnableToConnect',
         err
     };
-    reportDeviceStateIfChanged();
+    reportDeviceStateIfChanged(device);
 }
 
 /**
- * Sets `deviceState` to the Connected state.
- * Stores simple serializable info a
+ * Sets the state of `device` to the Connected state.
+ * Stores simple serializable info about the port we connected to.
+ * @param {Device} device
  * @param {string} path 
  * @param {?string} vendorId 
  * @param {?string} productId 
  * @param {?string} serialNumber 
  */
-function setDeviceStateConnected(path, vendorId, productId, serialNumber) {
-    currDeviceState = {
+function setDeviceStateConnected(device, path, vendorId, productId, serialNumber) {
+    device.currState = {
         status: 'Connected',
         details: {
             path,
@@ -302,9 +804,32 @@ function setDeviceStateConnected(path, vendorId, productId, serialNumber) {
             serialNumber
         }
     };
-    reportDeviceStateIfChanged();
+    reportDeviceStateIfChanged(device);
+}
+
+/**
+ * Sets the state of `device` to the Disconnected state.
+ * @param {Device} device
+ */
+function setDeviceStateDisconnected(device) {
+    device.currState = {
+        status: 'Disconnected'
+    };
+    reportDeviceStateIfChanged(device);
 }
 
+/**
+ * Sets the state of `device` after its port closed: Disconnected if the browser asked us to disconnect,
+ * otherwise Scanning, so we connect again as soon as the device shows up.
+ * @param {Device} device
+ */
+function setDeviceStateAfterClose(device) {
+    if (device.isStopped) {
+        setDeviceStateDisconnected(device);
+    } else {
+        setDeviceStateScanning(device, NO_DEVICES);
+    }
+}
 
 /**
  * Sleep for the specified number of milliseconds.
@@ -315,143 +840,978 @@ async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Returns `true` if the passed `portInfo` has every property listed in `matcher`.
+ * Comparisons ignore upper/lower case because different operating systems
+ * report ids like `16C0` and `16c0` differently.
+ * @param {PortInfo} portInfo
+ * @param {PortMatcher} matcher
+ * @returns {boolean}
+ */
+function doesPortInfoMatch(portInfo, matcher) {
+    for (const key of ['vendorId', 'productId', 'serialNumber']) {
+        if (matcher[key] === undefined) {
+            continue;
+        }
+        const actual = portInfo[key];
+        if (typeof actual !== 'string') {
+            return false;
+        }
+        const accepted = Array.isArray(matcher[key]) ? matcher[key] : [matcher[key]];
+        if (!accepted.some((value) => value.toLowerCase() === actual.toLowerCase())) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Returns `true` if a device other than `device` is already using the port at `path`.
+ * This keeps two entries with similar matchers from fighting over the same port.
+ * @param {Device} device
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isPortClaimedByOtherDevice(device, path) {
+    return devices.some((other) => other !== device && other.port !== null && other.port.path === path);
+}
+
+/**
+ * The sequence number of the next checked packet for each port.
+ * @type {WeakMap<DevicePort, number>}
+ */
+const sequenceNumbers = new WeakMap();
+
+/**
+ * Returns the sequence number to use for the next packet sent to `port` and advances it.
+ * @param {DevicePort} port
+ * @returns {number}
+ */
+function nextSequenceNumber(port) {
+    const sequence = sequenceNumbers.get(port) || 0;
+    sequenceNumbers.set(port, (sequence + 1) & 0xFF);
+    return sequence;
+}
+
+/**
+ * For `'compressed'` framing: the last frame sent to each port, and how many frames were sent since the last full frame.
+ * @type {WeakMap<DevicePort, {frame: Buffer, framesSinceKeyframe: number}>}
+ */
+const compressionStates = new WeakMap();
+
+/**
+ * Packages `frame` for `port` as a delta frame against the previous frame,
+ * or as a full frame if it is the first frame, a keyframe is due (see `KEYFRAME_INTERVAL`),
+ * or a delta frame wouldn't be smaller.
+ * @param {DevicePort} port
+ * @param {Buffer} frame
+ * @returns {Buffer}
+ */
+function encodeCompressedFrame(port, frame) {
+    const state = compressionStates.get(port);
+    let payload = null;
+    if (state && state.frame.length === frame.length && state.framesSinceKeyframe + 1 < settings.keyframeInterval) {
+        payload = framing.encodeDeltaPayload(state.frame, frame);
+    }
+    compressionStates.set(port, {
+        frame: Buffer.from(frame),
+        framesSinceKeyframe: payload === null ? 0 : state.framesSinceKeyframe + 1,
+    });
+    return payload === null
+        ? framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, nextSequenceNumber(port), frame)
+        : framing.encodePacket(framing.PACKET_TYPES.DELTA_FRAME, nextSequenceNumber(port), payload);
+}
+
 const NO_DEVICES = [];
 /**
- * Continuously scan for devices while we are not connected to a device.
- * Sets `connectedDevice` and `currDeviceState` based on the scan result.
+ * Opens the port described by `info` for `device` and keeps `device.port` and `device.currState` up to date
+ * as the port opens, fails, or closes.
+ * @param {Device} device
+ * @param {PortInfo} info - the port to open
+ * @param {PortInfo[]} deviceList - every port we found while scanning, reported if opening fails
+ */
+function connectToPort(device, info, deviceList) {
+    /** @param {?Error} err */
+    const onOpened = (err) => {
+        if (err) {
+            // Something went wrong when opening the port!
+            device.port = null;
+            setDeviceStateUnableToConnect(device, err);
+            setDeviceStateScanning(device, deviceList);
+        } else {
+            port.flush();
+            const parser = port.pipe(new Delimiter({ delimiter: '\n' }));
+            parser.setEncoding('utf8');
+            parser.on('data', (read) => {
+                const readings = parseSensorLine(read);
+                if (readings !== null) {
+                    // Sensor readings arrive many times per second; pass them on without logging them.
+                    sendStatus({ type: 'sensors', name: device.config.name, values: readings });
+                    return;
+                }
+                logDevice(device.config.name, 'says', read);
+                reportDeviceLine(device, read);
+            });
+
+            // Device opened sucessfully
+            setDeviceStateConnected(device, info.path, info.vendorId, info.productId, info.serialNumber);
+        }
+    };
+    /** @type {DevicePort} */
+    const port = device.config.virtual
+        ? new VirtualSerialPort(info.path, {
+            baudRate: settings.baudRate,
+            ledCount: device.config.virtual.ledCount,
+            framing: settings.serialFraming
+        }, onOpened)
+        : new SerialPort(info.path, { baudRate: settings.baudRate }, onOpened);
+    port.on('close', () => {
+        logDevice(device.config.name, 'CLOSED');
+        device.port = null;
+        device.pacer.reset();
+        setDeviceStateAfterClose(device);
+    });
+    port.on('error', (err) => {
+        logDevice(device.config.name, 'ERROR', err);
+        device.port = null;
+        device.pacer.reset();
+        setDeviceStateAfterClose(device);
+    });
+    device.port = port;
+}
+
+/**
+ * Continuously scan for a port matching `device` while it isn't connected.
+ * Sets `device.port` and `device.currState` based on the scan result.
+ * Virtual devices connect immediately, without scanning.
+ * @param {Device} device
  * @param {number} intervalMs - scan interval in milliseconds
  */
-async function scanForDevices(intervalMs) {
-    setDeviceStateScanning(NO_DEVICES);
+async function scanForDevice(device, intervalMs) {
+    setDeviceStateScanning(device, NO_DEVICES);
+    while (!device.isRemoved) {
+        if (device.currState.status === 'Scanning' && device.port === null && !device.isStopped) {
+            if (device.config.virtual) {
+                connectToPort(device, { path: `virtual:${device.config.name}` }, NO_DEVICES);
+            } else {
+                let deviceList;
+                try {
+                    deviceList = await SerialPort.list();
+                } catch (err) {
+                    logDevice(device.config.name, 'ERROR', 'Unable to list serial ports', err.message);
+                    await sleep(intervalMs);
+                    continue;
+                }
+                const info = findPortForDevice(device, deviceList);
+                if (info) {
+                    connectToPort(device, info, deviceList);
+                } else {
+                    setDeviceStateScanning(device, deviceList);
+                }
+            }
+        }
+        await sleep(intervalMs);
+    }
+}
+
+/**
+ * Picks the port `device` should connect to from `deviceList`, or returns `null` if there is none.
+ * In order of preference: the port the browser asked for, the remembered port, and the first port
+ * that matches `device.config.match`. Ports used by other devices are skipped.
+ * @param {Device} device
+ * @param {PortInfo[]} deviceList
+ * @returns {?PortInfo}
+ */
+function findPortForDevice(device, deviceList) {
+    const available = deviceList.filter((info) => !isPortClaimedByOtherDevice(device, info.path));
+    if (device.requestedPath !== null) {
+        const requestedPath = device.requestedPath;
+        device.requestedPath = null;
+        const requested = available.find((info) => info.path === requestedPath);
+        if (requested) {
+            return requested;
+        }
+        logDevice(device.config.name, 'not found', `${requestedPath} is gone or used by another device. Scanning instead.`);
+    }
+    if (device.remembered !== null) {
+        const remembered = available.find((info) => doesPortInfoMatch(info, device.remembered));
+        if (remembered) {
+            return remembered;
+        }
+    }
+    return available.find((info) => doesPortInfoMatch(info, device.config.match)) || null;
+}
+
+/**
+ * Keeps `availablePorts` up to date and tells the browser whenever a port appears or disappears,
+ * so it can offer them in its port picker.
+ * @param {number} intervalMs - how often to list the ports, in milliseconds
+ */
+async function watchPorts(intervalMs) {
     while (true) {
-        if (currDeviceState.status === 'Scanning') {
-            const deviceList = await SerialPort.list();
+        try {
+            const ports = await SerialPort.list();
+            const describe = (/** @type {PortInfo[]} */ list) => JSON.stringify(list.map((info) => info.path));
+            if (describe(ports) !== describe(availablePorts)) {
+                availablePorts = ports;
+                sendStatus(makePortsMessage());
+            }
+        } catch (err) {
+            logServer('ERROR', 'Unable to list serial ports', err.message);
+        }
+        await sleep(intervalMs);
+    }
+}
+
+/**
+ * Builds the message we send over the "status" websocket to list every serial port we found.
+ * @returns {object}
+ */
+function makePortsMessage() {
+    return {
+        type: 'ports',
+        ports: availablePorts.map((info) => ({
+            path: info.path,
+            vendorId: info.vendorId,
+            productId: info.productId,
+            serialNumber: info.serialNumber,
+            manufacturer: info.manufacturer,
+        })),
+    };
+}
+
+/**
+ * A command the browser sends over the "status" websocket to manage a device.
+ * - `connect`: connect to the port at `path`, replacing the current connection.
+ *   Without `path` (and for virtual devices), go back to scanning for the usual port. Also undoes `disconnect`.
+ * - `disconnect`: close the port and stop scanning until the next `connect`.
+ * - `remember`: remember the port at `path` (or, without `path`, the port the device is connected to)
+ *   so the device picks it first from now on. See `REMEMBERED_PORTS_PATH`.
+ * - `forget`: forget the remembered port.
+ * @typedef {object} DeviceCommand
+ * @property {'connect'|'disconnect'|'remember'|'forget'} type
+ * @property {string} name - which device in `DEVICES`
+ * @property {string} [path] - which port, for `connect` and `remember`
+ */
+
+/**
+ * Carries out a `DeviceCommand` from the browser.
+ * Problems are logged and reported back over the "status" websocket.
+ * @param {DeviceCommand} command
+ */
+function handleDeviceCommand(command) {
+    const device = devices.find((d) => d.config.name === command.name);
+    /** @param {string} message */
+    const reportError = (message) => {
+        logDevice(command.name, 'ERROR', message);
+        sendStatus({ type: 'deviceCommandError', name: command.name, command: command.type, message });
+    };
+    if (!device) {
+        reportError(`There is no device named '${command.name}' in DEVICES.`);
+        return;
+    }
+    switch (command.type) {
+        case 'connect': {
+            if (!device.config.virtual && typeof command.path === 'string') {
+                const user = devices.find((other) => other !== device && other.port !== null && other.port.path === command.path);
+                if (user) {
+                    reportError(`${command.path} is already used by '${user.config.name}'.`);
+                    return;
+                }
+                device.requestedPath = command.path;
+            }
+            logDevice(device.config.name, 'connect', command.path || '');
+            device.isStopped = false;
+            if (device.port !== null) {
+                // Once the port closes, the device goes back to scanning and picks the requested port.
+                device.port.close();
+            } else {
+                setDeviceStateScanning(device, availablePorts);
+            }
+            break;
+        }
+        case 'disconnect': {
+            logDevice(device.config.name, 'disconnect');
+            device.isStopped = true;
+            device.requestedPath = null;
+            if (device.port !== null) {
+                device.port.close();
+            } else {
+                setDeviceStateDisconnected(device);
+            }
+            break;
+        }
+        case 'remember': {
             /** @type {?PortInfo} */
             let info = null;
-            for (let i = 0; i < deviceList.length; i++) {
-                if (isDesiredPortInfo(deviceList[i])) {
-                    info = deviceList[i];
-                    break;
+            if (typeof command.path === 'string') {
+                info = availablePorts.find((p) => p.path === command.path) || null;
+            } else if (device.currState.status === 'Connected') {
+                info = device.currState.details;
+            }
+            if (!info) {
+                reportError('Pick a port to remember, or connect to one first.');
+                return;
+            }
+            /** @type {PortMatcher} */
+            const matcher = {};
+            for (const key of ['vendorId', 'productId', 'serialNumber']) {
+                if (typeof info[key] === 'string') {
+                    matcher[key] = info[key];
                 }
             }
-            if (info) {
-                connectedDevice = new SerialPort(info.path, { baudRate: DEVICE_BAUD_RATE }, (err) => {
-                    if (err) {
-                        // Something went wrong when opening the port!
-                        setDeviceStateUnableToConnect(err);
-                        setDeviceStateScanning(deviceList);
-                    } else {
-                        connectedDevice.flush();
-                        const parser = connectedDevice.pipe(new Delimiter({ delimiter: '\n' }));
-                        parser.setEncoding('utf8');
-                        parser.on('data', (read) => {
-                            logDevice('says', read);
-                        });
-
-                        // Device opened sucessfully
-                        setDeviceStateConnected(info.path, info.vendorId, info.productId, info.serialNumber);
-                    }
-                });
-                connectedDevice.on('close', () => {
-                    logDevice('CLOSED');
-                    setDeviceStateScanning(NO_DEVICES);
-                });
-                connectedDevice.on('error', (err) => {
-                    logDevice('ERROR', err);
-                    setDeviceStateScanning(NO_DEVICES);
-                });
-            } else {
-                setDeviceStateScanning(deviceList);
+            if (Object.keys(matcher).length === 0) {
+                reportError(`${info.path} has no vendorId, productId or serialNumber to remember it by.`);
+                return;
             }
+            device.remembered = matcher;
+            saveRememberedPorts();
+            logDevice(device.config.name, 'remember', matcher);
+            broadcast(websockets.status, makeDeviceStatusMessage(device));
+            break;
         }
-        await sleep(intervalMs);
+        case 'forget': {
+            device.remembered = null;
+            saveRememberedPorts();
+            logDevice(device.config.name, 'forget');
+            broadcast(websockets.status, makeDeviceStatusMessage(device));
+            break;
+        }
+        default:
+            reportError(`Unknown command '${command.type}'.`);
     }
 }
 
-/** Set up a file server to serve HTML pages, javascript, and JSON files. */
-const server = http.createServer(function (req, res) {
-    const uri = new URL(req.url, `http://localhost:${BROWSER_PORT}/`);
-    const pathname = uri.pathname === '/' ? '/index.html' : uri.pathname;
-    logServer('got request', pathname);
-    fs.readFile(`${__dirname}/front${pathname}`, function (err, data) {
-        if (err) {
-            res.writeHead(404);
-            res.end(JSON.stringify(err));
-            return;
+/**
+ * Sends every connected device its part of a frame.
+ * @param {Buffer[]} deviceFrames - the part of the frame for each entry of `devices`, in the same order
+ */
+function forwardFrameToDevices(deviceFrames) {
+    devices.forEach((device, i) => {
+        if (device.currState.status === 'Connected') {
+            device.pacer.queue(deviceFrames[i]);
+        }
+    });
+}
+
+/**
+ * Color pipelines by the JSON of their settings, so each combination of settings is only turned into lookup tables once.
+ * @type {Map<string, (frame: Buffer) => Buffer>}
+ */
+const colorPipelines = new Map();
+
+/**
+ * Returns the function that corrects the colors of frames for a device or network output:
+ * `COLOR`, overridden by the output's own `color` settings.
+ * @param {DeviceConfig|NetworkOutputConfig} config
+ * @returns {(frame: Buffer) => Buffer}
+ */
+function colorPipelineFor(config) {
+    const colorConfig = { ...settings.color, ...config.color };
+    const key = JSON.stringify(colorConfig);
+    let pipeline = colorPipelines.get(key);
+    if (pipeline === undefined) {
+        pipeline = createColorPipeline(colorConfig);
+        colorPipelines.set(key, pipeline);
+    }
+    return pipeline;
+}
+
+/**
+ * The frame counts of every device as of the previous call to `reportFrameStats`,
+ * so we can report rates as well as totals. `reloadSettings` deletes the entries of devices it removes.
+ * @type {Map<Device, FrameStats>}
+ */
+const prevFrameStats = new Map();
+
+/**
+ * Sends how many frames each device sent and skipped, in total and per second, over the "status" websocket.
+ * @param {number} intervalMs - how long ago the previous report was
+ */
+function reportFrameStats(intervalMs) {
+    /** @type {Object<string, FrameStats & {sentPerSecond: number, droppedPerSecond: number}>} */
+    const report = {};
+    for (const device of devices) {
+        const prev = prevFrameStats.get(device) || { sent: 0, dropped: 0 };
+        const curr = device.pacer.stats;
+        report[device.config.name] = {
+            sent: curr.sent,
+            dropped: curr.dropped,
+            sentPerSecond: (curr.sent - prev.sent) * 1000 / intervalMs,
+            droppedPerSecond: (curr.dropped - prev.dropped) * 1000 / intervalMs,
+        };
+        prevFrameStats.set(device, { ...curr });
+    }
+    sendStatus({ type: 'frameStats', devices: report });
+}
+
+/**
+ * Creates the output for one entry of `NETWORK_OUTPUTS`.
+ * @param {NetworkOutputConfig} config
+ */
+function createLoggedNetworkOutput(config) {
+    /** Only report the first of a string of identical errors, so an unplugged cable doesn't flood the terminal. */
+    let lastErrorMessage = null;
+    return createNetworkOutput(config, (err) => {
+        if (err.message !== lastErrorMessage) {
+            lastErrorMessage = err.message;
+            log(`NETWORK ${config.name}`, 'ERROR', ANSI_COLORS.fg.magenta, err.message);
         }
-        /** @type {http.OutgoingHttpHeaders}  */
-        const headers = {};
-        if (pathname.endsWith('.js')) {
-            headers['Content-Type'] = 'text/javascript';
-        } else if (pathname.endsWith('.json')) {
-            headers['Content-Type'] = 'application/json';
+    });
+}
+
+/**
+ * One output per entry in `NETWORK_OUTPUTS`.
+ */
+const networkOutputs = settings.networkOutputs.map(createLoggedNetworkOutput);
+
+/**
+ * Sends every network output its part of a frame.
+ * @param {Buffer[]} outputFrames - the part of the frame for each entry of `networkOutputs`, in the same order
+ */
+function forwardFrameToNetworkOutputs(outputFrames) {
+    networkOutputs.forEach((output, i) => {
+        if (outputFrames[i].length > 0) {
+            output.send(outputFrames[i]);
         }
-        res.writeHead(200, headers);
-        res.end(data);
     });
+}
+
+/**
+ * The estimated current of the most recent frame, for `reportPower`.
+ * @type {?{supplies: import('./power').SupplyEstimate[], devices: Object<string, number>}}
+ */
+let latestPowerEstimate = null;
+
+/**
+ * The supplies that were dimmed for the previous frame, so we only log when that changes.
+ * @type {Set<string>}
+ */
+const dimmedSupplies = new Set();
+
+/**
+ * Logs when a supply starts or stops being dimmed to stay within `POWER`.
+ * @param {import('./power').SupplyEstimate[]} supplies
+ */
+function logPowerLimits(supplies) {
+    for (const { name, milliamps, maxMilliamps, scale } of supplies) {
+        if (scale < 1 && !dimmedSupplies.has(name)) {
+            dimmedSupplies.add(name);
+            log(`POWER ${name}`, 'limiting', ANSI_COLORS.fg.yellow,
+                `Frame would draw ${Math.round(milliamps)} mA of ${maxMilliamps} mA. Dimming to ${Math.round(scale * 100)}%.`);
+        } else if (scale === 1 && dimmedSupplies.has(name)) {
+            dimmedSupplies.delete(name);
+            log(`POWER ${name}`, 'ok', ANSI_COLORS.fg.yellow, 'Back within budget.');
+        }
+    }
+}
+
+/**
+ * Sends `frame` to every output: the microcontrollers in `DEVICES` and the pixel controllers in `NETWORK_OUTPUTS`.
+ * Each output gets its part of the frame with its colors corrected (see `COLOR`),
+ * dimmed where needed to stay within the power budget (see `POWER`).
+ * @param {Buffer} frame - 3 bytes per LED, for every LED in the installation
+ */
+function forwardFrame(frame) {
+    const configs = [...devices.map((device) => device.config), ...networkOutputs.map((output) => output.config)];
+    /** @type {import('./power').PoweredFrame[]} */
+    const outputFrames = configs.map((config) => ({
+        ledStart: config.ledStart,
+        data: colorPipelineFor(config)(sliceFrameForRange(frame, config)),
+    }));
+    const supplies = limitPower(settings.power, outputFrames);
+    logPowerLimits(supplies);
+
+    const deviceFrames = outputFrames.slice(0, devices.length).map((outputFrame) => outputFrame.data);
+    /** @type {Object<string, number>} */
+    const deviceMilliamps = {};
+    devices.forEach((device, i) => {
+        deviceMilliamps[device.config.name] = estimateMilliamps(settings.power, deviceFrames[i]);
+    });
+    latestPowerEstimate = { supplies, devices: deviceMilliamps };
+
+    forwardFrameToDevices(deviceFrames);
+    forwardFrameToNetworkOutputs(outputFrames.slice(devices.length).map((outputFrame) => outputFrame.data));
+}
+
+/**
+ * Sends the estimated current of the most recent frame over the "status" websocket:
+ * `{ "type": "power", "supplies": [{ "name", "milliamps", "maxMilliamps", "scale" }], "devices": { "<name>": milliamps } }`.
+ */
+function reportPower() {
+    if (latestPowerEstimate !== null) {
+        sendStatus({ type: 'power', ...latestPowerEstimate });
+    }
+}
+
+/**
+ * Somewhere frames can come from. See `INPUT_PRIORITY`.
+ * `'watchdog'` is the server itself, while nothing else sends frames (see `WATCHDOG`). It always comes last.
+ * @typedef {'browser'|'opc'|'show'|'watchdog'} FrameSource
+ */
+
+/** Decides which source's frames reach the LEDs, according to `INPUT_PRIORITY`. */
+const sourcePriority = new SourcePriority(SOURCE_IDLE_MS);
+
+/**
+ * The source whose frames we forwarded most recently.
+ * @type {?FrameSource}
+ */
+let activeSource = null;
+
+/**
+ * Called for every frame that arrives from any source.
+ * Forwards it to the outputs if `source` is in control, according to `INPUT_PRIORITY`,
+ * and records it if it came from the browser and `SHOWS.recordDirectory` is set.
+ * The recording has the frames before color correction and power limiting, just like the browser sent them.
+ * @param {FrameSource} source
+ * @param {Buffer} frame - 3 bytes per LED, for every LED in the installation
+ */
+function receiveFrame(source, frame) {
+    if (!sourcePriority.frameArrived(source, settings.inputPriority, Date.now())) {
+        return;
+    }
+    if (source !== 'watchdog') {
+        watchdog.frameArrived(frame);
+    }
+    if (source === 'browser' && showRecorder) {
+        showRecorder.record(frame);
+    }
+    if (activeSource !== source) {
+        activeSource = source;
+        logServer('input', `Showing frames from: ${source}`);
+        sendStatus({ type: 'input', source });
+    }
+    forwardFrame(frame);
+    sendFrameToViewers(frame);
+}
+
+/** Sends frames of its own when every source has stopped sending them. See `WATCHDOG`. */
+const watchdog = new Watchdog(settings.watchdog, (frame) => receiveFrame('watchdog', frame), logServer);
+
+/**
+ * Viewers that fall this far behind (in bytes waiting to be sent) skip frames until they catch up.
+ */
+const MAX_VIEWER_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Sends `frame` to every page that isn't in control, so they can show what the LEDs are showing.
+ * @param {Buffer} frame
+ */
+function sendFrameToViewers(frame) {
+    for (const client of websockets.data) {
+        if (!control.isController(client.id)
+            && client.ws.readyState === WebSocket.OPEN
+            && client.ws.bufferedAmount < MAX_VIEWER_BUFFERED_BYTES) {
+            client.ws.send(frame);
+        }
+    }
+}
+
+/**
+ * Tells every page whether it is in control, who is, and how many pages are connected.
+ */
+function reportControl() {
+    for (const client of websockets.data) {
+        if (client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(JSON.stringify({
+                type: 'control',
+                clientId: client.id,
+                controllerId: control.controllerId,
+                isController: control.isController(client.id),
+                isControllerConnected: control.isControllerConnected(),
+                clientCount: websockets.data.size,
+            }));
+        }
+    }
+}
+
+/**
+ * Gives control to the page with the given id.
+ * @param {string} id
+ */
+function setController(id) {
+    if (control.give(id)) {
+        logServer('control', `Client ${id} is now in control`);
+    }
+    reportControl();
+}
+
+/**
+ * Records the frames from the browser that reach the LEDs, if `SHOWS.recordDirectory` is set.
+ * @type {?ShowRecorder}
+ */
+let showRecorder = null;
+
+/**
+ * Plays back `SHOWS.playbackPath` if it is set.
+ * @type {?ShowPlayer}
+ */
+let showPlayer = null;
+
+/**
+ * Starts recording frames from the browser into a new show file, if `SHOWS.recordDirectory` is set.
+ */
+function startShowRecording() {
+    if (!settings.shows.recordDirectory) {
+        return;
+    }
+    const directory = path.resolve(__dirname, settings.shows.recordDirectory);
+    fs.mkdirSync(directory, { recursive: true });
+    const fileName = `show-${new Date().toISOString().replace(/[:.]/g, '-')}.ledshow`;
+    showRecorder = new ShowRecorder(path.join(directory, fileName));
+    logServer('recording', `Recording frames from the browser to ${showRecorder.path}`);
+}
+
+/**
+ * Loads `SHOWS.playbackPath` and starts playing it to the devices, if it is set.
+ */
+async function startShowPlayback() {
+    if (!settings.shows.playbackPath) {
+        return;
+    }
+    const showPath = path.resolve(__dirname, settings.shows.playbackPath);
+    try {
+        const frames = await readShow(showPath);
+        showPlayer = new ShowPlayer(frames, { loop: settings.shows.loop, speed: settings.shows.speed }, (frame) => {
+            receiveFrame('show', frame);
+        }, () => {
+            logServer('playback', `Finished playing ${showPath}`);
+        });
+        showPlayer.start();
+        logServer('playback', `Playing ${showPath} (${frames.length} frames, loop: ${settings.shows.loop}, speed: ${settings.shows.speed})`);
+    } catch (err) {
+        logServer('Error', `Unable to play show ${showPath}:`, err.message);
+    }
+}
+
+/** Serves the webapp's files: HTML pages, javascript, JSON files, images, etc. */
+const serveStaticFile = createStaticFileHandler(path.resolve(__dirname, settings.frontRoot), {
+    listDirectories: ['mappings'],
+    log: logServer,
+});
+
+/** The directory with the mapping files. */
+const mappingsDirectory = path.resolve(__dirname, settings.frontRoot, 'mappings');
+
+/**
+ * Files the server wrote itself, with the time it wrote them. The webapp already got their contents
+ * with `pushMapping`, so the file watcher shouldn't make it reload.
+ * @type {Map<string, number>}
+ */
+const filesWrittenByServer = new Map();
+/** How long after the server wrote a file the file watcher ignores changes to it. */
+const OWN_WRITE_GRACE_MS = 1000;
+
+/**
+ * Sends new points for the mapping called `name` to every page. Pages that use that mapping
+ * swap in the new points without reloading.
+ * @param {string} name
+ * @param {number[][]} points
+ */
+function pushMapping(name, points) {
+    sendStatus({ type: 'mapping', name, points });
+}
+
+/** Lets the browser and other tools list, add, rename and delete mappings. See `mappingsApi.js`. */
+const handleMappingsRequest = createMappingsApi(mappingsDirectory, logServer, (name, points, filePath) => {
+    filesWrittenByServer.set(filePath, Date.now());
+    pushMapping(name, points);
+});
+
+/** Set up a webserver for the webapp's files and the mappings API. */
+const server = http.createServer(function (req, res) {
+    if (!handleMappingsRequest(req, res)) {
+        serveStaticFile(req, res);
+    }
+});
+
+/** TCP server for Open Pixel Control clients. */
+const opcServer = createOpcServer((frame) => {
+    receiveFrame('opc', frame);
+}, (action, ...msg) => {
+    log('OPC', action, ANSI_COLORS.fg.yellow, ...msg);
+});
+
+/** UDP socket for OSC messages, which are relayed to every page after looking up their address in `settings.osc`. */
+const oscServer = createOscServer((message) => {
+    const mapped = mapOscMessage(settings.osc.addresses, message);
+    if (mapped !== null) {
+        sendStatus({ type: 'osc', address: mapped.address, args: mapped.args });
+    }
+}, (action, ...msg) => {
+    log('OSC', action, ANSI_COLORS.fg.yellow, ...msg);
 });
 
-/** Websocket for forwarding data to connected microcontroller. */
+/**
+ * Websocket for forwarding data from the controlling page to connected microcontrollers,
+ * and for sending the frames that reach the microcontrollers to every other page.
+ *
+ * Pages can also send JSON text messages:
+ * - `{ "type": "takeControl" }`: make this page the controller.
+ * - `{ "type": "remoteReply", "requestId", "ok", "result" | "error" }`: the answer to a remote command (see `remote.js`).
+ *
+ * The controller gets remote commands as `{ "type": "remote", "requestId", "command", ... }`.
+ * Each page gets `{ "type": "statusKey", "statusKey" }` when it connects, to identify itself on the "status" websocket.
+ *
+ * The server answers every change of control with a JSON text message to every page:
+ * `{ "type": "control", "clientId", "controllerId", "isController", "isControllerConnected", "clientCount" }`.
+ */
 const dataServer = new WebSocket.Server({ noServer: true });
-dataServer.on('connection', function connection(ws) {
+dataServer.on('connection', function connection(ws, request) {
+    /** @type {DataClient} */
+    const requestedId = new URL(request.url, `http://localhost:${settings.httpPort}/`).searchParams.get('client');
+    const openIds = new Set([...websockets.data].map((other) => other.id));
+    const client = { id: pickClientId(requestedId, openIds), statusKey: crypto.randomBytes(16).toString('hex'), ws };
+    websockets.data.add(client);
+    ws.send(JSON.stringify({ type: 'statusKey', statusKey: client.statusKey }));
+
     ws.on('message', function incoming(message) {
-        if (currDeviceState.status === 'Connected') {
-            if (message instanceof Buffer) {
-                forwardBufferToDevice(connectedDevice, message);
-            } else {
-                logServer('Error', 'Message from dataServer is not a Buffer!');
+        if (message instanceof Buffer) {
+            if (!control.isController(client.id)) {
+                // Only the controller gets to send frames.
+                return;
+            }
+            receiveFrame('browser', message);
+        } else if (typeof message === 'string') {
+            try {
+                const command = JSON.parse(message);
+                if (command.type === 'takeControl') {
+                    setController(client.id);
+                } else if (command.type === 'remoteReply') {
+                    remoteRelay.receiveReply(client.id, command);
+                } else {
+                    logServer('Error', `Unknown command from dataServer: ${command.type}`);
+                }
+            } catch (err) {
+                logServer('Error', 'Unable to parse message from dataServer:', err.message);
             }
+        } else {
+            logServer('Error', 'Message from dataServer is not a Buffer!');
         }
     });
+    ws.on('close', () => {
+        websockets.data.delete(client);
+        control.pageClosed(client.id, Date.now());
+        remoteRelay.pageClosed(client.id);
+        reportControl();
+    });
 
-    if (websockets.data) {
-        websockets.data.close();
+    if (control.shouldTakeControl(client.id, Date.now())) {
+        setController(client.id);
+    } else {
+        reportControl();
     }
-    websockets.data = ws;
 });
 
-/** Websocket for telling the frontend what the connection status is. */
+/**
+ * Websocket for telling the frontend what the connection status is.
+ * Pages send `{ "type": "identify", "statusKey" }` with the key they got on the "data" websocket.
+ * Only the page in control may send `DeviceCommand`s; the others get a `deviceCommandError` back.
+ */
 const statusServer = new WebSocket.Server({ noServer: true });
 statusServer.on('connection', function connection(ws) {
-    if (websockets.status) {
-        websockets.status.close();
+    /**
+     * The page this websocket belongs to, once it has identified itself.
+     * @type {?DataClient}
+     */
+    let page = null;
+    websockets.status.add(ws);
+    ws.on('close', () => websockets.status.delete(ws));
+    ws.on('message', (message) => {
+        if (typeof message !== 'string') {
+            return;
+        }
+        try {
+            const command = JSON.parse(message);
+            if (command.type === 'identify') {
+                page = [...websockets.data].find((client) => client.statusKey === String(command.statusKey)) || null;
+            } else if (page === null || !websockets.data.has(page) || !control.isController(page.id)) {
+                logDevice(command.name, 'ERROR', `Ignoring '${command.type}' from a page that isn't in control`);
+                ws.send(JSON.stringify({
+                    type: 'deviceCommandError',
+                    name: command.name,
+                    command: command.type,
+                    message: 'Only the page in control can connect, disconnect or remember ports. Take control first.',
+                }));
+            } else {
+                handleDeviceCommand(command);
+            }
+        } catch (err) {
+            logServer('ERROR', 'Unable to handle status message', err.message);
+        }
+    });
+
+    for (const device of devices) {
+        ws.send(makeDeviceStatusMessage(device));
     }
-    websockets.status = ws;
+    if (activeSource) {
+        ws.send(JSON.stringify({ type: 'input', source: activeSource }));
+    }
+    ws.send(JSON.stringify(makePortsMessage()));
+});
 
-    ws.send(JSON.stringify(currDeviceState));
+/** Lets Grasshopper or a script push mappings while you work on them. See `createMappingPushServer`. */
+const mappingServer = createMappingPushServer(mappingsDirectory, logServer, (name, points, filePath) => {
+    if (filePath !== null) {
+        filesWrittenByServer.set(filePath, Date.now());
+    }
+    pushMapping(name, points);
 });
 
-/** Websocket for telling the frontend to reload when files change. */
+/** How long (in milliseconds) the controlling page has to answer a remote command. */
+const REMOTE_TIMEOUT_MS = 5000;
+const remoteRelay = new RemoteRelay(REMOTE_TIMEOUT_MS);
+
+/**
+ * Websocket for controlling the visualizer from other programs, like show control or test scripts.
+ * See `remote.js` for the commands.
+ */
+const remoteServer = createRemoteServer(remoteRelay, () => [...websockets.data].find((client) => control.isController(client.id)), logServer);
+
+/**
+ * Websocket for telling the frontend when files change: `{ "changed": "mappings/mappingPersp.json" }`.
+ * The file name is relative to the front directory and uses `/` on every system.
+ * The frontend decides what to do: it loads changed mappings again in place, and reloads for changed code.
+ */
 const updateServer = new WebSocket.Server({ noServer: true });
 updateServer.on('connection', function connection(ws) {
-    if (websockets.update) {
-        websockets.update.close();
-    }
-    websockets.update = ws;
+    websockets.update.add(ws);
+    ws.on('close', () => websockets.update.delete(ws));
 });
 
-/** 
- * If we get a watch event, we set a brief timeout during which we
- * don't send update messages. Otherwise, we might trigger
- * many back-to-back reloads due to noisy watch events.
- * @type {NodeJS.Timeout|null}
+/** How long a file has to stay unchanged before we tell the webapp about it. */
+const FILE_CHANGE_DEBOUNCE_MS = 100;
+/**
+ * Watch events are noisy: saving a file often causes several of them in a row.
+ * So we wait until a file has been quiet for `FILE_CHANGE_DEBOUNCE_MS` before sending an update message.
+ * Every file has its own timer, so changes to different files close together are all reported.
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const pendingFileChanges = new Map();
+/**
+ * Watches the frontend files and tells the webapp when one of them changes.
+ */
+function watchFrontendFiles() {
+    const frontRoot = path.resolve(__dirname, settings.frontRoot);
+    fs.watch(frontRoot, { recursive: true }, (event, filename) => {
+        if (filename) {
+            if (filename.endsWith('.tmp')) {
+                // Temporary file of a mapping being saved.
+                return;
+            }
+            const writtenMs = filesWrittenByServer.get(path.resolve(frontRoot, filename));
+            if (writtenMs !== undefined && Date.now() - writtenMs < OWN_WRITE_GRACE_MS) {
+                return;
+            }
+            const changed = filename.split(path.sep).join('/');
+            clearTimeout(pendingFileChanges.get(changed));
+            pendingFileChanges.set(changed, setTimeout(() => {
+                pendingFileChanges.delete(changed);
+                logServer('file changed', changed);
+                broadcast(websockets.update, JSON.stringify({ changed }));
+            }, FILE_CHANGE_DEBOUNCE_MS));
+        }
+    });
+}
+
+/**
+ * Reads the config file again and applies the device settings that changed:
+ * - Devices that were added start scanning, and devices that were removed disconnect.
+ * - Devices whose `match` or `virtual` changed reconnect, and so does every device if `baudRate` or `serialFraming` changed.
+ *   Changes to `ledStart` and `ledCount` apply to the next frame.
+ * - Network outputs are recreated if any of them changed.
+ * - Changes to `color` and `power` apply to the next frame, and changes to `osc.addresses` to the next OSC message.
+ * `httpPort`, `frontRoot` and `osc.port` only change when the server restarts.
+ * If the new settings are invalid, reports why and keeps running with the old ones.
  */
-let fsWait = null;
-fs.watch('./front', { recursive: true }, (event, filename) => {
-    if (filename) {
-        if (fsWait !== null) { return; }
-        fsWait = setTimeout(() => {
-            fsWait = null;
-        }, 100);
-        logServer('file changed', filename);
-        if (websockets.update) {
-            websockets.update.send(JSON.stringify({ changed: filename }));
+function reloadSettings() {
+    /** @type {import('./settings').Settings} */
+    let next;
+    try {
+        ({ settings: next } = loadSettings(DEFAULT_SETTINGS, ARGV, configPath));
+    } catch (err) {
+        logServer('ERROR', `Keeping the previous settings. ${err.message}`);
+        return;
+    }
+    const prev = settings;
+    for (const key of /** @type {const} */ (['httpPort', 'frontRoot'])) {
+        if (next[key] !== prev[key]) {
+            logServer('settings', `Restart the server to change ${key} to ${JSON.stringify(next[key])}.`);
         }
     }
-});
+    next.httpPort = prev.httpPort;
+    next.frontRoot = prev.frontRoot;
+    if (next.osc.port !== prev.osc.port) {
+        logServer('settings', `Restart the server to change osc.port to ${JSON.stringify(next.osc.port)}.`);
+        next.osc.port = prev.osc.port;
+    }
+    if (next.opcPort !== prev.opcPort) {
+        logServer('settings', `Restart the server to change opcPort to ${JSON.stringify(next.opcPort)}.`);
+        next.opcPort = prev.opcPort;
+    }
+    if (JSON.stringify(next.shows) !== JSON.stringify(prev.shows)) {
+        // The recording and the playback start with the server.
+        logServer('settings', `Restart the server to change shows to ${JSON.stringify(next.shows)}.`);
+        next.shows = prev.shows;
+    }
+
+    if (JSON.stringify(next.networkOutputs) !== JSON.stringify(prev.networkOutputs)) {
+        let outputs;
+        try {
+            outputs = next.networkOutputs.map(createLoggedNetworkOutput);
+        } catch (err) {
+            logServer('ERROR', `Keeping the previous settings. ${err.message}`);
+            return;
+        }
+        for (const output of networkOutputs) {
+            output.close();
+        }
+        networkOutputs.splice(0, networkOutputs.length, ...outputs);
+        logServer('settings', `Network outputs: ${networkOutputs.map((output) => output.name).join(', ') || 'none'}`);
+    }
+    settings = next;
+    if (JSON.stringify(next.watchdog) !== JSON.stringify(prev.watchdog)) {
+        watchdog.setConfig(next.watchdog);
+    }
+
+    const reconnectAll = next.baudRate !== prev.baudRate || next.serialFraming !== prev.serialFraming;
+    for (const device of [...devices]) {
+        const config = next.devices.find((c) => c.name === device.config.name);
+        if (!config) {
+            logDevice(device.config.name, 'removed');
+            devices.splice(devices.indexOf(device), 1);
+            prevFrameStats.delete(device);
+            device.isRemoved = true;
+            device.isStopped = true;
+            if (device.port !== null) {
+                device.port.close();
+            }
+            sendStatus({ type: 'deviceRemoved', name: device.config.name });
+            continue;
+        }
+        const needsReconnect = reconnectAll
+            || JSON.stringify(config.match) !== JSON.stringify(device.config.match)
+            || JSON.stringify(config.virtual) !== JSON.stringify(device.config.virtual);
+        device.config = config;
+        if (needsReconnect && device.port !== null) {
+            logDevice(device.config.name, 'reconnecting', 'to apply the new settings');
+            device.port.close();
+        }
+    }
+    for (const config of next.devices) {
+        if (!devices.some((device) => device.config.name === config.name)) {
+            const device = createDevice(config);
+            devices.push(device);
+            logDevice(config.name, 'added');
+            scanForDevice(device, 1000);
+        }
+    }
+    logServer('settings', `Reloaded ${configPath}`);
+}
 
 server.on('upgrade', function upgrade(request, socket, head) {
-    const uri = new URL(request.url, `http://localhost:${BROWSER_PORT}/`);
+    const uri = new URL(request.url, `http://localhost:${settings.httpPort}/`);
     const pathname = uri.pathname;
 
     /** Set up websockets on different routes for different purposes */
@@ -463,6 +1823,14 @@ server.on('upgrade', function upgrade(request, socket, head) {
         statusServer.handleUpgrade(request, socket, head, function done(ws) {
             statusServer.emit('connection', ws, request);
         });
+    } else if (pathname === '/mappings') {
+        mappingServer.handleUpgrade(request, socket, head, function done(ws) {
+            mappingServer.emit('connection', ws, request);
+        });
+    } else if (pathname === '/remote') {
+        remoteServer.handleUpgrade(request, socket, head, function done(ws) {
+            remoteServer.emit('connection', ws, request);
+        });
     } else if (pathname === '/update') {
         updateServer.handleUpgrade(request, socket, head, function done(ws) {
             updateServer.emit('connection', ws, request);
@@ -476,8 +1844,8 @@ function log(sys, action, color, ...msg) {
     console.log(color, `[${sys} (${action})]`, ...msg, ANSI_COLORS.reset);
 }
 
-function logDevice(action, ...msg) {
-    log('DEVICE', action, ANSI_COLORS.fg.cyan, ...msg);
+function logDevice(name, action, ...msg) {
+    log(`DEVICE ${name}`, action, ANSI_COLORS.fg.cyan, ...msg);
 }
 
 function logServer(action, ...msg) {
@@ -485,12 +1853,61 @@ function logServer(action, ...msg) {
 }
 
 
-server.listen(BROWSER_PORT);
-console.log(`
+/**
+ * Starts the webserver, the OPC and OSC servers, the file watchers, scanning for every device and port, recording/playing shows and the watchdog.
+ */
+function start() {
+    server.listen(settings.httpPort);
+    console.log(`
  ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️ ⬇️
 
-Open a browser to http://localhost:${BROWSER_PORT}/ to connect to the server ...
+Open a browser to http://localhost:${settings.httpPort}/ to connect to the server ...
 
  ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️ ⬆️
 `);
-scanForDevices(1000);
\ No newline at end of file
+    if (settings.opcPort !== null) {
+        opcServer.listen(settings.opcPort);
+        logServer('listening', `Open Pixel Control clients can connect to port ${settings.opcPort}`);
+    }
+    if (settings.osc.port !== null) {
+        oscServer.bind(settings.osc.port);
+        logServer('listening', `OSC controllers can send to UDP port ${settings.osc.port}`);
+    }
+    if (fs.existsSync(configPath)) {
+        logServer('settings', `Using ${configPath}`);
+    }
+    watchConfigFile(configPath, reloadSettings);
+    watchFrontendFiles();
+    for (const device of devices) {
+        scanForDevice(device, 1000);
+    }
+    watchPorts(1000);
+    startShowRecording();
+    startShowPlayback();
+    setInterval(reportFrameStats, 1000, 1000);
+    setInterval(reportPower, 1000);
+    setInterval(() => watchdog.check(), 100);
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    devices,
+    forwardBufferToDevice,
+    forwardFrame,
+    forwardFrameToDevices,
+    forwardFrameToNetworkOutputs,
+    handleDeviceCommand,
+    networkOutputs,
+    opcServer,
+    oscServer,
+    receiveFrame,
+    reloadSettings,
+    scanForDevice,
+    server,
+    start,
+    watchdog,
+    watchPorts,
+};
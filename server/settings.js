@@ -0,0 +1,458 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { NETWORK_PROTOCOLS } = require('./networkOutputs');
+const { CHANNEL_ORDERS } = require('./color');
+const { PATTERN_NAMES } = require('./watchdog');
+
+/**
+ * Loading the server's settings from a JSON config file and command-line flags,
+ * so each rig can have its own settings without editing server.js.
+ *
+ * Settings are layered: the CONFIG block at the top of server.js provides the defaults,
+ * the config file overrides those, and command-line flags override both.
+ * Blocks of settings (like `color` or `watchdog`) are merged one level deep, so the config file only needs
+ * the values it changes: `"watchdog": { "timeoutMs": 3000 }` keeps the default fallback. Arrays are replaced as a whole.
+ * Every setting is checked before the server uses it, and problems are reported all at once,
+ * with the file or flag they came from.
+ */
+
+/**
+ * Everything that can be set in the config file.
+ * @typedef {object} Settings
+ * @property {number} baudRate - see `DEVICE_BAUD_RATE` in server.js
+ * @property {import('./server').DeviceConfig[]} devices - see `DEVICES` in server.js
+ * @property {import('./networkOutputs').NetworkOutputConfig[]} networkOutputs - see `NETWORK_OUTPUTS` in server.js
+ * @property {'legacy'|'checked'|'compressed'} serialFraming - see `SERIAL_FRAMING` in server.js
+ * @property {number} maxDeviceFramesPerSecond - see `MAX_DEVICE_FRAMES_PER_SECOND` in server.js
+ * @property {import('./color').ColorConfig} color - see `COLOR` in server.js
+ * @property {import('./power').PowerConfig} power - see `POWER` in server.js
+ * @property {{port: ?number, addresses: import('./osc').OscAddressConfig[]}} osc - see `OSC` in server.js
+ * @property {import('./watchdog').WatchdogConfig} watchdog - see `WATCHDOG` in server.js
+ * @property {number} keyframeInterval - see `KEYFRAME_INTERVAL` in server.js
+ * @property {{recordDirectory: ?string, playbackPath: ?string, loop: boolean, speed: number}} shows - see `SHOWS` in server.js
+ * @property {?number} opcPort - see `OPC_PORT` in server.js
+ * @property {import('./server').FrameSource[]} inputPriority - see `INPUT_PRIORITY` in server.js
+ * @property {number} httpPort - see `BROWSER_PORT` in server.js
+ * @property {string} frontRoot - see `FRONT_DIRECTORY` in server.js
+ */
+
+/**
+ * Command-line flags, what they set, and how to read their value.
+ * @type {{flag: string, key: keyof Settings|'config', valueName: string, description: string, parse: (value: string) => any}[]}
+ */
+const FLAGS = [
+    { flag: '--config', key: 'config', valueName: 'path', description: 'config file to read instead of server/config.json', parse: (value) => value },
+    { flag: '--baud-rate', key: 'baudRate', valueName: 'bits/s', description: 'baud rate for every microcontroller', parse: Number },
+    { flag: '--match', key: 'devices', valueName: '[name:]key=value,...', description: 'which port a device uses, e.g. "Main:vendorId=2341,serialNumber=1234". Without a name, applies to the first device.', parse: (value) => value },
+    { flag: '--framing', key: 'serialFraming', valueName: 'legacy|checked|compressed', description: 'how frames are packaged for the microcontrollers', parse: (value) => value },
+    { flag: '--max-fps', key: 'maxDeviceFramesPerSecond', valueName: 'fps', description: 'most frames per second sent to each microcontroller (0 for no limit)', parse: Number },
+    { flag: '--http-port', key: 'httpPort', valueName: 'port', description: 'port of the webserver', parse: Number },
+    { flag: '--front-root', key: 'frontRoot', valueName: 'directory', description: 'directory with the browser code', parse: (value) => value },
+];
+
+/**
+ * Describes every command-line flag, for `--help`.
+ * @returns {string}
+ */
+function describeFlags() {
+    const lines = FLAGS.map(({ flag, valueName, description }) => `  ${flag} <${valueName}>\n      ${description}`);
+    return `Usage: node server.js [flags]\n\n${lines.join('\n')}\n  --help\n      show this message`;
+}
+
+/**
+ * Reads command-line flags. Values can follow the flag (`--http-port 8000`) or be attached to it (`--http-port=8000`).
+ * @param {string[]} argv - the arguments after `node server.js`
+ * @returns {{configPath: ?string, overrides: Partial<Settings>, matches: string[], help: boolean}}
+ */
+function parseArgs(argv) {
+    /** @type {Partial<Settings>} */
+    const overrides = {};
+    /** @type {string[]} */
+    const matches = [];
+    /** @type {?string} */
+    let configPath = null;
+    let help = false;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            help = true;
+            continue;
+        }
+        const equals = arg.indexOf('=');
+        const flag = arg.startsWith('--') && equals >= 0 ? arg.slice(0, equals) : arg;
+        const spec = FLAGS.find((f) => f.flag === flag);
+        if (!spec) {
+            throw new Error(`Unknown command-line flag '${arg}'.\n\n${describeFlags()}`);
+        }
+        let value;
+        if (flag !== arg) {
+            value = arg.slice(equals + 1);
+        } else if (i + 1 < argv.length) {
+            value = argv[++i];
+        } else {
+            throw new Error(`${flag} needs a value: ${flag} <${spec.valueName}>`);
+        }
+        if (spec.parse === Number && (value.trim() === '' || Number.isNaN(Number(value)))) {
+            throw new Error(`${flag} needs a number, but got '${value}'.`);
+        }
+        if (spec.key === 'config') {
+            configPath = value;
+        } else if (spec.key === 'devices') {
+            matches.push(value);
+        } else {
+            overrides[spec.key] = spec.parse(value);
+        }
+    }
+    return { configPath, overrides, matches, help };
+}
+
+/**
+ * Applies a `--match` flag to `devices`.
+ * @param {import('./server').DeviceConfig[]} devices - changed in place
+ * @param {string} value - e.g. `'Main:vendorId=2341,serialNumber=1234'` or `'vendorId=2341'`
+ */
+function applyMatchFlag(devices, value) {
+    const colon = value.indexOf(':');
+    const name = colon >= 0 ? value.slice(0, colon) : null;
+    const pairs = colon >= 0 ? value.slice(colon + 1) : value;
+    const index = name === null ? 0 : devices.findIndex((device) => device.name === name);
+    if (index < 0 || index >= devices.length) {
+        throw new Error(`--match ${value}: there is no device ${name === null ? 'to apply it to' : `named '${name}'`}.`);
+    }
+    /** @type {import('./server').PortMatcher} */
+    const match = {};
+    for (const pair of pairs.split(',')) {
+        const [key, id] = pair.split('=');
+        if (!['vendorId', 'productId', 'serialNumber'].includes(key) || !id) {
+            throw new Error(`--match ${value}: expected vendorId=..., productId=... and/or serialNumber=..., separated by commas.`);
+        }
+        match[key] = id;
+    }
+    devices[index] = { ...devices[index], match };
+}
+
+/**
+ * Reads the config file at `configPath`. Returns `null` if it doesn't exist.
+ * @param {string} configPath
+ * @returns {?object}
+ */
+function readConfigFile(configPath) {
+    let text;
+    try {
+        text = fs.readFileSync(configPath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Unable to read ${configPath}: ${err.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${configPath} is not valid JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Checks every setting and returns a description of each problem (empty if there are none).
+ * @param {Settings} settings
+ * @returns {string[]}
+ */
+function validateSettings(settings) {
+    /** @type {string[]} */
+    const problems = [];
+    /**
+     * @param {boolean} ok
+     * @param {string} name
+     * @param {string} expected
+     * @param {any} value
+     */
+    const check = (ok, name, expected, value) => {
+        if (!ok) {
+            problems.push(`${name} must be ${expected}, but ${value === undefined ? 'it is missing' : `it is ${JSON.stringify(value)}`}.`);
+        }
+    };
+    /** @param {any} value */
+    const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+    /** @param {any} value */
+    const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+    check(isWholeNumber(settings.baudRate) && settings.baudRate > 0, 'baudRate', 'a positive whole number', settings.baudRate);
+    check(['legacy', 'checked', 'compressed'].includes(settings.serialFraming), 'serialFraming', `'legacy', 'checked' or 'compressed'`, settings.serialFraming);
+    check(typeof settings.maxDeviceFramesPerSecond === 'number' && settings.maxDeviceFramesPerSecond >= 0,
+        'maxDeviceFramesPerSecond', 'a number of at least 0', settings.maxDeviceFramesPerSecond);
+    check(isWholeNumber(settings.keyframeInterval) && settings.keyframeInterval > 0, 'keyframeInterval', 'a positive whole number', settings.keyframeInterval);
+    check(settings.opcPort === null || (isWholeNumber(settings.opcPort) && settings.opcPort <= 65535),
+        'opcPort', 'a whole number from 0 to 65535, or null', settings.opcPort);
+    check(isWholeNumber(settings.httpPort) && settings.httpPort <= 65535, 'httpPort', 'a whole number from 0 to 65535', settings.httpPort);
+    check(typeof settings.frontRoot === 'string' && settings.frontRoot !== '', 'frontRoot', 'the path of a directory', settings.frontRoot);
+
+    /** @param {any} value */
+    const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+    /**
+     * Checks a `color` setting. Every property may be left out.
+     * @param {any} color
+     * @param {string} name
+     */
+    const checkColor = (color, name) => {
+        if (!isObject(color)) {
+            check(false, name, 'an object like { "gamma": 2.2 }', color);
+            return;
+        }
+        for (const key in color) {
+            if (!['gamma', 'channelOrder', 'whitePoint', 'brightness'].includes(key)) {
+                problems.push(`${name}.${key} is not a color setting. Use gamma, channelOrder, whitePoint and/or brightness.`);
+            }
+        }
+        check(color.gamma === undefined || (typeof color.gamma === 'number' && color.gamma > 0),
+            `${name}.gamma`, 'a positive number, or left out', color.gamma);
+        check(color.channelOrder === undefined || CHANNEL_ORDERS.includes(color.channelOrder),
+            `${name}.channelOrder`, `one of: ${CHANNEL_ORDERS.join(', ')}`, color.channelOrder);
+        check(color.whitePoint === undefined || (Array.isArray(color.whitePoint) && color.whitePoint.length === 3 && color.whitePoint.every(isFraction)),
+            `${name}.whitePoint`, 'an array of 3 numbers from 0 to 1, like [1, 0.9, 0.8]', color.whitePoint);
+        check(color.brightness === undefined || isFraction(color.brightness), `${name}.brightness`, 'a number from 0 to 1', color.brightness);
+    };
+
+    checkColor(settings.color, 'color');
+
+    /**
+     * Checks the properties that describe a range of LEDs, which `DEVICES`, `NETWORK_OUTPUTS` and power supplies share.
+     * @param {any} entry
+     * @param {string} name
+     */
+    const checkRange = (entry, name) => {
+        check(typeof entry.name === 'string' && entry.name !== '', `${name}.name`, 'a non-empty string', entry.name);
+        check(isWholeNumber(entry.ledStart), `${name}.ledStart`, 'a whole number of at least 0', entry.ledStart);
+        check(entry.ledCount === undefined || isWholeNumber(entry.ledCount), `${name}.ledCount`, 'a whole number of at least 0, or left out', entry.ledCount);
+        if (entry.color !== undefined) {
+            checkColor(entry.color, `${name}.color`);
+        }
+    };
+
+    if (!Array.isArray(settings.devices)) {
+        check(false, 'devices', 'an array', settings.devices);
+    } else {
+        const names = new Set();
+        settings.devices.forEach((device, i) => {
+            const name = `devices[${i}]`;
+            if (!isObject(device)) {
+                check(false, name, 'an object', device);
+                return;
+            }
+            checkRange(device, name);
+            if (names.has(device.name)) {
+                problems.push(`${name}.name must be unique, but '${device.name}' is used more than once.`);
+            }
+            names.add(device.name);
+            if (!isObject(device.match)) {
+                check(false, `${name}.match`, 'an object', device.match);
+            } else {
+                for (const key in device.match) {
+                    const value = device.match[key];
+                    if (!['vendorId', 'productId', 'serialNumber'].includes(key)) {
+                        problems.push(`${name}.match.${key} is not a port property. Use vendorId, productId and/or serialNumber.`);
+                    } else {
+                        check(typeof value === 'string' || (Array.isArray(value) && value.every((v) => typeof v === 'string')),
+                            `${name}.match.${key}`, 'a string or an array of strings', value);
+                    }
+                }
+            }
+            if (device.virtual !== undefined) {
+                check(isObject(device.virtual) && isWholeNumber(device.virtual.ledCount) && device.virtual.ledCount > 0,
+                    `${name}.virtual`, 'an object like { "ledCount": 102 }, or left out', device.virtual);
+            }
+        });
+    }
+
+    if (!isObject(settings.power)) {
+        check(false, 'power', 'an object like { "milliampsPerChannel": 20, "idleMilliampsPerLed": 1, "supplies": [] }', settings.power);
+    } else {
+        const power = settings.power;
+        check(typeof power.milliampsPerChannel === 'number' && power.milliampsPerChannel >= 0,
+            'power.milliampsPerChannel', 'a number of at least 0', power.milliampsPerChannel);
+        check(typeof power.idleMilliampsPerLed === 'number' && power.idleMilliampsPerLed >= 0,
+            'power.idleMilliampsPerLed', 'a number of at least 0', power.idleMilliampsPerLed);
+        if (!Array.isArray(power.supplies)) {
+            check(false, 'power.supplies', 'an array', power.supplies);
+        } else {
+            power.supplies.forEach((supply, i) => {
+                const name = `power.supplies[${i}]`;
+                if (!isObject(supply)) {
+                    check(false, name, 'an object', supply);
+                    return;
+                }
+                checkRange(supply, name);
+                check(typeof supply.maxMilliamps === 'number' && supply.maxMilliamps > 0,
+                    `${name}.maxMilliamps`, 'a positive number', supply.maxMilliamps);
+            });
+        }
+    }
+
+    if (!isObject(settings.osc)) {
+        check(false, 'osc', 'an object like { "port": 9000, "addresses": [] }', settings.osc);
+    } else {
+        const osc = settings.osc;
+        check(osc.port === null || (isWholeNumber(osc.port) && osc.port <= 65535), 'osc.port', 'a whole number from 0 to 65535, or null', osc.port);
+        /** @param {any} value */
+        const isAddress = (value) => typeof value === 'string' && value.startsWith('/');
+        if (!Array.isArray(osc.addresses)) {
+            check(false, 'osc.addresses', 'an array', osc.addresses);
+        } else {
+            osc.addresses.forEach((entry, i) => {
+                const name = `osc.addresses[${i}]`;
+                if (!isObject(entry)) {
+                    check(false, name, 'an object like { "address": "/1/fader1", "to": "/saved/rotation/xVal" }', entry);
+                    return;
+                }
+                check(isAddress(entry.address), `${name}.address`, `an OSC address starting with '/'`, entry.address);
+                check(isAddress(entry.to), `${name}.to`, `an OSC address starting with '/'`, entry.to);
+                check(entry.range === undefined || (Array.isArray(entry.range) && entry.range.length === 2 && entry.range.every((n) => typeof n === 'number')),
+                    `${name}.range`, 'an array of 2 numbers like [-1, 1], or left out', entry.range);
+                check(entry.args === undefined || (Array.isArray(entry.args) && entry.args.every((arg) => ['number', 'string', 'boolean'].includes(typeof arg))),
+                    `${name}.args`, 'an array of numbers, strings and booleans, or left out', entry.args);
+            });
+        }
+    }
+
+    if (!isObject(settings.watchdog)) {
+        check(false, 'watchdog', 'an object like { "timeoutMs": 5000, "fallback": "black" }', settings.watchdog);
+    } else {
+        const watchdog = settings.watchdog;
+        check(watchdog.timeoutMs === null || (typeof watchdog.timeoutMs === 'number' && watchdog.timeoutMs > 0),
+            'watchdog.timeoutMs', 'a positive number, or null', watchdog.timeoutMs);
+        check(['black', 'pattern', 'show'].includes(watchdog.fallback), 'watchdog.fallback', `'black', 'pattern' or 'show'`, watchdog.fallback);
+        check(typeof watchdog.fadeMs === 'number' && watchdog.fadeMs >= 0, 'watchdog.fadeMs', 'a number of at least 0', watchdog.fadeMs);
+        check(PATTERN_NAMES.includes(watchdog.pattern), 'watchdog.pattern', `one of: ${PATTERN_NAMES.join(', ')}`, watchdog.pattern);
+        check(Array.isArray(watchdog.color) && watchdog.color.length === 3 && watchdog.color.every((c) => typeof c === 'number' && c >= 0 && c <= 255),
+            'watchdog.color', 'an array of 3 numbers from 0 to 255, like [255, 120, 40]', watchdog.color);
+        check(watchdog.showPath === null || (typeof watchdog.showPath === 'string' && watchdog.showPath !== ''),
+            'watchdog.showPath', 'the path of a show file, or null', watchdog.showPath);
+        if (watchdog.fallback === 'show' && watchdog.showPath === null) {
+            problems.push(`watchdog.showPath must be set when watchdog.fallback is 'show'.`);
+        }
+    }
+
+    if (!isObject(settings.shows)) {
+        check(false, 'shows', 'an object like { "recordDirectory": "shows", "playbackPath": null, "loop": true, "speed": 1 }', settings.shows);
+    } else {
+        const shows = settings.shows;
+        check(shows.recordDirectory === null || (typeof shows.recordDirectory === 'string' && shows.recordDirectory !== ''),
+            'shows.recordDirectory', 'the path of a directory, or null', shows.recordDirectory);
+        check(shows.playbackPath === null || (typeof shows.playbackPath === 'string' && shows.playbackPath !== ''),
+            'shows.playbackPath', 'the path of a show file, or null', shows.playbackPath);
+        check(typeof shows.loop === 'boolean', 'shows.loop', 'true or false', shows.loop);
+        check(typeof shows.speed === 'number' && shows.speed > 0, 'shows.speed', 'a positive number', shows.speed);
+    }
+
+    // The watchdog isn't listed: it only sends while nothing else does, so it always comes last.
+    const sources = ['opc', 'browser', 'show'];
+    const isPriority = Array.isArray(settings.inputPriority) && settings.inputPriority.length === sources.length
+        && sources.every((source) => settings.inputPriority.includes(source));
+    check(isPriority, 'inputPriority', `'opc', 'browser' and 'show', each once, from highest to lowest priority`, settings.inputPriority);
+
+    if (!Array.isArray(settings.networkOutputs)) {
+        check(false, 'networkOutputs', 'an array', settings.networkOutputs);
+    } else {
+        settings.networkOutputs.forEach((output, i) => {
+            const name = `networkOutputs[${i}]`;
+            if (!isObject(output)) {
+                check(false, name, 'an object', output);
+                return;
+            }
+            checkRange(output, name);
+            check(output.protocol in NETWORK_PROTOCOLS, `${name}.protocol`, `one of: ${Object.keys(NETWORK_PROTOCOLS).join(', ')}`, output.protocol);
+            check(isWholeNumber(output.startUniverse), `${name}.startUniverse`, 'a whole number of at least 0', output.startUniverse);
+            check(output.host === undefined || typeof output.host === 'string', `${name}.host`, 'an IP address, or left out', output.host);
+            check(output.port === undefined || (isWholeNumber(output.port) && output.port <= 65535),
+                `${name}.port`, 'a whole number from 0 to 65535, or left out', output.port);
+        });
+    }
+    return problems;
+}
+
+/**
+ * Works out the settings to run with: `defaults`, overridden by the config file, overridden by the flags in `argv`.
+ * Throws an `Error` that lists every problem if any setting is invalid.
+ * If `argv` asks for `--help`, returns `help: true` and the `defaults` without reading the config file,
+ * so the help shows up even if the file has a mistake.
+ * @param {Settings} defaults - the CONFIG block in server.js
+ * @param {string[]} argv - the arguments after `node server.js`
+ * @param {string} defaultConfigPath - the config file to read if `--config` isn't given
+ * @returns {{settings: Settings, configPath: string, help: boolean}}
+ */
+function loadSettings(defaults, argv, defaultConfigPath) {
+    const { configPath: flagConfigPath, overrides, matches, help } = parseArgs(argv);
+    const configPath = flagConfigPath === null ? defaultConfigPath : path.resolve(flagConfigPath);
+    if (help) {
+        return { settings: defaults, configPath, help };
+    }
+    if (flagConfigPath !== null && !fs.existsSync(configPath)) {
+        throw new Error(`The config file ${configPath} given with --config doesn't exist.`);
+    }
+    const fromFile = readConfigFile(configPath) || {};
+    if (typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+        throw new Error(`${configPath} must contain a JSON object, like { "httpPort": 8080 }.`);
+    }
+    const unknownKeys = Object.keys(fromFile).filter((key) => !(key in defaults));
+    /** @param {any} value */
+    const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+    /** @type {any} */
+    const merged = { ...defaults, ...fromFile, ...overrides };
+    for (const key of Object.keys(fromFile)) {
+        if (isObject(defaults[key]) && isObject(fromFile[key]) && !(key in overrides)) {
+            merged[key] = { ...defaults[key], ...fromFile[key] };
+        }
+    }
+    /** @type {Settings} */
+    const settings = JSON.parse(JSON.stringify(merged));
+    /** @type {string[]} */
+    const problems = unknownKeys.map((key) => `${key} is not a setting. Use one of: ${Object.keys(defaults).join(', ')}.`);
+    for (const match of matches) {
+        try {
+            applyMatchFlag(settings.devices, match);
+        } catch (err) {
+            problems.push(err.message);
+        }
+    }
+    problems.push(...validateSettings(settings));
+    if (problems.length > 0) {
+        throw new Error(`Invalid settings (from ${configPath} and the command line):\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    }
+    return { settings, configPath, help };
+}
+
+/**
+ * Calls `onChange` whenever the file at `configPath` is created, changed or deleted.
+ * Watches the directory rather than the file itself, since many editors save by replacing the file.
+ * @param {string} configPath
+ * @param {() => void} onChange
+ * @returns {fs.FSWatcher}
+ */
+function watchConfigFile(configPath, onChange) {
+    /** @type {?NodeJS.Timeout} */
+    let timeout = null;
+    return fs.watch(path.dirname(configPath), (event, filename) => {
+        if (filename !== path.basename(configPath)) {
+            return;
+        }
+        // Editors often write a file in several steps; wait for them to finish.
+        if (timeout !== null) {
+            clearTimeout(timeout);
+        }
+        timeout = setTimeout(() => {
+            timeout = null;
+            onChange();
+        }, 200);
+    });
+}
+
+module.exports = {
+    describeFlags,
+    parseArgs,
+    validateSettings,
+    loadSettings,
+    watchConfigFile,
+};
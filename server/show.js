@@ -0,0 +1,207 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Recording frames to "show" files and playing them back.
+ *
+ * A show file starts with the 8 ASCII bytes `LEDSHOW1` and is followed by one record per frame:
+ * ```
+ * Bytes:    0-3                        4-7                        8 ...
+ * Meaning:  delayMs (uint32, LE)       length (uint32, LE)        frame data (length bytes)
+ * ```
+ * `delayMs` is the number of milliseconds since the previous frame (0 for the first frame).
+ * Frame data is stored exactly as it arrived: 3 bytes (R, G, B) per LED.
+ */
+
+/** Bytes every show file starts with. */
+const SHOW_MAGIC = Buffer.from('LEDSHOW1', 'ascii');
+/** Number of bytes in front of each frame's data. */
+const RECORD_HEADER_SIZE = 8;
+
+/**
+ * One frame of a show.
+ * @typedef {object} ShowFrame
+ * @property {number} delayMs - milliseconds since the previous frame
+ * @property {Buffer} data - 3 bytes per LED
+ */
+
+/**
+ * Appends frames to a show file as they arrive.
+ * Frames are written immediately, so a recording survives the server being stopped or crashing.
+ */
+class ShowRecorder {
+    /**
+     * Creates (or overwrites) the show file at `path`.
+     * @param {string} path
+     */
+    constructor(path) {
+        this.path = path;
+        this.frameCount = 0;
+        /** @type {?number} */
+        this._lastFrameMs = null;
+        this._fd = fs.openSync(path, 'w');
+        fs.writeSync(this._fd, SHOW_MAGIC);
+    }
+
+    /**
+     * Appends `frame` to the show, timestamped with the current time.
+     * @param {Uint8Array} frame
+     */
+    record(frame) {
+        if (this._fd === null) {
+            return;
+        }
+        const now = Date.now();
+        const delayMs = this._lastFrameMs === null ? 0 : now - this._lastFrameMs;
+        this._lastFrameMs = now;
+
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        header.writeUInt32LE(Math.min(delayMs, 0xFFFFFFFF), 0);
+        header.writeUInt32LE(frame.length, 4);
+        fs.writeSync(this._fd, header);
+        fs.writeSync(this._fd, frame);
+        this.frameCount++;
+    }
+
+    /**
+     * Stops recording. Further calls to `record` are ignored.
+     */
+    close() {
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
+
+/**
+ * Reads every frame from the show file at `path`.
+ * Rejects if the file isn't a show file. A truncated final frame
+ * (for example from a recording that was cut off) is ignored.
+ * @param {string} path
+ * @returns {Promise<ShowFrame[]>}
+ */
+async function readShow(path) {
+    const contents = await fs.promises.readFile(path);
+    if (contents.length < SHOW_MAGIC.length || !contents.subarray(0, SHOW_MAGIC.length).equals(SHOW_MAGIC)) {
+        throw new Error(`${path} is not a show file. Show files start with "${SHOW_MAGIC.toString('ascii')}".`);
+    }
+    /** @type {ShowFrame[]} */
+    const frames = [];
+    let offset = SHOW_MAGIC.length;
+    while (offset + RECORD_HEADER_SIZE <= contents.length) {
+        const delayMs = contents.readUInt32LE(offset);
+        const length = contents.readUInt32LE(offset + 4);
+        const start = offset + RECORD_HEADER_SIZE;
+        if (start + length > contents.length) {
+            break;
+        }
+        frames.push({ delayMs, data: contents.subarray(start, start + length) });
+        offset = start + length;
+    }
+    return frames;
+}
+
+/**
+ * Options for a `ShowPlayer`.
+ * @typedef {object} ShowPlayerOptions
+ * @property {boolean} [loop] - start over after the last frame. Defaults to `false`.
+ * @property {number} [speed] - playback speed multiplier; 2 plays twice as fast. Defaults to `1`.
+ */
+
+/**
+ * Plays the frames of a show with their original timing.
+ */
+class ShowPlayer {
+    /**
+     * @param {ShowFrame[]} frames
+     * @param {ShowPlayerOptions} options
+     * @param {(frame: Buffer) => void} onFrame - called with each frame as it becomes due
+     * @param {() => void} [onEnd] - called when a non-looping show has played its last frame
+     */
+    constructor(frames, options, onFrame, onEnd) {
+        if (!(options.speed === undefined || options.speed > 0)) {
+            throw new Error(`Show playback speed must be greater than 0, but it is ${options.speed}.`);
+        }
+        this.frames = frames;
+        this.loop = !!options.loop;
+        this.speed = options.speed === undefined ? 1 : options.speed;
+        this.onFrame = onFrame;
+        this.onEnd = onEnd;
+        this.isPlaying = false;
+        /** @type {?NodeJS.Timeout} */
+        this._timeout = null;
+        this._nextIndex = 0;
+        this._nextDueMs = 0;
+        this._hasLooped = false;
+    }
+
+    /**
+     * Starts playing from the first frame. Does nothing if the show has no frames.
+     */
+    start() {
+        this.stop();
+        if (this.frames.length === 0) {
+            return;
+        }
+        this.isPlaying = true;
+        this._nextIndex = 0;
+        this._hasLooped = false;
+        this._nextDueMs = Date.now();
+        this._scheduleNext();
+    }
+
+    /**
+     * Stops playing.
+     */
+    stop() {
+        this.isPlaying = false;
+        if (this._timeout !== null) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+    }
+
+    _scheduleNext() {
+        // Schedule against the show's own clock rather than the previous timeout
+        // so that timer jitter doesn't accumulate over a long show.
+        // The first frame has no delay of its own, so when we loop back to it,
+        // reuse the delay of the last frame to keep the rhythm going.
+        const delayMs = this._nextIndex === 0 && this._hasLooped
+            ? this.frames[this.frames.length - 1].delayMs
+            : this.frames[this._nextIndex].delayMs;
+        this._nextDueMs += delayMs / this.speed;
+        const waitMs = Math.max(0, this._nextDueMs - Date.now());
+        this._timeout = setTimeout(() => this._playNext(), waitMs);
+    }
+
+    _playNext() {
+        this._timeout = null;
+        this.onFrame(this.frames[this._nextIndex].data);
+        if (!this.isPlaying) {
+            // `onFrame` stopped the show.
+            return;
+        }
+        this._nextIndex++;
+        if (this._nextIndex >= this.frames.length) {
+            if (!this.loop) {
+                this.isPlaying = false;
+                if (this.onEnd) {
+                    this.onEnd();
+                }
+                return;
+            }
+            this._nextIndex = 0;
+            this._hasLooped = true;
+        }
+        this._scheduleNext();
+    }
+}
+
+module.exports = {
+    ShowRecorder,
+    ShowPlayer,
+    readShow,
+};
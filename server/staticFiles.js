@@ -0,0 +1,316 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serving the webapp's files over HTTP.
+ *
+ * - Only files inside the root directory are served; paths like `/../server.js` are refused.
+ * - Every response has a `Content-Type` based on the file extension (see `MIME_TYPES`).
+ * - Responses carry an `ETag` and `Last-Modified`, and the browser is asked to check back every time
+ *   (`Cache-Control: no-cache`), so edits show up on the next reload while unchanged files are answered with a short 304.
+ * - Missing files get a readable 404 page instead of an error object.
+ * - Directories that are listed in `listDirectories` get a page linking to every file in them.
+ */
+
+/** Content types by file extension. Anything else is sent as `application/octet-stream`. */
+const MIME_TYPES = {
+    // Pages, code and data
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.wasm': 'application/wasm',
+    '.pdf': 'application/pdf',
+    // Images
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    // Audio
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/opus',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.flac': 'audio/flac',
+    '.weba': 'audio/webm',
+    '.mid': 'audio/midi',
+    '.midi': 'audio/midi',
+    // Video
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogv': 'video/ogg',
+    '.mov': 'video/quicktime',
+    // Fonts
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    // 3D models
+    '.gltf': 'model/gltf+json',
+    '.glb': 'model/gltf-binary',
+    '.obj': 'model/obj',
+};
+
+/**
+ * Returns the content type for the file at `filePath`.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function mimeTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Escapes `text` so it can be put into HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Builds a small HTML page.
+ * @param {string} title
+ * @param {string} bodyHtml
+ * @returns {string}
+ */
+function makePage(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>body { font-family: sans-serif; background: #111; color: #eee; margin: 2em; } a { color: #8cf; }</style>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * An `ETag` that changes whenever the file's size or modification time changes.
+ * @param {fs.Stats} stats
+ * @returns {string}
+ */
+function makeETag(stats) {
+    return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Returns `true` if the browser's cached copy (described by the request's conditional headers) is still current.
+ * @param {import('http').IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} lastModified
+ * @returns {boolean}
+ */
+function isCachedCopyFresh(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch !== undefined) {
+        // If-None-Match wins over If-Modified-Since when both are present.
+        const tags = ifNoneMatch.split(',').map((tag) => tag.trim().replace(/^W\//, ''));
+        return tags.includes('*') || tags.includes(etag.replace(/^W\//, ''));
+    }
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince !== undefined) {
+        const since = Date.parse(ifModifiedSince);
+        // HTTP dates only have whole seconds.
+        return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+    return false;
+}
+
+/**
+ * Options for `createStaticFileHandler`.
+ * @typedef {object} StaticFileOptions
+ * @property {string[]} [listDirectories] - directories (relative to the root, e.g. `'mappings'`) that get a page listing their files
+ * @property {(action: string, ...msg: any[]) => void} [log] - called for every request
+ */
+
+/**
+ * Creates a request handler for `http.createServer` that serves the files in `root`.
+ * `/` serves `index.html`, and so does a directory that contains one.
+ * @param {string} root - absolute path of the directory to serve
+ * @param {StaticFileOptions} [options]
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => void}
+ */
+function createStaticFileHandler(root, options = {}) {
+    const listDirectories = (options.listDirectories || []).map((dir) => path.resolve(root, dir));
+    const log = options.log || (() => { });
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {number} status
+     * @param {string} title
+     * @param {string} bodyHtml
+     * @param {import('http').OutgoingHttpHeaders} [headers]
+     */
+    const sendPage = (req, res, status, title, bodyHtml, headers = {}) => {
+        const page = makePage(title, bodyHtml);
+        res.writeHead(status, {
+            'Content-Type': MIME_TYPES['.html'],
+            'Content-Length': Buffer.byteLength(page),
+            ...headers,
+        });
+        res.end(req.method === 'HEAD' ? undefined : page);
+    };
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname
+     */
+    const sendNotFound = (req, res, pathname) => {
+        sendPage(req, res, 404, 'Not found', `<h1>Not found</h1>
+<p>There is no file at <code>${escapeHtml(pathname)}</code>.</p>
+<p><a href="/">Back to the visualizer</a></p>`);
+    };
+
+    return function handleRequest(req, res) {
+        const uri = new URL(req.url || '/', 'http://localhost/');
+        let pathname;
+        try {
+            pathname = decodeURIComponent(uri.pathname);
+        } catch (err) {
+            sendPage(req, res, 400, 'Bad request', '<h1>Bad request</h1><p>The address is not encoded correctly.</p>');
+            return;
+        }
+        log('got request', pathname);
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendPage(req, res, 405, 'Method not allowed', `<h1>Method not allowed</h1><p>Only GET and HEAD are supported.</p>`, { 'Allow': 'GET, HEAD' });
+            return;
+        }
+        const filePath = path.resolve(root, `.${pathname}`);
+        if (pathname.includes('\0') || (filePath !== root && !filePath.startsWith(root + path.sep))) {
+            log('refused', pathname);
+            sendNotFound(req, res, pathname);
+            return;
+        }
+
+        fs.stat(filePath, (err, stats) => {
+            if (err) {
+                sendNotFound(req, res, pathname);
+            } else if (stats.isDirectory()) {
+                if (!pathname.endsWith('/')) {
+                    // Redirect so relative links inside the directory resolve correctly.
+                    res.writeHead(301, { 'Location': `${uri.pathname}/${uri.search}` });
+                    res.end();
+                    return;
+                }
+                const indexPath = path.join(filePath, 'index.html');
+                fs.stat(indexPath, (indexErr, indexStats) => {
+                    if (!indexErr && indexStats.isFile()) {
+                        sendFile(req, res, indexPath, indexStats);
+                    } else if (listDirectories.includes(filePath)) {
+                        sendDirectoryListing(req, res, filePath, pathname);
+                    } else {
+                        sendNotFound(req, res, pathname);
+                    }
+                });
+            } else if (stats.isFile()) {
+                sendFile(req, res, filePath, stats);
+            } else {
+                sendNotFound(req, res, pathname);
+            }
+        });
+    };
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} dirPath
+     * @param {string} pathname - ends with `/`
+     */
+    function sendDirectoryListing(req, res, dirPath, pathname) {
+        fs.readdir(dirPath, { withFileTypes: true }, (err, entries) => {
+            if (err) {
+                sendNotFound(req, res, pathname);
+                return;
+            }
+            const items = entries
+                .filter((entry) => !entry.name.startsWith('.'))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map((entry) => {
+                    const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+                    return `<li><a href="${escapeHtml(encodeURIComponent(entry.name))}${entry.isDirectory() ? '/' : ''}">${escapeHtml(name)}</a></li>`;
+                });
+            sendPage(req, res, 200, `Index of ${pathname}`, `<h1>Index of ${escapeHtml(pathname)}</h1>
+<ul>
+${items.join('\n') || '<li>(empty)</li>'}
+</ul>
+<p><a href="/">Back to the visualizer</a></p>`, { 'Cache-Control': 'no-cache' });
+        });
+    }
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} filePath
+     * @param {fs.Stats} stats
+     */
+    function sendFile(req, res, filePath, stats) {
+        const etag = makeETag(stats);
+        const lastModified = stats.mtime;
+        /** @type {import('http').OutgoingHttpHeaders} */
+        const headers = {
+            'ETag': etag,
+            'Last-Modified': lastModified.toUTCString(),
+            // Always check with the server before using a cached copy, so edits show up right away.
+            'Cache-Control': 'no-cache',
+        };
+        if (isCachedCopyFresh(req, etag, lastModified)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+        headers['Content-Type'] = mimeTypeFor(filePath);
+        headers['Content-Length'] = stats.size;
+        if (req.method === 'HEAD') {
+            res.writeHead(200, headers);
+            res.end();
+            return;
+        }
+        const stream = fs.createReadStream(filePath);
+        stream.on('open', () => {
+            res.writeHead(200, headers);
+            stream.pipe(res);
+        });
+        stream.on('error', (err) => {
+            log('ERROR', filePath, err.message);
+            if (!res.headersSent) {
+                sendNotFound(req, res, req.url || filePath);
+            } else {
+                res.destroy();
+            }
+        });
+    }
+}
+
+module.exports = {
+    MIME_TYPES,
+    mimeTypeFor,
+    createStaticFileHandler,
+};
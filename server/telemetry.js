@@ -0,0 +1,107 @@
+// @ts-check
+'use strict';
+
+/**
+ * Turning the lines of text a microcontroller prints into structured events,
+ * so the browser can show problems (like frames of the wrong size) where we're working.
+ * The patterns need to match the messages printed by `microcontroller/src/src.ino`
+ * (and mirrored by `virtualDevice.js`).
+ *
+ * Lines that start with `@sensor` are sensor readings rather than messages; see `parseSensorLine`.
+ */
+
+/**
+ * What a line printed by the microcontroller means.
+ * - `serialOpened`, `ledsRegistered`: boot messages from `setup()`
+ * - `frameTooShort`, `frameTooLong`: a frame didn't have the number of bytes the sketch expects
+ * - `missedFrames`: checked framing noticed a gap in sequence numbers
+ * - `checksumMismatch`: checked framing dropped a corrupted frame
+ * - `unknownPacketType`: checked framing got a packet type it doesn't understand
+ * - `invalidDeltaFrame`: compressed framing got a delta frame that doesn't fit the LEDs
+ * - `skippingDeltaFrames`: compressed framing is waiting for a full frame after missing a packet
+ * - `message`: any other line
+ * @typedef {'serialOpened'|'ledsRegistered'|'frameTooShort'|'frameTooLong'|'missedFrames'|'checksumMismatch'|'unknownPacketType'|'invalidDeltaFrame'|'skippingDeltaFrames'|'message'} TelemetryKind
+ */
+
+/**
+ * A line printed by the microcontroller, parsed.
+ * @typedef {object} TelemetryEvent
+ * @property {TelemetryKind} kind
+ * @property {'info'|'warning'} level - `'warning'` for anything that means frames aren't being shown as sent
+ * @property {string} text - the line as printed, without surrounding whitespace or the leading `- ` of error messages
+ * @property {number} [expected] - frame sizes: bytes per frame the sketch expects; missed frames: the expected sequence number
+ * @property {number} [got] - frame sizes: bytes received; missed frames: the sequence number received
+ * @property {number} [sequence] - checksum mismatch: sequence number of the dropped frame
+ * @property {number} [packetType] - unknown packet type: the type received
+ */
+
+/**
+ * Each pattern, the kind of event it produces, and which numbers it captures.
+ * @type {{pattern: RegExp, kind: TelemetryKind, level: 'info'|'warning', fields: string[]}[]}
+ */
+const LINE_PATTERNS = [
+    { pattern: /^Serial opened$/, kind: 'serialOpened', level: 'info', fields: [] },
+    { pattern: /^LEDs registered$/, kind: 'ledsRegistered', level: 'info', fields: [] },
+    { pattern: /^Frame too short\. Expected: (\d+) bytes\. Got: (\d+)$/, kind: 'frameTooShort', level: 'warning', fields: ['expected', 'got'] },
+    { pattern: /^Frame too long\. Expected: (\d+) bytes\. Got: (\d+)$/, kind: 'frameTooLong', level: 'warning', fields: ['expected', 'got'] },
+    { pattern: /^Missed frames\. Expected sequence: (\d+)\. Got: (\d+)$/, kind: 'missedFrames', level: 'warning', fields: ['expected', 'got'] },
+    { pattern: /^Frame checksum mismatch\. Dropped frame with sequence: (\d+)$/, kind: 'checksumMismatch', level: 'warning', fields: ['sequence'] },
+    { pattern: /^Unknown packet type: (\d+)$/, kind: 'unknownPacketType', level: 'warning', fields: ['packetType'] },
+    { pattern: /^Invalid delta frame$/, kind: 'invalidDeltaFrame', level: 'warning', fields: [] },
+    { pattern: /^Skipping delta frames until the next full frame$/, kind: 'skippingDeltaFrames', level: 'warning', fields: [] },
+];
+
+/**
+ * Parses one line printed by the microcontroller.
+ * Lines we don't recognize become `message` events, so nothing the microcontroller says gets lost.
+ * @param {string} line - with or without the trailing `\r\n`
+ * @returns {TelemetryEvent}
+ */
+function parseDeviceLine(line) {
+    const text = line.trim().replace(/^- /, '');
+    for (const { pattern, kind, level, fields } of LINE_PATTERNS) {
+        const match = pattern.exec(text);
+        if (match) {
+            /** @type {TelemetryEvent} */
+            const event = { kind, level, text };
+            fields.forEach((field, i) => {
+                event[field] = Number(match[i + 1]);
+            });
+            return event;
+        }
+    }
+    return { kind: 'message', level: 'info', text };
+}
+
+/** What `reportSensor` in the sketch prints: `@sensor` followed by one or more `name=value` pairs. */
+const SENSOR_LINE_PATTERN = /^@sensor((?:\s+[A-Za-z_][A-Za-z0-9_]*=\S+)+)$/;
+
+/**
+ * Parses a line of sensor readings, like `@sensor distance=412 touch=1`.
+ * Returns the readings by sensor name, or `null` if the line isn't a valid sensor line
+ * (in which case it should be treated as a regular message, so typos show up).
+ * @param {string} line - with or without the trailing `\r\n`
+ * @returns {?Object<string, number>}
+ */
+function parseSensorLine(line) {
+    const match = SENSOR_LINE_PATTERN.exec(line.trim());
+    if (!match) {
+        return null;
+    }
+    /** @type {Object<string, number>} */
+    const readings = {};
+    for (const pair of match[1].trim().split(/\s+/)) {
+        const [name, text] = pair.split('=');
+        const value = Number(text);
+        if (!Number.isFinite(value)) {
+            return null;
+        }
+        readings[name] = value;
+    }
+    return readings;
+}
+
+module.exports = {
+    parseDeviceLine,
+    parseSensorLine,
+};
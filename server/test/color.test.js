@@ -0,0 +1,58 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { CHANNEL_ORDERS, createColorPipeline } = require('../color');
+const { runTests } = require('./helper');
+
+/**
+ * Checks each step of color correction on its own, and the order they run in.
+ */
+
+/** Two LEDs: an orange-ish one and a dim blue one. */
+const FRAME = Buffer.from([255, 128, 0, 0, 10, 64]);
+
+function testDefaultsChangeNothing() {
+    const pipeline = createColorPipeline({});
+    assert.strictEqual(pipeline(FRAME), FRAME, 'no copy is made when nothing changes');
+    assert.strictEqual(createColorPipeline({ gamma: 1, whitePoint: [1, 1, 1], brightness: 1, channelOrder: 'RGB' })(FRAME), FRAME);
+}
+
+function testGamma() {
+    const out = createColorPipeline({ gamma: 2 })(FRAME);
+    // 255 * (v / 255) ^ 2, rounded
+    assert.deepStrictEqual([...out], [255, 64, 0, 0, 0, 16]);
+    assert.notStrictEqual(out, FRAME);
+    assert.deepStrictEqual([...FRAME], [255, 128, 0, 0, 10, 64], 'the frame itself stays unchanged');
+}
+
+function testWhitePointAndBrightness() {
+    assert.deepStrictEqual([...createColorPipeline({ whitePoint: [1, 0.5, 0.25] })(FRAME)], [255, 64, 0, 0, 5, 16]);
+    assert.deepStrictEqual([...createColorPipeline({ brightness: 0.5 })(FRAME)], [128, 64, 0, 0, 5, 32]);
+    // Both scale, after gamma.
+    assert.deepStrictEqual([...createColorPipeline({ gamma: 2, whitePoint: [0.5, 1, 1], brightness: 0.5 })(FRAME)], [64, 32, 0, 0, 0, 8]);
+}
+
+function testChannelOrder() {
+    assert.deepStrictEqual([...createColorPipeline({ channelOrder: 'GRB' })(FRAME)], [128, 255, 0, 10, 0, 64]);
+    assert.deepStrictEqual([...createColorPipeline({ channelOrder: 'BGR' })(FRAME)], [0, 128, 255, 64, 10, 0]);
+    // The white point belongs to the LED's red, green and blue, wherever they end up in the order.
+    assert.deepStrictEqual([...createColorPipeline({ channelOrder: 'GRB', whitePoint: [1, 0.5, 1] })(FRAME)], [64, 255, 0, 5, 0, 64]);
+    for (const order of CHANNEL_ORDERS) {
+        const out = createColorPipeline({ channelOrder: order })(Buffer.from([1, 2, 3]));
+        assert.deepStrictEqual([...out], Array.from(order, (channel) => 'RGB'.indexOf(channel) + 1), order);
+    }
+}
+
+function testPartialLed() {
+    const out = createColorPipeline({ brightness: 0.5 })(Buffer.from([200, 100, 50, 255, 255]));
+    assert.deepStrictEqual([...out], [100, 50, 25, 0, 0]);
+}
+
+runTests('color', [
+    testDefaultsChangeNothing,
+    testGamma,
+    testWhitePointAndBrightness,
+    testChannelOrder,
+    testPartialLed,
+]);
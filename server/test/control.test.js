@@ -0,0 +1,56 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { Control, pickClientId } = require('../control');
+const { runTests } = require('./helper');
+
+/**
+ * Checks which page ends up in control as pages open, close and reload.
+ */
+
+const RECLAIM_MS = 3000;
+
+function testFirstPageTakesControl() {
+    const control = new Control(RECLAIM_MS);
+    assert.strictEqual(control.isControllerConnected(), false);
+    assert.strictEqual(control.shouldTakeControl('a', 0), true);
+    assert.strictEqual(control.give('a'), true);
+    assert.strictEqual(control.isController('a'), true);
+    assert.strictEqual(control.isControllerConnected(), true);
+    // A second page is a viewer until it takes control.
+    assert.strictEqual(control.shouldTakeControl('b', 10), false);
+    assert.strictEqual(control.give('b'), true);
+    assert.strictEqual(control.isController('a'), false);
+    assert.strictEqual(control.give('b'), false);
+}
+
+function testControllerReloads() {
+    const control = new Control(RECLAIM_MS);
+    control.give('a');
+    control.pageClosed('b', 100);
+    assert.strictEqual(control.isControllerConnected(), true);
+    control.pageClosed('a', 1000);
+    assert.strictEqual(control.isControllerConnected(), false);
+    // Other pages wait for the controller to come back...
+    assert.strictEqual(control.shouldTakeControl('b', 1000 + RECLAIM_MS), false);
+    assert.strictEqual(control.shouldTakeControl('a', 1000 + RECLAIM_MS), true);
+    // ...but not forever.
+    assert.strictEqual(control.shouldTakeControl('b', 1001 + RECLAIM_MS), true);
+}
+
+function testPickClientId() {
+    assert.strictEqual(pickClientId('a', new Set(['b'])), 'a');
+    // A duplicated tab asks for the id of the tab it was copied from.
+    const duplicate = pickClientId('a', new Set(['a', 'b']));
+    assert.ok(!['a', 'b'].includes(duplicate));
+    assert.match(duplicate, /^[0-9a-f]{16}$/);
+    assert.match(pickClientId(null, new Set()), /^[0-9a-f]{16}$/);
+    assert.match(pickClientId('', new Set()), /^[0-9a-f]{16}$/);
+}
+
+runTests('control', [
+    testFirstPageTakesControl,
+    testControllerReloads,
+    testPickClientId,
+]);
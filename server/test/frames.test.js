@@ -0,0 +1,135 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { sliceFrameForRange, SourcePriority, FramePacer } = require('../frames');
+const { runTests } = require('./helper');
+
+/**
+ * Checks that each microcontroller gets its own range of LEDs out of the whole frame,
+ * that only the source with the highest priority gets its frames to the LEDs,
+ * and that a slow port only ever gets the newest frame.
+ */
+
+/** 5 LEDs, where every channel of LED `i` is `i`. */
+const FRAME = Buffer.from([0, 0, 0, 1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4]);
+
+function testRanges() {
+    assert.deepStrictEqual([...sliceFrameForRange(FRAME, { ledStart: 0, ledCount: 2 })], [0, 0, 0, 1, 1, 1]);
+    assert.deepStrictEqual([...sliceFrameForRange(FRAME, { ledStart: 2, ledCount: 2 })], [2, 2, 2, 3, 3, 3]);
+    // Without `ledCount`, a device drives the rest of the frame.
+    assert.deepStrictEqual([...sliceFrameForRange(FRAME, { ledStart: 3 })], [3, 3, 3, 4, 4, 4]);
+}
+
+function testRangesPastTheFrame() {
+    // A frame from a mapping with fewer LEDs than the devices expect.
+    assert.deepStrictEqual([...sliceFrameForRange(FRAME, { ledStart: 4, ledCount: 3 })], [4, 4, 4]);
+    assert.strictEqual(sliceFrameForRange(FRAME, { ledStart: 10, ledCount: 2 }).length, 0);
+    assert.strictEqual(sliceFrameForRange(FRAME, { ledStart: 10 }).length, 0);
+}
+
+function testSharesMemory() {
+    const frame = Buffer.from(FRAME);
+    const slice = sliceFrameForRange(frame, { ledStart: 1, ledCount: 1 });
+    frame[3] = 99;
+    assert.strictEqual(slice[0], 99);
+}
+
+const PRIORITY = ['opc', 'browser', 'show'];
+const IDLE_MS = 1000;
+
+function testHighestPriorityWins() {
+    const sources = new SourcePriority(IDLE_MS);
+    assert.strictEqual(sources.frameArrived('browser', PRIORITY, 0), true);
+    assert.strictEqual(sources.frameArrived('show', PRIORITY, 10), false);
+    assert.strictEqual(sources.frameArrived('opc', PRIORITY, 20), true);
+    assert.strictEqual(sources.frameArrived('browser', PRIORITY, 30), false);
+    // The watchdog isn't listed, so it comes after every listed source.
+    assert.strictEqual(sources.frameArrived('watchdog', PRIORITY, 40), false);
+}
+
+function testIdleSourcesHandOver() {
+    const sources = new SourcePriority(IDLE_MS);
+    sources.frameArrived('opc', PRIORITY, 0);
+    assert.strictEqual(sources.frameArrived('browser', PRIORITY, IDLE_MS), false);
+    assert.strictEqual(sources.frameArrived('browser', PRIORITY, IDLE_MS + 1), true);
+    assert.strictEqual(sources.frameArrived('show', PRIORITY, IDLE_MS + 2), false);
+    assert.strictEqual(sources.isInControl('watchdog', PRIORITY, 3 * IDLE_MS), true);
+}
+
+function testPriorityCanChange() {
+    const sources = new SourcePriority(IDLE_MS);
+    sources.frameArrived('opc', PRIORITY, 0);
+    assert.strictEqual(sources.frameArrived('browser', PRIORITY, 10), false);
+    assert.strictEqual(sources.frameArrived('browser', ['browser', 'opc', 'show'], 20), true);
+}
+
+/**
+ * A pacer whose port takes as long to send each frame as the test wants: call the functions in `sending` to finish.
+ * @param {number} [maxFramesPerSecond]
+ */
+function makePacer(maxFramesPerSecond = 0) {
+    /** @type {number[]} */
+    const sent = [];
+    /** @type {Array<() => void>} */
+    const sending = [];
+    const pacer = new FramePacer((frame, done) => {
+        sent.push(frame[0]);
+        sending.push(done);
+    }, () => maxFramesPerSecond);
+    /** @param {number} id */
+    const queue = (id) => pacer.queue(Buffer.from([id]));
+    return { pacer, sent, sending, queue };
+}
+
+function testOnlyTheNewestFrameWaits() {
+    const { pacer, sent, sending, queue } = makePacer();
+    queue(1);
+    queue(2);
+    queue(3);
+    assert.deepStrictEqual(sent, [1]);
+    sending.shift()();
+    assert.deepStrictEqual(sent, [1, 3]);
+    sending.shift()();
+    assert.deepStrictEqual(pacer.stats, { sent: 2, dropped: 1 });
+    queue(4);
+    assert.deepStrictEqual(sent, [1, 3, 4]);
+}
+
+function testReset() {
+    const { pacer, sent, sending, queue } = makePacer();
+    queue(1);
+    queue(2);
+    pacer.reset();
+    // The port closed while sending frame 1, so its callback comes too late to count.
+    sending.shift()();
+    assert.deepStrictEqual(pacer.stats, { sent: 0, dropped: 0 });
+    queue(3);
+    assert.deepStrictEqual(sent, [1, 3]);
+}
+
+async function testMaxFramesPerSecond() {
+    const { pacer, sent, sending, queue } = makePacer(20);
+    queue(1);
+    sending.shift()();
+    queue(2);
+    assert.deepStrictEqual(sent, [1], 'the second frame has to wait 50ms');
+    await new Promise((resolve) => setTimeout(resolve, 70));
+    assert.deepStrictEqual(sent, [1, 2]);
+    queue(3);
+    pacer.reset();
+    await new Promise((resolve) => setTimeout(resolve, 70));
+    assert.deepStrictEqual(sent, [1, 2]);
+}
+
+runTests('frames', [
+    testRanges,
+    testRangesPastTheFrame,
+    testSharesMemory,
+    testHighestPriorityWins,
+    testIdleSourcesHandOver,
+    testPriorityCanChange,
+    testOnlyTheNewestFrameWaits,
+    testReset,
+    testMaxFramesPerSecond,
+]);
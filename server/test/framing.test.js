@@ -0,0 +1,127 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const framing = require('../framing');
+const { runTests } = require('./helper');
+
+/**
+ * Checks the checked serial framing against the packet layout the microcontroller parses,
+ * and that delta frames turn one frame into the next with as few bytes as the spans allow.
+ */
+
+function testCrc16() {
+    // The standard check value of CRC-16/CCITT-FALSE.
+    assert.strictEqual(framing.crc16(Buffer.from('123456789')), 0x29B1);
+    assert.strictEqual(framing.crc16(Buffer.alloc(0)), 0xFFFF);
+    const continued = framing.crc16(Buffer.from('6789'), framing.crc16(Buffer.from('12345')));
+    assert.strictEqual(continued, 0x29B1);
+}
+
+function testEncodePacket() {
+    const payload = Buffer.from([0xFF, 0x00, 0xAA, 0x55, 0xFF, 0xFF]);
+    const packet = framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 7, payload);
+    assert.strictEqual(packet.length, framing.HEADER_SIZE + payload.length + framing.FOOTER_SIZE);
+    assert.deepStrictEqual([...packet.subarray(0, framing.HEADER_SIZE)], [0xAA, 0x55, 0x01, 7, 6, 0]);
+    // Full brightness goes through as it is.
+    assert.deepStrictEqual(packet.subarray(framing.HEADER_SIZE, framing.HEADER_SIZE + payload.length), payload);
+    const crc = framing.crc16(packet.subarray(2, framing.HEADER_SIZE + payload.length));
+    assert.strictEqual(packet.readUInt16BE(framing.HEADER_SIZE + payload.length), crc);
+}
+
+function testSequenceWraps() {
+    assert.strictEqual(framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 255, Buffer.alloc(3))[3], 255);
+    assert.strictEqual(framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 256, Buffer.alloc(3))[3], 0);
+    assert.strictEqual(framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 258, Buffer.alloc(3))[3], 2);
+}
+
+function testPayloadLength() {
+    const packet = framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 0, Buffer.alloc(0x1234));
+    assert.strictEqual(packet.readUInt16LE(4), 0x1234);
+    assert.throws(() => framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 0, Buffer.alloc(0x10000)), /too long/);
+}
+
+/**
+ * @param {number} ledCount
+ * @param {Object<number, number[]>} colors - colors of the LEDs that aren't black, by index
+ * @returns {Buffer}
+ */
+function makeFrame(ledCount, colors) {
+    const frame = Buffer.alloc(ledCount * 3);
+    for (const [led, color] of Object.entries(colors)) {
+        frame.set(color, Number(led) * 3);
+    }
+    return frame;
+}
+
+const RED = [255, 0, 0];
+const GREEN = [0, 255, 0];
+const BLUE = [0, 0, 255];
+
+function testDeltaSpans() {
+    const prev = makeFrame(20, {});
+    const next = makeFrame(20, { 2: RED, 10: GREEN, 11: GREEN, 12: GREEN, 13: GREEN, 14: GREEN, 15: GREEN });
+    const payload = framing.encodeDeltaPayload(prev, next);
+    assert.ok(payload);
+    assert.deepStrictEqual([...payload], [
+        framing.SPAN_TYPES.COPY, 2, 0, 1, 0, ...RED,
+        framing.SPAN_TYPES.FILL, 10, 0, 6, 0, ...GREEN,
+    ]);
+}
+
+function testDeltaKeepsShortGapsInSpan() {
+    // A single unchanged LED costs less to resend than a new span header.
+    const prev = makeFrame(20, {});
+    const next = makeFrame(20, { 2: RED, 3: BLUE, 5: RED });
+    const payload = framing.encodeDeltaPayload(prev, next);
+    assert.ok(payload);
+    assert.deepStrictEqual([...payload], [framing.SPAN_TYPES.COPY, 2, 0, 4, 0, ...RED, ...BLUE, 0, 0, 0, ...RED]);
+}
+
+function testDeltaRoundTrip() {
+    const prev = makeFrame(50, { 0: RED, 1: RED, 7: BLUE, 30: GREEN, 49: BLUE });
+    const next = makeFrame(50, { 0: RED, 1: GREEN, 8: BLUE, 20: RED, 21: RED, 22: RED, 23: RED, 24: RED, 30: GREEN, 31: [1, 2, 3] });
+    const payload = framing.encodeDeltaPayload(prev, next);
+    assert.ok(payload);
+    assert.ok(payload.length < next.length);
+    const frame = Buffer.from(prev);
+    assert.strictEqual(framing.applyDeltaPayload(frame, payload), true);
+    assert.deepStrictEqual(frame, next);
+
+    const unchanged = framing.encodeDeltaPayload(next, next);
+    assert.ok(unchanged);
+    assert.strictEqual(unchanged.length, 0);
+}
+
+function testDeltaNotSmaller() {
+    const prev = makeFrame(4, {});
+    const next = makeFrame(4, { 0: RED, 1: GREEN, 2: BLUE, 3: RED });
+    assert.strictEqual(framing.encodeDeltaPayload(prev, next), null);
+}
+
+function testMalformedDelta() {
+    const original = makeFrame(4, { 1: RED });
+    const malformed = [
+        [framing.SPAN_TYPES.FILL, 0, 0, 1, 0, ...GREEN, 0x07, 0, 0, 1, 0, ...BLUE],
+        [framing.SPAN_TYPES.FILL, 0, 0, 1, 0, ...GREEN, framing.SPAN_TYPES.FILL, 3, 0, 2, 0, ...BLUE],
+        [framing.SPAN_TYPES.FILL, 0, 0, 1, 0, ...GREEN, framing.SPAN_TYPES.COPY, 0, 0, 2, 0, ...BLUE],
+        [framing.SPAN_TYPES.FILL, 0, 0, 1, 0, ...GREEN, framing.SPAN_TYPES.COPY, 0],
+    ];
+    for (const payload of malformed) {
+        const frame = Buffer.from(original);
+        assert.strictEqual(framing.applyDeltaPayload(frame, Buffer.from(payload)), false, `payload ${payload}`);
+        assert.deepStrictEqual(frame, original, 'a malformed payload changes nothing, not even its valid first span');
+    }
+}
+
+runTests('framing', [
+    testCrc16,
+    testEncodePacket,
+    testSequenceWraps,
+    testPayloadLength,
+    testDeltaSpans,
+    testDeltaKeepsShortGapsInSpan,
+    testDeltaRoundTrip,
+    testDeltaNotSmaller,
+    testMalformedDelta,
+]);
@@ -0,0 +1,135 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { runTests, loadFrontLibrary, FakeUserInterface } = require('./helper');
+
+/**
+ * Checks that an animation that throws doesn't stop the show: the LEDs show the animation that last worked,
+ * or the safe pattern, the error shows up in the panel, and the animation takes over again once it's fixed.
+ */
+
+/** The page's clock, from `performance.now()`. */
+const clock = { nowMs: 0 };
+/** @type {any[][]} */
+const errors = [];
+// Errors thrown on the page are the page's own, so `instanceof Error` holds for them.
+const { AnimationGuard, Error: PageError, TypeError: PageTypeError, RangeError: PageRangeError } = loadFrontLibrary(['AnimationGuard', 'Error', 'TypeError', 'RangeError'], {
+    console: { ...console, log: () => {}, error: (/** @type {any[]} */ ...args) => errors.push(args) },
+    performance: { now: () => clock.nowMs },
+    location: { origin: 'http://localhost:8080' },
+});
+
+/** What the guard draws into: the LEDs of the page. */
+const state = { ledData: new Uint8ClampedArray(6) };
+
+/**
+ * An animation that colors every LED with `value`, or throws `error` while it isn't `null`.
+ * @param {string} name
+ * @param {number} value
+ */
+function makeAnimation(name, value) {
+    const animation = {
+        name,
+        runs: 0,
+        /** @type {any} */
+        error: null,
+        run: () => {
+            animation.runs++;
+            state.ledData[0] = value;
+            if (animation.error !== null) {
+                throw animation.error;
+            }
+            state.ledData.fill(value);
+        },
+    };
+    return animation;
+}
+
+/**
+ * @param {any} guard
+ * @param {any} animation
+ * @param {any[]} animations
+ */
+function runFrame(guard, animation, animations) {
+    guard.run(animation, animations, clock.nowMs, 16, null, null);
+}
+
+function testFallsBackToLastGood() {
+    clock.nowMs = 0;
+    errors.length = 0;
+    const guard = new AnimationGuard(state);
+    const good = makeAnimation('Good', 10);
+    const broken = makeAnimation('Broken', 99);
+    const animations = [good, broken];
+
+    runFrame(guard, good, animations);
+    assert.strictEqual(guard.lastGoodName, 'Good');
+    broken.error = new PageTypeError('x is undefined');
+    runFrame(guard, broken, animations);
+    assert.deepStrictEqual([...state.ledData], [10, 10, 10, 10, 10, 10], 'no half a frame of the broken animation');
+    assert.strictEqual(guard.error.source, 'Broken');
+    assert.strictEqual(guard.error.message, 'TypeError: x is undefined');
+    assert.strictEqual(guard.error.fallback, 'showing Good instead');
+    assert.strictEqual(errors.length, 1);
+
+    // Not tried again until `RETRY_MS` has passed.
+    clock.nowMs = AnimationGuard.RETRY_MS - 1;
+    runFrame(guard, broken, animations);
+    assert.strictEqual(broken.runs, 1);
+    clock.nowMs = AnimationGuard.RETRY_MS;
+    runFrame(guard, broken, animations);
+    assert.strictEqual(broken.runs, 2);
+    assert.strictEqual(guard.error.count, 2, 'the same error again is counted, not logged');
+    assert.strictEqual(errors.length, 1);
+
+    broken.error = null;
+    clock.nowMs = 2 * AnimationGuard.RETRY_MS;
+    runFrame(guard, broken, animations);
+    assert.deepStrictEqual([...state.ledData], [99, 99, 99, 99, 99, 99]);
+    assert.strictEqual(guard.error, null, 'the panel goes away once the animation works again');
+    assert.strictEqual(guard.lastGoodName, 'Broken');
+}
+
+function testSafePattern() {
+    clock.nowMs = 0;
+    const guard = new AnimationGuard(state);
+    const broken = makeAnimation('Broken', 99);
+    broken.error = new PageError('broken from the start');
+    runFrame(guard, broken, [broken]);
+    // Dim amber, at the start of a breath.
+    assert.deepStrictEqual([...state.ledData], [13, 6, 2, 13, 6, 2]);
+    assert.strictEqual(guard.error.fallback, 'showing a safe pattern instead');
+
+    const ledData = new Uint8ClampedArray(3);
+    AnimationGuard.safePattern(ledData, 2000);
+    assert.deepStrictEqual([...ledData], [76, 36, 12], 'and at its brightest');
+}
+
+function testPanel() {
+    clock.nowMs = 0;
+    const guard = new AnimationGuard(state);
+    guard.report('a string', 'loop()');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(guard.error)), { source: 'loop()', message: 'a string', stack: [], count: 1, fallback: '' });
+    const error = new PageRangeError('too far');
+    error.stack = 'RangeError: too far\n    at run (http://localhost:8080/main.js:10:5)\n\n    at loop (http://localhost:8080/main.js:20:1)';
+    guard.report(error, 'Anim1');
+    assert.deepStrictEqual([...guard.error.stack], ['at run (main.js:10:5)', 'at loop (main.js:20:1)']);
+
+    let ui = new FakeUserInterface();
+    guard.drawPanel(ui);
+    assert.deepStrictEqual(ui.drawn, ['Anim1 threw:', 'RangeError: too far', 'at run (main.js:10:5)', 'at loop (main.js:20:1)', 'Dismiss']);
+    assert.notStrictEqual(guard.error, null);
+    ui = new FakeUserInterface(['Dismiss']);
+    guard.drawPanel(ui);
+    assert.strictEqual(guard.error, null);
+    ui = new FakeUserInterface();
+    guard.drawPanel(ui);
+    assert.deepStrictEqual(ui.drawn, []);
+}
+
+runTests('frontAnimationGuard', [
+    testFallsBackToLastGood,
+    testSafePattern,
+    testPanel,
+]);
@@ -0,0 +1,131 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { runTests, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that a page swaps in pushed points: `Mappings.receivePoints` normalizes them again
+ * and resizes `state.ledData` to the new number of LEDs, keeping the colors of the LEDs that are still there.
+ * Also checks that a mapping file that changed on disk is loaded again in place, without reloading the page.
+ */
+
+/** What the fake server returns for each mapping file. */
+const FILES = {
+    'mappingPersp.json': [[0, 0, 0], [2, -4, 1]],
+    'mappingFlat.json': [[1, 1, 0], [-2, 0, 0]],
+    'mappingCurve.json': [[0, 1, 0]],
+};
+
+/**
+ * Makes a `Mappings` for a fake page whose server starts out with `FILES`.
+ * Change `files` to change what the server returns; a string stands for a file that isn't valid JSON (yet).
+ * @returns {Promise<{mappings: any, state: any, files: Object<string, number[][]|string>}>}
+ */
+async function loadMappings() {
+    /** @type {Object<string, number[][]|string>} */
+    const files = { ...FILES };
+    const { Mappings } = loadFrontLibrary(['Mappings'], {
+        window: { location: { host: 'localhost:8080' } },
+        localStorage: { getItem: () => null, setItem: () => {} },
+        /** @param {string} url */
+        fetch: (url) => {
+            const name = decodeURIComponent(url.slice(url.lastIndexOf('/') + 1));
+            const contents = files[name];
+            if (contents === undefined) {
+                return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+            }
+            return Promise.resolve({
+                ok: true,
+                json: () => typeof contents === 'string' ? Promise.reject(new SyntaxError('Unexpected end of JSON input')) : Promise.resolve(contents),
+            });
+        },
+    });
+    const state = { ledData: new Uint8ClampedArray(0) };
+    const mappings = new Mappings(state);
+    await mappings.load();
+    return { mappings, state, files };
+}
+
+/**
+ * @param {number[][]} vectors - `Vector3`s, which are arrays made in the page's context
+ * @returns {number[][]} plain arrays, to compare with `deepStrictEqual`
+ */
+function toArrays(vectors) {
+    return Array.from(vectors, (vector) => [...vector]);
+}
+
+async function testLoad() {
+    const { mappings, state } = await loadMappings();
+    assert.strictEqual(state.ledData.length, 2 * 3);
+    // persp and curve share a scale, so the largest coordinate of either becomes 1.
+    assert.deepStrictEqual(toArrays(mappings.normalized), [[0, 0, 0], [0.5, -1, 0.25]]);
+    assert.deepStrictEqual(toArrays(mappings.normalizedCurve), [[0, 0.25, 0]]);
+    assert.deepStrictEqual(toArrays(mappings.normalizedFlat), [[0.5, 0.5, 0], [-1, 0, 0]]);
+}
+
+async function testReceivePoints() {
+    const { mappings, state } = await loadMappings();
+    state.ledData.set([1, 2, 3, 4, 5, 6]);
+
+    mappings.receivePoints('mappingPersp.json', [[0, 0, 8], [4, 0, 0], [0, 2, 0]]);
+    assert.deepStrictEqual(toArrays(mappings.normalized), [[0, 0, 1], [0.5, 0, 0], [0, 0.25, 0]]);
+    assert.deepStrictEqual(toArrays(mappings.normalizedCurve), [[0, 0.125, 0]]);
+    assert.deepStrictEqual([...state.ledData], [1, 2, 3, 4, 5, 6, 0, 0, 0]);
+
+    mappings.receivePoints('mappingPersp.json', [[1, 1, 1]]);
+    assert.deepStrictEqual([...state.ledData], [1, 2, 3]);
+}
+
+async function testReceiveUnusedPoints() {
+    const { mappings, state } = await loadMappings();
+    const { normalized, normalizedFlat, normalizedCurve } = mappings;
+    const ledData = state.ledData;
+    mappings.receivePoints('someOtherMapping.json', [[9, 9, 9]]);
+    assert.strictEqual(mappings.normalized, normalized);
+    assert.strictEqual(mappings.normalizedFlat, normalizedFlat);
+    assert.strictEqual(mappings.normalizedCurve, normalizedCurve);
+    assert.strictEqual(state.ledData, ledData);
+}
+
+async function testFileChangedOnDisk() {
+    const { mappings, state, files } = await loadMappings();
+    files['mappingFlat.json'] = [[0, 0, 0], [0, 0, 5], [0, 0, -1]];
+    files['unused.json'] = [[9, 9, 9]];
+    await state.onMappingFileChanged('unused.json');
+    assert.deepStrictEqual(toArrays(mappings.normalizedFlat), [[0.5, 0.5, 0], [-1, 0, 0]]);
+
+    await state.onMappingFileChanged('mappingFlat.json');
+    assert.deepStrictEqual(toArrays(mappings.normalizedFlat), [[0, 0, 0], [0, 0, 1], [0, 0, -0.2]]);
+    // Only the persp mapping decides how many LEDs there are.
+    assert.strictEqual(state.ledData.length, 2 * 3);
+}
+
+async function testHalfWrittenFile() {
+    const { mappings, state, files } = await loadMappings();
+    const { normalized } = mappings;
+    files['mappingPersp.json'] = '[[0, 0, 0], [2, -';
+    /** @type {any[][]} */
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        await state.onMappingFileChanged('mappingPersp.json');
+    } finally {
+        console.error = consoleError;
+    }
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(mappings.normalized, normalized, 'the points loaded before stay in use');
+
+    files['mappingPersp.json'] = [[0, 0, 0], [2, -4, 1], [1, 1, 1]];
+    await state.onMappingFileChanged('mappingPersp.json');
+    assert.strictEqual(state.ledData.length, 3 * 3);
+}
+
+runTests('frontMappings', [
+    testLoad,
+    testReceivePoints,
+    testReceiveUnusedPoints,
+    testFileChangedOnDisk,
+    testHalfWrittenFile,
+]);
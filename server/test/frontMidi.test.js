@@ -0,0 +1,122 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { runTests, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that MIDI messages move the controls they're bound to, that learn mode binds the next message,
+ * and that bindings are remembered in the browser.
+ */
+
+/**
+ * Loads `MidiInput` for a fake page whose browser storage is `storage`, and that can't use MIDI.
+ * @param {Map<string, string>} storage
+ */
+function loadMidiInput(storage) {
+    const { MidiInput, State } = loadFrontLibrary(['MidiInput', 'State'], {
+        // Keep what learn mode logs out of the test output.
+        console: { ...console, log: () => {} },
+        navigator: {},
+        localStorage: {
+            /** @param {string} key */
+            getItem: (key) => storage.has(key) ? storage.get(key) : null,
+            /**
+             * @param {string} key
+             * @param {string} value
+             */
+            setItem: (key, value) => storage.set(key, value),
+            /** @param {string} key */
+            removeItem: (key) => storage.delete(key),
+        },
+    });
+    return { MidiInput, key: State.MIDI_KEY };
+}
+
+function testControlChanges() {
+    const { MidiInput } = loadMidiInput(new Map());
+    const midi = new MidiInput();
+    midi.bindings['slider:Rx'] = { type: 'cc', channel: 1, number: 7 };
+    midi.bindings['button:Next'] = { type: 'cc', channel: 1, number: 7 };
+    assert.strictEqual(midi.valueFor('slider:Rx'), null);
+
+    midi.receive(Uint8Array.from([0xB0, 7, 127]));
+    assert.strictEqual(midi.valueFor('slider:Rx'), 1);
+    assert.strictEqual(midi.wasTriggered('button:Next'), true);
+    midi.onFrameEnd();
+    assert.strictEqual(midi.valueFor('slider:Rx'), null);
+
+    // A pad held down only presses the button once.
+    midi.receive(Uint8Array.from([0xB0, 7, 100]));
+    assert.strictEqual(midi.wasTriggered('button:Next'), false);
+    midi.receive(Uint8Array.from([0xB0, 7, 0]));
+    assert.strictEqual(midi.valueFor('slider:Rx'), 0);
+    midi.onFrameEnd();
+    midi.receive(Uint8Array.from([0xB0, 7, 64]));
+    assert.strictEqual(midi.wasTriggered('button:Next'), true);
+    midi.onFrameEnd();
+
+    // The same CC on another channel.
+    midi.receive(Uint8Array.from([0xB1, 7, 10]));
+    assert.strictEqual(midi.valueFor('slider:Rx'), null);
+}
+
+function testNotes() {
+    const { MidiInput } = loadMidiInput(new Map());
+    const midi = new MidiInput();
+    midi.bindings['button:Next'] = { type: 'note', channel: 10, number: 36 };
+    midi.bindings['slider:Rx'] = { type: 'note', channel: 10, number: 36 };
+    midi.receive(Uint8Array.from([0x99, 36, 0]));
+    midi.receive(Uint8Array.from([0x89, 36, 90]));
+    assert.strictEqual(midi.wasTriggered('button:Next'), false, 'note off, and note on with velocity 0, are releases');
+    midi.receive(Uint8Array.from([0x99, 36, 90]));
+    assert.strictEqual(midi.wasTriggered('button:Next'), true);
+    assert.strictEqual(midi.valueFor('slider:Rx'), null, 'notes have no value');
+    midi.onFrameEnd();
+    assert.strictEqual(midi.wasTriggered('button:Next'), false);
+}
+
+function testLearn() {
+    const storage = new Map();
+    const { MidiInput, key } = loadMidiInput(storage);
+    const midi = new MidiInput();
+    midi.isLearning = true;
+    midi.receive(Uint8Array.from([0xB0, 1, 5]));
+    assert.deepStrictEqual({ ...midi.bindings }, {}, 'nothing is bound before a control is picked');
+
+    midi.pick('slider:Rx');
+    midi.receive(Uint8Array.from([0xE0, 0, 64]));
+    assert.strictEqual(midi.learnTarget, 'slider:Rx', 'pitch bend is ignored');
+    midi.receive(Uint8Array.from([0xB2, 21, 5]));
+    assert.strictEqual(midi.learnTarget, null);
+    assert.strictEqual(MidiInput.describe(midi.bindings['slider:Rx']), 'CC 21 (channel 3)');
+    assert.deepStrictEqual(JSON.parse(storage.get(key)), {
+        isEnabled: false,
+        bindings: { 'slider:Rx': { type: 'cc', channel: 3, number: 21 } },
+    });
+
+    // Bindings come back when the page is loaded again.
+    const reloaded = new MidiInput();
+    assert.strictEqual(MidiInput.keyFor(reloaded.bindings['slider:Rx']), 'cc:3:21');
+    reloaded.unbind('slider:Rx');
+    assert.deepStrictEqual(JSON.parse(storage.get(key)).bindings, {});
+}
+
+function testStorageAndSupport() {
+    const storage = new Map();
+    const { MidiInput, key } = loadMidiInput(storage);
+    storage.set(key, '{"bindings": {');
+    const midi = new MidiInput();
+    assert.deepStrictEqual({ ...midi.bindings }, {});
+    assert.strictEqual(storage.has(key), false, 'bindings that can\'t be read are forgotten');
+
+    midi.start();
+    assert.strictEqual(midi.status, 'unsupported');
+}
+
+runTests('frontMidi', [
+    testControlChanges,
+    testNotes,
+    testLearn,
+    testStorageAndSupport,
+]);
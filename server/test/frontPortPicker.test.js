@@ -0,0 +1,85 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { runTests, loadFrontLibrary, FakeUserInterface } = require('./helper');
+
+/**
+ * Checks that the port picker in the GUI lists the serial ports and sends the commands for the buttons that are clicked.
+ */
+
+const { drawPortPicker } = loadFrontLibrary(['drawPortPicker']);
+
+/**
+ * A page that knows about two ports, with the picker open for the device called `Main`.
+ * @param {object} [remembered] - the port remembered for `Main`, if any
+ */
+function makeState(remembered) {
+    /** @type {Array<[string, string, string=]>} */
+    const commands = [];
+    const state = {
+        deviceRemembered: remembered ? { Main: remembered } : {},
+        availablePorts: [
+            { path: '/dev/ttyACM0', vendorId: '2341', productId: '0043', serialNumber: '1234' },
+            { path: '/dev/ttyS0' },
+        ],
+        portPickerDevice: 'Main',
+        /**
+         * @param {string} type
+         * @param {string} name
+         * @param {string} [path]
+         */
+        sendDeviceCommand: (type, name, path) => {
+            commands.push(path === undefined ? [type, name] : [type, name, path]);
+        },
+    };
+    return { state, commands };
+}
+
+function testListsPorts() {
+    const { state, commands } = makeState();
+    const ui = new FakeUserInterface();
+    const uiY = drawPortPicker(ui, state, 'Main', 10);
+    assert.deepStrictEqual(ui.drawn, [
+        'Scan', 'Disconnect', 'Close',
+        '/dev/ttyACM0 (2341 / 0043 / 1234)', 'Connect', 'Remember',
+        '/dev/ttyS0', 'Connect', 'Remember',
+    ]);
+    assert.strictEqual(uiY, 10 + 3 * 5);
+    assert.deepStrictEqual(commands, []);
+}
+
+function testRememberedPort() {
+    const { state, commands } = makeState({ serialNumber: '1234' });
+    state.availablePorts = [];
+    const ui = new FakeUserInterface(['Forget']);
+    drawPortPicker(ui, state, 'Main', 0);
+    assert.deepStrictEqual(ui.drawn, ['Scan', 'Disconnect', 'Forget', 'Close', 'No serial ports found', 'Remembered: 1234']);
+    assert.deepStrictEqual(commands, [['forget', 'Main']]);
+}
+
+function testButtons() {
+    let { state, commands } = makeState();
+    drawPortPicker(new FakeUserInterface(['Scan']), state, 'Main', 0);
+    assert.deepStrictEqual(commands, [['connect', 'Main']]);
+
+    ({ state, commands } = makeState());
+    drawPortPicker(new FakeUserInterface(['Disconnect']), state, 'Main', 0);
+    assert.deepStrictEqual(commands, [['disconnect', 'Main']]);
+
+    // Each port has its own Remember button, and the fake clicks all of them.
+    ({ state, commands } = makeState());
+    drawPortPicker(new FakeUserInterface(['Remember']), state, 'Main', 0);
+    assert.deepStrictEqual(commands, [['remember', 'Main', '/dev/ttyACM0'], ['remember', 'Main', '/dev/ttyS0']]);
+
+    ({ state, commands } = makeState());
+    drawPortPicker(new FakeUserInterface(['Close']), state, 'Main', 0);
+    assert.strictEqual(state.portPickerDevice, null);
+    assert.deepStrictEqual(commands, []);
+}
+
+runTests('frontPortPicker', [
+    testListsPorts,
+    testRememberedPort,
+    testButtons,
+]);
@@ -0,0 +1,156 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTests, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that the schedule plays what `schedule.example.json` says at the times it says,
+ * that mistakes in a schedule are explained, and that starting an entry applies its preset and crossfades.
+ * Times are local, like the times in `schedule.json`.
+ */
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'front', 'schedule.example.json'), 'utf8'));
+const ANIMATIONS = [{ name: 'Anim1' }, { name: 'Anim2' }, { name: 'Anim3' }];
+
+/** @type {string[][]} */
+const warnings = [];
+const { Schedule } = loadFrontLibrary(['Schedule'], {
+    console: { ...console, log: () => {}, warn: (/** @type {string[]} */ ...args) => warnings.push(args) },
+    performance: { now: () => 1000 },
+});
+
+/**
+ * Makes a `Schedule` for `file` without loading anything.
+ * @param {any} file
+ * @param {any} [saved]
+ */
+function makeSchedule(file, saved = {}) {
+    const schedule = Object.create(Schedule.prototype);
+    Object.assign(schedule, { file, state: { saved }, entryProblem: null, fade: null });
+    return schedule;
+}
+
+/**
+ * Milliseconds since the epoch for a local time in June 2026. June 1st is a Monday.
+ * @param {number} day
+ * @param {number} hours
+ * @param {number} [minutes]
+ * @returns {number}
+ */
+function june(day, hours, minutes = 0) {
+    return new Date(2026, 5, day, hours, minutes).getTime();
+}
+
+function testParseAndFormat() {
+    assert.strictEqual(new Date(june(1, 0)).getDay(), 1);
+    assert.strictEqual(Schedule.parseTime('09:30'), 9 * 60 + 30);
+    assert.strictEqual(Schedule.parseTime('24:00'), 24 * 60);
+    assert.strictEqual(Schedule.formatDuration(62000), '1:02');
+    assert.strictEqual(Schedule.formatDuration(3723000), '1:02:03');
+    assert.strictEqual(Schedule.formatDuration(1), '0:01', 'rounds up, so it never shows 0:00 early');
+    assert.strictEqual(Schedule.formatDuration(-5000), '0:00');
+}
+
+function testWindows() {
+    const weekdays = EXAMPLE.playlists[0];
+    const night = EXAMPLE.blackouts[0];
+    assert.strictEqual(Schedule.windowStartAt(weekdays, june(1, 10)), june(1, 9));
+    assert.strictEqual(Schedule.windowStartAt(weekdays, june(1, 18)), null, '"to" is when the window has ended');
+    assert.strictEqual(Schedule.windowStartAt(weekdays, june(6, 10)), null, 'not on a Saturday');
+    assert.strictEqual(Schedule.windowStartAt(night, june(1, 23, 30)), june(1, 23));
+    // After midnight, the night that started the evening before.
+    assert.strictEqual(Schedule.windowStartAt(night, june(2, 6, 59)), june(1, 23));
+    assert.strictEqual(Schedule.windowStartAt(night, june(2, 7)), null);
+    assert.strictEqual(Schedule.windowStartAt({ days: ['sat'], from: '22:00', to: '02:00' }, june(7, 1)), june(6, 22));
+    assert.strictEqual(Schedule.windowStartAt({ days: ['sat'], from: '22:00', to: '02:00' }, june(8, 1)), null);
+    assert.strictEqual(Schedule.windowStartAt({}, june(8, 1)), 0);
+}
+
+function testSegments() {
+    const schedule = makeSchedule(EXAMPLE);
+    // Weekday playlists take 8 minutes, so at 10:00 the 8th round is 4 minutes into the 5 of Anim1.
+    let segment = schedule.segmentAt(june(1, 10));
+    assert.strictEqual(schedule.describe(segment), 'Weekdays: Anim1');
+    assert.strictEqual(segment.endMs, june(1, 10, 1));
+    segment = schedule.segmentAt(june(1, 10, 1));
+    assert.strictEqual(schedule.describe(segment), 'Weekdays: Anim2');
+    assert.strictEqual(segment.endMs, june(1, 10, 3));
+
+    // The playlist's window ends before the entry would.
+    segment = schedule.segmentAt(june(1, 17, 58));
+    assert.strictEqual(schedule.describe(segment), 'Weekdays: Anim1');
+    assert.strictEqual(segment.endMs, june(1, 18));
+    assert.strictEqual(schedule.describe(schedule.segmentAt(june(1, 18))), 'Evenings and weekends: Anim3');
+
+    // Blackouts win over playlists.
+    segment = schedule.segmentAt(june(1, 7, 30));
+    assert.strictEqual(schedule.describe(segment), 'blackout (Cleaning)');
+    assert.strictEqual(segment.endMs, june(1, 8));
+    segment = schedule.segmentAt(june(6, 23, 30));
+    assert.strictEqual(schedule.describe(segment), 'blackout (Night)');
+    assert.strictEqual(segment.endMs, june(7, 7));
+
+    assert.strictEqual(schedule.describe(makeSchedule({ playlists: [] }).segmentAt(june(1, 10))), 'nothing scheduled');
+}
+
+function testStartEntry() {
+    const saved = { animState: 2, anim: { show: false }, rotation: { z: false, zVal: 0 } };
+    const schedule = makeSchedule(EXAMPLE, saved);
+    schedule.startEntry(EXAMPLE.playlists[0].entries[1], ANIMATIONS, true);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(saved)), { animState: 1, anim: { show: true }, rotation: { z: true, zVal: 0.3 } });
+    assert.deepStrictEqual({ ...schedule.fade }, { from: 2, startMs: 1000, durationMs: 3000 });
+
+    schedule.fade = null;
+    schedule.startEntry(EXAMPLE.playlists[0].entries[2], ANIMATIONS, false);
+    assert.strictEqual(saved.animState, 2);
+    assert.strictEqual(schedule.fade, null, 'no crossfade when the page just opened');
+
+    schedule.startEntry({ animation: 'Anim9', seconds: 1 }, ANIMATIONS, true);
+    assert.match(schedule.entryProblem, /no animation named 'Anim9'\. Use one of: Anim1, Anim2, Anim3/);
+    assert.strictEqual(saved.animState, 2);
+}
+
+function testMergePreset() {
+    const target = { speed: 1, colors: [1, 2], rotation: { z: false, zVal: 0 } };
+    warnings.length = 0;
+    const colors = [3];
+    Schedule.mergePreset(target, { colors, rotation: { zVal: 2, typo: 1 }, spede: 2 }, 'preset');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(target)), { speed: 1, colors: [3], rotation: { z: false, zVal: 2 } });
+    assert.notStrictEqual(target.colors, colors, 'the preset can\'t be changed through $state.saved');
+    assert.deepStrictEqual(warnings.map((warning) => warning[1]), [
+        'The preset sets \'typo\', which isn\'t in $state.saved.',
+        'The preset sets \'spede\', which isn\'t in $state.saved.',
+    ]);
+}
+
+function testProblems() {
+    assert.strictEqual(Schedule.findProblem(EXAMPLE), null);
+    /** @type {Array<[any, RegExp]>} */
+    const cases = [
+        [[], /must contain a JSON object/],
+        [{}, /playlists must be an array/],
+        [{ playlists: [], crossfadeSeconds: -1 }, /crossfadeSeconds must be a number of at least 0/],
+        [{ playlists: [{ entries: [] }] }, /playlists\[0\]\.entries must be an array with at least one entry/],
+        [{ playlists: [{ days: ['monday'], entries: [] }] }, /playlists\[0\]\.days must be an array of days/],
+        [{ playlists: [{ from: '9:00', entries: [] }] }, /playlists\[0\]\.from must be a time like "09:30", but it is "9:00"/],
+        [{ playlists: [{ entries: [{ animation: 'Anim1', seconds: 0 }] }] }, /entries\[0\]\.seconds must be a positive number/],
+        [{ playlists: [{ entries: [{ seconds: 5 }] }] }, /entries\[0\] must be an object like/],
+        [{ playlists: [{ entries: [{ animation: 'Anim1', seconds: 5, preset: [] }] }] }, /entries\[0\]\.preset must be an object/],
+        [{ playlists: [], blackouts: [{ to: '25:00' }] }, /blackouts\[0\]\.to must be a time/],
+    ];
+    for (const [file, problem] of cases) {
+        assert.match(String(Schedule.findProblem(file)), problem, JSON.stringify(file));
+    }
+}
+
+runTests('frontSchedule', [
+    testParseAndFormat,
+    testWindows,
+    testSegments,
+    testStartEntry,
+    testMergePreset,
+    testProblems,
+]);
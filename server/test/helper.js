@@ -0,0 +1,202 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Small things the tests in this directory share.
+ * Each `*.test.js` file is a plain Node script that calls `runTests`; `npm test` runs them all (see `index.js`).
+ */
+
+/**
+ * Runs `tests` one after another, prints `<name>: ok` if they all pass, and otherwise prints
+ * the first failure and makes the process exit with an error.
+ * @param {string} name
+ * @param {Array<() => (void|Promise<void>)>} tests
+ */
+function runTests(name, tests) {
+    (async () => {
+        for (const test of tests) {
+            await test();
+        }
+        console.log(`${name}: ok`);
+    })().catch((err) => {
+        console.error(`${name}: failed`);
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
+
+/**
+ * Starts `server` on a free port of localhost.
+ * @param {http.Server} server
+ * @returns {Promise<number>} the port
+ */
+function listen(server) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve(/** @type {import('net').AddressInfo} */ (server.address()).port);
+        });
+    });
+}
+
+/**
+ * Sends an HTTP request to the server on `port` of localhost and collects the response.
+ * @param {number} port
+ * @param {string} method
+ * @param {string} urlPath - sent as it is, so it can contain `..`
+ * @param {{headers?: import('http').OutgoingHttpHeaders, body?: string}} [options]
+ * @returns {Promise<{status: number, headers: import('http').IncomingHttpHeaders, body: string}>}
+ */
+function request(port, method, urlPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers: options.headers }, (res) => {
+            /** @type {Buffer[]} */
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode || 0, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+/**
+ * Makes an empty directory, passes it to `use`, and deletes it again afterwards.
+ * @template T
+ * @param {(directory: string) => Promise<T>} use
+ * @returns {Promise<T>}
+ */
+async function withTempDirectory(use) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'led-test-'));
+    try {
+        return await use(directory);
+    } finally {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Runs the library part of `front/main.js` (everything above the playground, which starts the webapp)
+ * with `globals` standing in for the browser, and returns the classes and functions called `names`.
+ * @param {string[]} names
+ * @param {object} [globals] - e.g. `localStorage` or `fetch`, for code that uses them
+ * @returns {Object<string, any>}
+ */
+function loadFrontLibrary(names, globals = {}) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'front', 'main.js'), 'utf8');
+    const end = source.indexOf('/** @typedef {\'Section for changing default values:\'} StateDefinition */');
+    if (end === -1) {
+        throw new Error('Unable to find where the playground starts in front/main.js');
+    }
+    const context = vm.createContext({ console, ...globals });
+    return vm.runInContext(`${source.slice(0, end)}\n({ ${names.join(', ')} });`, context, { filename: 'main.js' });
+}
+
+/**
+ * Stands in for the webapp's `UserInterface` in tests of code that draws part of the GUI.
+ * Remembers the text of every label and button that was drawn, in order,
+ * and "clicks" every button whose label is in `clicks`.
+ */
+class FakeUserInterface {
+    /**
+     * @param {string[]} [clicks]
+     */
+    constructor(clicks = []) {
+        this.clicks = new Set(clicks);
+        /** @type {string[]} */
+        this.drawn = [];
+    }
+
+    /**
+     * @param {string} label
+     * @returns {boolean}
+     */
+    button(label) {
+        this.drawn.push(label);
+        return this.clicks.has(label);
+    }
+
+    /**
+     * @param {string} label
+     * @returns {boolean}
+     */
+    highlightButton(label) {
+        return this.button(label);
+    }
+
+    /**
+     * @param {string} label
+     * @returns {boolean}
+     */
+    circleButton(label) {
+        return this.button(label);
+    }
+
+    /**
+     * @param {string[]} labels
+     * @returns {number}
+     */
+    buttonRow(labels) {
+        let clicked = -1;
+        labels.forEach((label, i) => {
+            if (this.button(label)) {
+                clicked = i;
+            }
+        });
+        return clicked;
+    }
+
+    /**
+     * @param {string} text
+     */
+    label(text) {
+        this.drawn.push(text);
+    }
+
+    /**
+     * @param {string} text
+     * @returns {number}
+     */
+    measureLabel(text) {
+        return text.length;
+    }
+
+    /**
+     * @param {string} label
+     * @returns {[number, number, number]}
+     */
+    measureButton(label) {
+        return [label.length + 2, 3, 1];
+    }
+
+    rect() {}
+
+    /**
+     * @returns {number}
+     */
+    top() {
+        return 100;
+    }
+
+    /**
+     * @param {() => void} draw
+     */
+    withoutMidi(draw) {
+        draw();
+    }
+}
+
+module.exports = {
+    runTests,
+    listen,
+    request,
+    withTempDirectory,
+    loadFrontLibrary,
+    FakeUserInterface,
+};
@@ -0,0 +1,31 @@
+// @ts-check
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Runs every `*.test.js` file in this directory in its own Node process, so one test can't
+ * leave sockets or timers behind for the next. Exits with an error if any of them failed.
+ * Run with `npm test`, or pass file names to run only those: `node test/index.js osc.test.js`.
+ */
+
+const names = process.argv.length > 2
+    ? process.argv.slice(2).map((name) => path.basename(name))
+    : fs.readdirSync(__dirname).filter((name) => name.endsWith('.test.js')).sort();
+
+let failed = 0;
+for (const name of names) {
+    const result = childProcess.spawnSync(process.execPath, [path.join(__dirname, name)], { stdio: 'inherit', timeout: 60 * 1000 });
+    if (result.status !== 0) {
+        failed++;
+        if (result.error) {
+            console.error(`${name}: ${result.error.message}`);
+        }
+    }
+}
+if (failed > 0) {
+    console.error(`${failed} of ${names.length} test files failed`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,105 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const { createMappingPushServer } = require('../mappingsApi');
+const { pushMapping } = require('../pushMapping');
+const { runTests, listen, withTempDirectory } = require('./helper');
+
+/**
+ * Checks that points pushed over the `/mappings` websocket (here by `pushMapping.js`, standing in for Grasshopper)
+ * are passed on to open pages, and that invalid points get an error back and reach no page.
+ */
+
+/**
+ * Serves the mappings websocket for a temporary directory while `use` runs.
+ * `pushed` collects what the server would send to the open pages.
+ * @param {(url: string, directory: string, pushed: Array<[string, number[][], ?string]>) => Promise<void>} use
+ * @returns {Promise<void>}
+ */
+function withPushServer(use) {
+    return withTempDirectory(async (directory) => {
+        /** @type {Array<[string, number[][], ?string]>} */
+        const pushed = [];
+        const mappingServer = createMappingPushServer(directory, () => {}, (name, points, filePath) => {
+            pushed.push([name, points, filePath]);
+        });
+        const server = http.createServer();
+        server.on('upgrade', (request, socket, head) => {
+            mappingServer.handleUpgrade(request, socket, head, (ws) => {
+                mappingServer.emit('connection', ws, request);
+            });
+        });
+        const port = await listen(server);
+        try {
+            await use(`ws://127.0.0.1:${port}/mappings`, directory, pushed);
+        } finally {
+            mappingServer.close();
+            server.close();
+        }
+    });
+}
+
+/**
+ * Sends `message` as it is and returns the answer.
+ * @param {string} url
+ * @param {string} message
+ * @returns {Promise<any>}
+ */
+function sendRaw(url, message) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        ws.on('error', reject);
+        ws.on('open', () => ws.send(message));
+        ws.on('message', (reply) => {
+            ws.close();
+            resolve(JSON.parse(String(reply)));
+        });
+    });
+}
+
+const POINTS = [[0, 0, 0], [1, 0.5, -2], [3, 3, 3]];
+
+function testPush() {
+    return withPushServer(async (url, directory, pushed) => {
+        const reply = await pushMapping(url, 'mappingPersp.json', POINTS, false);
+        assert.deepStrictEqual(reply, { type: 'pushed', name: 'mappingPersp.json', ledCount: 3, saved: false });
+        assert.deepStrictEqual(pushed, [['mappingPersp.json', POINTS, null]]);
+        assert.deepStrictEqual(await fs.promises.readdir(directory), []);
+    });
+}
+
+function testPushAndSave() {
+    return withPushServer(async (url, directory, pushed) => {
+        const reply = await pushMapping(url, 'mappingPersp.json', POINTS, true);
+        assert.strictEqual(reply.saved, true);
+        const filePath = path.join(directory, 'mappingPersp.json');
+        assert.deepStrictEqual(pushed, [['mappingPersp.json', POINTS, filePath]]);
+        assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(filePath, 'utf8')), POINTS);
+    });
+}
+
+function testInvalidPushes() {
+    return withPushServer(async (url, directory, pushed) => {
+        await assert.rejects(pushMapping(url, 'mappingPersp.json', [[0, 0, 0], [1, 'a', 2]], false),
+            /LED 1 must be an array of 3 numbers/);
+        await assert.rejects(pushMapping(url, '../escaped.json', POINTS, true), /name/i);
+        let reply = await sendRaw(url, 'not json');
+        assert.strictEqual(reply.type, 'error');
+        assert.match(reply.message, /Unable to parse message/);
+        reply = await sendRaw(url, JSON.stringify({ points: POINTS }));
+        assert.strictEqual(reply.type, 'error');
+        assert.deepStrictEqual(pushed, []);
+        assert.deepStrictEqual(await fs.promises.readdir(directory), []);
+    });
+}
+
+runTests('mappingPush', [
+    testPush,
+    testPushAndSave,
+    testInvalidPushes,
+]);
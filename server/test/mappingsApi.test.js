@@ -0,0 +1,125 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createMappingsApi } = require('../mappingsApi');
+const { runTests, listen, request, withTempDirectory } = require('./helper');
+
+/**
+ * Checks that pushing a mapping with `PUT /api/mappings/<name>` writes the file and tells the server
+ * (which then sends the points to open pages), that mappings can be listed, renamed and deleted,
+ * and that bad mappings and requests from other websites are turned away without changing anything.
+ */
+
+/**
+ * Sends a request to the mappings API, with a JSON body unless `headers` say otherwise, and parses the JSON answer.
+ * @param {number} port
+ * @param {string} method
+ * @param {string} urlPath
+ * @param {string} [body]
+ * @param {import('http').OutgoingHttpHeaders} [headers]
+ * @returns {Promise<{status: number, body: any}>}
+ */
+async function requestJson(port, method, urlPath, body, headers = { 'Content-Type': 'application/json' }) {
+    const response = await request(port, method, urlPath, { headers, body });
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+/**
+ * Serves the mappings API for a temporary directory while `use` runs.
+ * @param {(port: number, directory: string, saved: Array<[string, number[][], string]>) => Promise<void>} use
+ * @returns {Promise<void>}
+ */
+function withMappingsApi(use) {
+    return withTempDirectory(async (directory) => {
+        /** @type {Array<[string, number[][], string]>} */
+        const saved = [];
+        const handleMappingsRequest = createMappingsApi(directory, () => {}, (name, points, filePath) => {
+            saved.push([name, points, filePath]);
+        });
+        const server = http.createServer((req, res) => {
+            if (!handleMappingsRequest(req, res)) {
+                res.writeHead(404);
+                res.end('{}');
+            }
+        });
+        const port = await listen(server);
+        try {
+            await use(port, directory, saved);
+        } finally {
+            server.close();
+        }
+    });
+}
+
+const POINTS = [[0, 0, 0], [1, 0.5, -2]];
+const NEW_POINTS = [[2, 2, 2]];
+
+function testPut() {
+    return withMappingsApi(async (port, directory, saved) => {
+        let response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', JSON.stringify(POINTS));
+        assert.strictEqual(response.status, 201);
+        assert.deepStrictEqual(response.body, { name: 'pushed.json', ledCount: 2 });
+        const filePath = path.join(directory, 'pushed.json');
+        assert.deepStrictEqual(saved, [['pushed.json', POINTS, filePath]]);
+        assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(filePath, 'utf8')), POINTS);
+
+        response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', JSON.stringify(NEW_POINTS));
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(saved[1], ['pushed.json', NEW_POINTS, filePath]);
+        assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(filePath, 'utf8')), NEW_POINTS);
+    });
+}
+
+function testRejectedRequests() {
+    return withMappingsApi(async (port, directory, saved) => {
+        let response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', JSON.stringify([[1, 2]]));
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error, /LED 0 must be an array of 3 numbers/);
+        response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', 'not json');
+        assert.strictEqual(response.status, 400);
+        response = await requestJson(port, 'PUT', '/api/mappings/..%2Fescaped.json', JSON.stringify(POINTS));
+        assert.strictEqual(response.status, 400);
+        response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', JSON.stringify(POINTS),
+            { 'Content-Type': 'application/json', 'Origin': 'http://elsewhere.example' });
+        assert.strictEqual(response.status, 403);
+        response = await requestJson(port, 'PUT', '/api/mappings/pushed.json', JSON.stringify(POINTS), { 'Content-Type': 'text/plain' });
+        assert.strictEqual(response.status, 415);
+        assert.deepStrictEqual(saved, []);
+        assert.deepStrictEqual(await fs.promises.readdir(directory), []);
+    });
+}
+
+function testListRenameAndDelete() {
+    return withMappingsApi(async (port, directory) => {
+        await fs.promises.writeFile(path.join(directory, 'a.json'), JSON.stringify(POINTS));
+        await fs.promises.writeFile(path.join(directory, 'broken.json'), '[[0, 0');
+        await fs.promises.writeFile(path.join(directory, 'notes.txt'), 'not a mapping');
+
+        let response = await requestJson(port, 'GET', '/api/mappings');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.map((/** @type {any} */ info) => [info.name, info.ledCount]), [['a.json', 2], ['broken.json', null]]);
+        response = await requestJson(port, 'GET', '/api/mappings/a.json');
+        assert.deepStrictEqual(response.body, POINTS);
+
+        response = await requestJson(port, 'POST', '/api/mappings/a.json/rename', '{"name": "broken.json"}');
+        assert.strictEqual(response.status, 409);
+        response = await requestJson(port, 'POST', '/api/mappings/a.json/rename', '{"name": "b.json"}');
+        assert.deepStrictEqual(response, { status: 200, body: { name: 'b.json' } });
+        response = await requestJson(port, 'GET', '/api/mappings/a.json');
+        assert.strictEqual(response.status, 404);
+
+        response = await requestJson(port, 'DELETE', '/api/mappings/broken.json');
+        assert.deepStrictEqual(response, { status: 200, body: { name: 'broken.json' } });
+        assert.deepStrictEqual((await fs.promises.readdir(directory)).sort(), ['b.json', 'notes.txt']);
+    });
+}
+
+runTests('mappingsApi', [
+    testPut,
+    testListRenameAndDelete,
+    testRejectedRequests,
+]);
@@ -0,0 +1,92 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { createNetworkOutput } = require('../networkOutputs');
+const { runTests } = require('./helper');
+
+/**
+ * Checks that E1.31 and Art-Net outputs split a frame across universes and send packets
+ * a controller would accept, by listening for them on localhost.
+ */
+
+/** 2 LEDs per universe, so a 5 LED frame needs 3 universes. */
+const CHANNELS_PER_UNIVERSE = 6;
+const FRAME = Buffer.from([...Array(5 * 3).keys()].map((i) => i + 1));
+
+/**
+ * Sends `FRAME` through an output of `protocol` and returns the packets that arrive, in order.
+ * @param {'e131'|'artnet'} protocol
+ * @returns {Promise<Buffer[]>}
+ */
+function sendAndReceive(protocol) {
+    return new Promise((resolve, reject) => {
+        const listener = dgram.createSocket('udp4');
+        /** @type {Buffer[]} */
+        const packets = [];
+        const timeout = setTimeout(() => {
+            output.close();
+            listener.close();
+            reject(new Error(`${protocol}: only ${packets.length} of 3 packets arrived`));
+        }, 2000);
+        listener.on('error', reject);
+        listener.on('message', (packet) => {
+            packets.push(packet);
+            if (packets.length === 3) {
+                clearTimeout(timeout);
+                output.close();
+                listener.close();
+                resolve(packets);
+            }
+        });
+        /** @type {import('../networkOutputs').UniverseOutput} */
+        let output;
+        listener.bind(0, '127.0.0.1', () => {
+            output = createNetworkOutput({
+                name: `Test ${protocol}`,
+                protocol,
+                host: '127.0.0.1',
+                port: listener.address().port,
+                startUniverse: 7,
+                channelsPerUniverse: CHANNELS_PER_UNIVERSE,
+                ledStart: 0,
+            }, reject);
+            output.send(FRAME);
+        });
+    });
+}
+
+async function testE131() {
+    const packets = await sendAndReceive('e131');
+    packets.forEach((packet, i) => {
+        assert.strictEqual(packet.subarray(4, 16).toString('latin1'), 'ASC-E1.17\0\0\0');
+        assert.strictEqual(packet.readUInt16BE(113), 7 + i, 'universe');
+        assert.strictEqual(packet.readUInt8(108), 100, 'priority');
+        assert.strictEqual(packet.readUInt8(125), 0, 'DMX start code');
+        const data = FRAME.subarray(i * CHANNELS_PER_UNIVERSE, (i + 1) * CHANNELS_PER_UNIVERSE);
+        assert.strictEqual(packet.readUInt16BE(123), data.length + 1, 'property value count');
+        assert.deepStrictEqual(packet.subarray(126), data);
+    });
+}
+
+async function testArtNet() {
+    const packets = await sendAndReceive('artnet');
+    packets.forEach((packet, i) => {
+        assert.strictEqual(packet.subarray(0, 8).toString('latin1'), 'Art-Net\0');
+        assert.strictEqual(packet.readUInt16LE(8), 0x5000, 'OpDmx');
+        assert.strictEqual(packet.readUInt8(12), 1, 'sequence');
+        assert.strictEqual(packet.readUInt8(14) | (packet.readUInt8(15) << 8), 7 + i, 'universe');
+        const data = FRAME.subarray(i * CHANNELS_PER_UNIVERSE, (i + 1) * CHANNELS_PER_UNIVERSE);
+        // The last universe holds 3 channels and is padded to an even length.
+        const length = data.length + (data.length % 2);
+        assert.strictEqual(packet.readUInt16BE(16), length, 'length');
+        assert.deepStrictEqual(packet.subarray(18, 18 + data.length), data);
+        assert.strictEqual(packet.length, 18 + length);
+    });
+}
+
+runTests('networkOutputs', [
+    testE131,
+    testArtNet,
+]);
@@ -0,0 +1,86 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const { OpcParser, createOpcServer } = require('../opc');
+const { runTests } = require('./helper');
+
+/**
+ * Checks that frames sent over Open Pixel Control come out whole, however TCP splits or joins the messages.
+ */
+
+/**
+ * @param {number} channel
+ * @param {number} command
+ * @param {number[]} data
+ * @returns {Buffer}
+ */
+function opcMessage(channel, command, data) {
+    const header = Buffer.alloc(4);
+    header[0] = channel;
+    header[1] = command;
+    header.writeUInt16BE(data.length, 2);
+    return Buffer.concat([header, Buffer.from(data)]);
+}
+
+function testSplitAndJoinedMessages() {
+    /** @type {Array<[number[], number]>} */
+    const frames = [];
+    const parser = new OpcParser((frame, channel) => frames.push([[...frame], channel]));
+    const stream = Buffer.concat([
+        opcMessage(0, 0, [1, 2, 3, 4, 5, 6]),
+        opcMessage(1, 0, [255, 255, 255]),
+        opcMessage(0, 0, []),
+    ]);
+    // One byte at a time, the way a slow connection might deliver it.
+    for (let i = 0; i < stream.length; i++) {
+        parser.push(stream.subarray(i, i + 1));
+    }
+    assert.deepStrictEqual(frames, [[[1, 2, 3, 4, 5, 6], 0], [[255, 255, 255], 1], [[], 0]]);
+
+    frames.length = 0;
+    parser.push(Buffer.concat([stream, stream.subarray(0, 5)]));
+    assert.strictEqual(frames.length, 3);
+    parser.push(stream.subarray(5, 10));
+    assert.deepStrictEqual(frames[3], [[1, 2, 3, 4, 5, 6], 0]);
+}
+
+function testOtherCommandsAreIgnored() {
+    /** @type {number[][]} */
+    const frames = [];
+    const parser = new OpcParser((frame) => frames.push([...frame]));
+    parser.push(Buffer.concat([
+        opcMessage(0, 255, [0, 1, 0, 1]), // System exclusive
+        opcMessage(0, 2, [9, 9, 9]),
+        opcMessage(0, 0, [7, 8, 9]),
+    ]));
+    assert.deepStrictEqual(frames, [[7, 8, 9]]);
+}
+
+function testServer() {
+    return new Promise((resolve, reject) => {
+        const server = createOpcServer((frame) => {
+            try {
+                assert.deepStrictEqual([...frame], [10, 20, 30, 40, 50, 60]);
+                server.close();
+                resolve(undefined);
+            } catch (err) {
+                reject(err);
+            }
+        }, () => {});
+        server.listen(0, '127.0.0.1', () => {
+            const address = /** @type {net.AddressInfo} */ (server.address());
+            const client = net.connect(address.port, '127.0.0.1', () => {
+                client.end(opcMessage(0, 0, [10, 20, 30, 40, 50, 60]));
+            });
+            client.on('error', reject);
+        });
+    });
+}
+
+runTests('opc', [
+    testSplitAndJoinedMessages,
+    testOtherCommandsAreIgnored,
+    testServer,
+]);
@@ -0,0 +1,181 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { parseOscPacket, mapOscMessage, createOscServer } = require('../osc');
+const { runTests, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that OSC packets are parsed the way the spec lays them out, that the address table
+ * turns controller messages into the ones the page understands, and that the page only changes values it knows.
+ */
+
+/**
+ * Encodes `text` as an OSC string: 0-terminated and padded to a multiple of 4 bytes.
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function oscString(text) {
+    return Buffer.alloc((Buffer.byteLength(text) + 4) & ~3).fill(text, 0, Buffer.byteLength(text));
+}
+
+/**
+ * @param {string} address
+ * @param {string} typeTags - e.g. `',if'`
+ * @param {Buffer[]} args - the encoded arguments
+ * @returns {Buffer}
+ */
+function oscMessage(address, typeTags, args) {
+    return Buffer.concat([oscString(address), oscString(typeTags), ...args]);
+}
+
+/**
+ * @param {Buffer[]} elements
+ * @returns {Buffer}
+ */
+function oscBundle(elements) {
+    const sizes = elements.map((element) => {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(element.length);
+        return [size, element];
+    });
+    return Buffer.concat([oscString('#bundle'), Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]), ...sizes.flat()]);
+}
+
+/**
+ * @param {'writeInt32BE'|'writeFloatBE'|'writeUInt32BE'} write
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function int32(write, value) {
+    const buffer = Buffer.alloc(4);
+    buffer[write](value);
+    return buffer;
+}
+
+function testArgumentTypes() {
+    const float64 = Buffer.alloc(8);
+    float64.writeDoubleBE(0.1);
+    const int64 = Buffer.alloc(8);
+    int64.writeBigInt64BE(-5n);
+    const blob = Buffer.concat([int32('writeInt32BE', 3), Buffer.from([1, 2, 3, 0])]);
+    const packet = oscMessage('/all', ',ifdhcsbTFNIS', [
+        int32('writeInt32BE', -2), int32('writeFloatBE', 0.5), float64, int64,
+        int32('writeUInt32BE', 'x'.charCodeAt(0)), oscString('four'), blob, oscString('last'),
+    ]);
+    assert.deepStrictEqual(parseOscPacket(packet), [{
+        address: '/all',
+        args: [-2, 0.5, 0.1, -5, 'x', 'four', [1, 2, 3], true, false, null, true, 'last'],
+    }]);
+    // Very old senders leave out the type tags.
+    assert.deepStrictEqual(parseOscPacket(oscString('/ping')), [{ address: '/ping', args: [] }]);
+}
+
+function testBundles() {
+    const first = oscMessage('/a', ',i', [int32('writeInt32BE', 1)]);
+    const second = oscMessage('/b', ',s', [oscString('two')]);
+    const third = oscMessage('/c', ',', []);
+    assert.deepStrictEqual(parseOscPacket(oscBundle([first, oscBundle([second, third])])), [
+        { address: '/a', args: [1] },
+        { address: '/b', args: ['two'] },
+        { address: '/c', args: [] },
+    ]);
+}
+
+function testInvalidPackets() {
+    assert.throws(() => parseOscPacket(oscString('no/slash')), /not an OSC address/);
+    assert.throws(() => parseOscPacket(Buffer.from('/unterminated')), /doesn't end/);
+    assert.throws(() => parseOscPacket(oscMessage('/a', 'i', [int32('writeInt32BE', 1)])), /don't start with ','/);
+    assert.throws(() => parseOscPacket(oscMessage('/a', ',i', [])), /ends in the middle/);
+    assert.throws(() => parseOscPacket(oscMessage('/a', ',x', [])), /type 'x'/);
+    assert.throws(() => parseOscPacket(oscBundle([Buffer.alloc(0)]).subarray(0, 18)), /ends in the middle/);
+}
+
+function testAddressTable() {
+    const addresses = [
+        { address: '/1/fader1', to: '/saved/rotation/xVal', range: [-90, 90] },
+        { address: '/1/push1', to: '/anim/select', args: [2] },
+    ];
+    assert.deepStrictEqual(mapOscMessage(addresses, { address: '/1/fader1', args: [0.25, 'extra'] }),
+        { address: '/saved/rotation/xVal', args: [-45, 'extra'] });
+    assert.deepStrictEqual(mapOscMessage(addresses, { address: '/1/push1', args: [1] }), { address: '/anim/select', args: [2] });
+    // Releasing the button.
+    assert.strictEqual(mapOscMessage(addresses, { address: '/1/push1', args: [0] }), null);
+    assert.strictEqual(mapOscMessage(addresses, { address: '/1/push1', args: [false] }), null);
+    const unknown = { address: '/saved/speed', args: [3] };
+    assert.strictEqual(mapOscMessage(addresses, unknown), unknown);
+}
+
+async function testServer() {
+    /** @type {import('../osc').OscMessage[]} */
+    const messages = [];
+    /** @type {any[][]} */
+    const logged = [];
+    /** @type {() => void} */
+    let gotMessage = () => {};
+    const server = createOscServer((message) => {
+        messages.push(message);
+        gotMessage();
+    }, (...msg) => logged.push(msg));
+    await new Promise((resolve) => server.bind(0, '127.0.0.1', () => resolve(undefined)));
+    const client = dgram.createSocket('udp4');
+    try {
+        const { port } = server.address();
+        const arrived = new Promise((resolve) => { gotMessage = () => resolve(undefined); });
+        // UDP keeps the order on the loopback interface, so the broken packet is handled first.
+        client.send(Buffer.from('garbage'), port, '127.0.0.1');
+        client.send(oscMessage('/anim/select', ',i', [int32('writeInt32BE', 1)]), port, '127.0.0.1');
+        await arrived;
+        assert.deepStrictEqual(messages, [{ address: '/anim/select', args: [1] }]);
+        assert.strictEqual(logged.length, 1);
+        assert.match(logged[0][2], /isn't valid OSC/);
+    } finally {
+        client.close();
+        server.close();
+    }
+}
+
+function testPageReceivesOsc() {
+    const { State } = loadFrontLibrary(['State'], { ANIMATIONS: [{ name: 'Off' }, { name: 'Rainbow' }] });
+    const state = {
+        saved: { animState: 0, rotation: { xVal: 0 }, isMirrored: false, label: 'a', nested: { list: [1] } },
+        findSavedValue: State.prototype.findSavedValue,
+    };
+    /**
+     * @param {string} address
+     * @param {any[]} args
+     * @returns {boolean}
+     */
+    const receive = (address, args) => State.prototype.receiveOsc.call(state, address, args);
+
+    assert.strictEqual(receive('/anim/select', [1]), true);
+    assert.strictEqual(receive('/anim/select', [2]), false);
+    assert.strictEqual(receive('/anim/select', [0.5]), false);
+    assert.strictEqual(state.saved.animState, 1);
+
+    assert.strictEqual(receive('/saved/rotation/xVal', [45]), true);
+    assert.strictEqual(receive('/saved/rotation/xVal', ['45']), false);
+    assert.strictEqual(receive('/saved/isMirrored', [1]), true);
+    assert.strictEqual(receive('/saved/label', ['b']), true);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state.saved)),
+        { animState: 1, rotation: { xVal: 45 }, isMirrored: true, label: 'b', nested: { list: [1] } });
+
+    // Nothing that would make `loop()` throw.
+    assert.strictEqual(receive('/saved/rotation', [1]), false);
+    assert.strictEqual(receive('/saved/nested/list', [2]), false);
+    assert.strictEqual(receive('/saved/unknown', [2]), false);
+    assert.strictEqual(receive('/saved/rotation/xVal/deeper', [2]), false);
+    assert.strictEqual(receive('/saved/rotation/toString', [2]), false);
+    assert.strictEqual(receive('/other', [2]), false);
+    assert.strictEqual(state.saved.rotation.xVal, 45);
+}
+
+runTests('osc', [
+    testArgumentTypes,
+    testBundles,
+    testInvalidPackets,
+    testAddressTable,
+    testServer,
+    testPageReceivesOsc,
+]);
@@ -0,0 +1,89 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { estimateMilliamps, limitPower } = require('../power');
+const { runTests } = require('./helper');
+
+/**
+ * Checks the current estimate, and that frames over a supply's budget are dimmed just enough, and only where that supply is.
+ */
+
+/**
+ * @param {Partial<import('../power').PowerConfig>} config
+ * @returns {import('../power').PowerConfig}
+ */
+function makeConfig(config) {
+    return { milliampsPerChannel: 20, idleMilliampsPerLed: 1, supplies: [], ...config };
+}
+
+/**
+ * @param {number} ledCount
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function fill(ledCount, value) {
+    return Buffer.alloc(ledCount * 3, value);
+}
+
+function testEstimate() {
+    const config = makeConfig({});
+    assert.strictEqual(estimateMilliamps(config, fill(2, 255)), 2 * 3 * 20 + 2);
+    assert.strictEqual(estimateMilliamps(config, fill(4, 0)), 4);
+    assert.strictEqual(estimateMilliamps(config, Buffer.from([255, 0, 0, 0, 0, 51])), 20 + 4 + 2);
+}
+
+function testWithinBudget() {
+    const data = fill(2, 255);
+    const frames = [{ ledStart: 0, data }];
+    const supplies = limitPower(makeConfig({ supplies: [{ name: 'PSU', ledStart: 0, maxMilliamps: 122 }] }), frames);
+    assert.deepStrictEqual(supplies, [{ name: 'PSU', milliamps: 122, maxMilliamps: 122, scale: 1 }]);
+    assert.strictEqual(frames[0].data, data);
+}
+
+function testDimming() {
+    const data = fill(2, 255);
+    const frames = [{ ledStart: 0, data }];
+    const config = makeConfig({ supplies: [{ name: 'PSU', ledStart: 0, maxMilliamps: 62 }] });
+    const [supply] = limitPower(config, frames);
+    // The 2 mA idle current stays, so the other 120 mA have to fit in 60 mA.
+    assert.strictEqual(supply.scale, 0.5);
+    assert.strictEqual(supply.milliamps, 122, 'reports what the frame would have drawn');
+    assert.deepStrictEqual([...frames[0].data], [...fill(2, 127)]);
+    assert.ok(estimateMilliamps(config, frames[0].data) <= 62);
+    assert.deepStrictEqual([...data], [...fill(2, 255)], 'the original frame stays unchanged');
+
+    const tooLittle = [{ ledStart: 0, data }];
+    limitPower(makeConfig({ supplies: [{ name: 'PSU', ledStart: 0, maxMilliamps: 1 }] }), tooLittle);
+    assert.deepStrictEqual([...tooLittle[0].data], [...fill(2, 0)]);
+}
+
+function testSuppliesAndOutputsOverlap() {
+    // Two outputs of 2 LEDs each; one supply powers LEDs 1 to 2, across both outputs. The other has the rest.
+    const frames = [{ ledStart: 0, data: fill(2, 255) }, { ledStart: 2, data: fill(2, 255) }];
+    const supplies = limitPower(makeConfig({
+        supplies: [
+            { name: 'Middle', ledStart: 1, ledCount: 2, maxMilliamps: 62 },
+            { name: 'Rest', ledStart: 3, maxMilliamps: 1000 },
+        ],
+    }), frames);
+    assert.deepStrictEqual(supplies.map((supply) => [supply.name, supply.milliamps, supply.scale]), [['Middle', 122, 0.5], ['Rest', 61, 1]]);
+    assert.deepStrictEqual([...frames[0].data], [255, 255, 255, 127, 127, 127]);
+    assert.deepStrictEqual([...frames[1].data], [127, 127, 127, 255, 255, 255]);
+}
+
+function testBlackFrame() {
+    const frames = [{ ledStart: 0, data: fill(10, 0) }];
+    const [supply] = limitPower(makeConfig({ supplies: [{ name: 'PSU', ledStart: 0, maxMilliamps: 5 }] }), frames);
+    // More idle current than the budget, but there is nothing to dim.
+    assert.strictEqual(supply.scale, 1);
+    assert.strictEqual(supply.milliamps, 10);
+}
+
+runTests('power', [
+    testEstimate,
+    testWithinBudget,
+    testDimming,
+    testSuppliesAndOutputsOverlap,
+    testBlackFrame,
+]);
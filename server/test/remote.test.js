@@ -0,0 +1,188 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { RemoteRelay, createRemoteServer } = require('../remote');
+const { runTests, listen, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that commands sent to the `/remote` websocket reach the controlling page and its answers come back
+ * with the script's `id`, that scripts get an error instead of waiting forever, and that the page carries out
+ * the commands without letting a script break `loop()`.
+ */
+
+/**
+ * Stands in for the "data" websocket of a page, remembering the commands sent to it.
+ * @param {string} id
+ */
+function makePage(id) {
+    /** @type {any[]} */
+    const received = [];
+    return {
+        id,
+        received,
+        ws: /** @type {any} */ ({ readyState: WebSocket.OPEN, send: (/** @type {string} */ text) => received.push(JSON.parse(text)) }),
+    };
+}
+
+function testRelay() {
+    const relay = new RemoteRelay(1000);
+    const page = makePage('page');
+    /** @type {import('../remote').RemoteAnswer[]} */
+    const answers = [];
+    relay.send(page, { command: 'get', path: 'animState' }, (answer) => answers.push(answer));
+    relay.send(page, { command: 'pause' }, (answer) => answers.push(answer));
+    assert.deepStrictEqual(page.received, [
+        { type: 'remote', requestId: 1, command: 'get', path: 'animState' },
+        { type: 'remote', requestId: 2, command: 'pause' },
+    ]);
+
+    relay.receiveReply('another page', { requestId: 2, ok: true, result: 'not from the controller' });
+    relay.receiveReply('page', { requestId: 2, ok: false, error: 'nope' });
+    relay.receiveReply('page', { requestId: 1, ok: true, result: 3 });
+    relay.receiveReply('page', { requestId: 1, ok: true, result: 'answered twice' });
+    assert.deepStrictEqual(answers, [{ ok: false, error: 'nope' }, { ok: true, result: 3 }]);
+
+    relay.send(undefined, { command: 'reset' }, (answer) => answers.push(answer));
+    assert.match(answers[2].error, /No page is in control/);
+}
+
+function testPageClosed() {
+    const relay = new RemoteRelay(1000);
+    const page = makePage('page');
+    /** @type {import('../remote').RemoteAnswer[]} */
+    const answers = [];
+    relay.send(page, { command: 'snapshot' }, (answer) => answers.push(answer));
+    relay.pageClosed('another page');
+    assert.deepStrictEqual(answers, []);
+    relay.pageClosed('page');
+    assert.deepStrictEqual(answers, [{ ok: false, error: 'The controlling page closed before answering.' }]);
+}
+
+async function testTimeout() {
+    const relay = new RemoteRelay(20);
+    const answer = await new Promise((resolve) => relay.send(makePage('page'), { command: 'get' }, resolve));
+    assert.deepStrictEqual(answer, { ok: false, error: 'The controlling page didn\'t answer within 20 ms.' });
+}
+
+async function testWebsocket() {
+    const relay = new RemoteRelay(1000);
+    const page = makePage('page');
+    // The page answers every command right away.
+    page.ws.send = (/** @type {string} */ text) => {
+        const { requestId, command } = JSON.parse(text);
+        setImmediate(() => relay.receiveReply('page', { requestId, ok: true, result: command }));
+    };
+    /** @type {any[][]} */
+    const logged = [];
+    const remoteServer = createRemoteServer(relay, () => page, (...msg) => logged.push(msg));
+    const server = http.createServer();
+    server.on('upgrade', (request, socket, head) => {
+        remoteServer.handleUpgrade(request, socket, head, (ws) => remoteServer.emit('connection', ws, request));
+    });
+    const port = await listen(server);
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/remote`);
+    try {
+        /** @type {any[]} */
+        const answers = [];
+        const allAnswered = new Promise((resolve) => ws.on('message', (message) => {
+            answers.push(JSON.parse(String(message)));
+            if (answers.length === 5) {
+                resolve(undefined);
+            }
+        }));
+        await new Promise((resolve, reject) => {
+            ws.on('open', resolve);
+            ws.on('error', reject);
+        });
+        ws.send('{"id": 1, "command": "get"');
+        ws.send('[1, 2]');
+        ws.send('{"id": "a", "command": "explode"}');
+        ws.send('{"id": "b", "command": "snapshot"}');
+        ws.send('{"command": "set", "path": "speed", "value": 2}');
+        await allAnswered;
+
+        assert.deepStrictEqual(answers.map((answer) => [answer.id, answer.ok]), [[null, false], [null, false], ['a', false], ['b', true], [null, true]]);
+        assert.match(answers[0].error, /Unable to parse message/);
+        assert.match(answers[2].error, /Unknown command "explode"\. Use one of: get, set/);
+        assert.deepStrictEqual(answers[3].result, 'snapshot');
+        // Commands that change something are logged; reading isn't.
+        assert.deepStrictEqual(logged, [['remote', '{"command":"set","path":"speed","value":2}']]);
+    } finally {
+        ws.close();
+        remoteServer.close();
+        server.close();
+    }
+}
+
+/**
+ * Makes a page's `State` without connecting it to a server, with its clock at `clock.nowMs`.
+ * @param {{nowMs: number}} clock
+ */
+function makeState(clock) {
+    const { State } = loadFrontLibrary(['State'], {
+        ANIMATIONS: [{ name: 'Off' }, { name: 'Rainbow' }],
+        performance: { now: () => clock.nowMs },
+    });
+    const state = Object.create(State.prototype);
+    Object.assign(state, {
+        savedDefaults: { animState: 0, speed: 1, rotation: { xVal: 0 }, label: null },
+        ledData: Uint8ClampedArray.from([1, 2, 3, 4, 5, 6]),
+        isPaused: false,
+        __pausedAtMs: 0,
+        pausedTotalMs: 0,
+    });
+    state.reset();
+    return state;
+}
+
+function testPageCommands() {
+    const state = makeState({ nowMs: 0 });
+    /** @param {object} command */
+    const run = (command) => JSON.parse(JSON.stringify(state.handleRemoteCommand(command)));
+
+    assert.deepStrictEqual(run({ command: 'get' }), { animState: 0, speed: 1, rotation: { xVal: 0 }, label: null });
+    assert.strictEqual(run({ command: 'set', path: 'rotation.xVal', value: 0.5 }), 0.5);
+    assert.strictEqual(run({ command: 'get', path: 'rotation.xVal' }), 0.5);
+    assert.strictEqual(run({ command: 'set', path: 'label', value: 'front' }), 'front');
+    assert.strictEqual(run({ command: 'selectAnimation', animation: 1 }), 1);
+    assert.deepStrictEqual(run({ command: 'snapshot' }), { ledCount: 2, ledData: [1, 2, 3, 4, 5, 6] });
+    assert.deepStrictEqual(run({ command: 'reset' }), { animState: 0, speed: 1, rotation: { xVal: 0 }, label: null });
+}
+
+function testRefusedPageCommands() {
+    const state = makeState({ nowMs: 0 });
+    assert.throws(() => state.handleRemoteCommand({ command: 'get', path: 'rotation.yVal' }), /has no value at "rotation.yVal"/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'get', path: 'speed.toString' }), /has no value/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'set', path: 'speed' }), /Send the new value/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'set', path: 'rotation', value: 1 }), /is an object, so it can't be set to 1/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'set', path: 'speed', value: '2' }), /is a number/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'selectAnimation', animation: '1' }), /whole number/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'selectAnimation', animation: 2 }), /Pick one from 0 to 1: Off, Rainbow/);
+    assert.throws(() => state.handleRemoteCommand({ command: 'explode' }), /Unknown command/);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state.saved)), { animState: 0, speed: 1, rotation: { xVal: 0 }, label: null });
+}
+
+function testPause() {
+    const clock = { nowMs: 1000 };
+    const state = makeState(clock);
+    assert.deepStrictEqual({ ...state.handleRemoteCommand({ command: 'pause' }) }, { isPaused: true });
+    clock.nowMs = 3000;
+    assert.strictEqual(state.loopTimeMs(clock.nowMs), 1000, 'time stands still');
+    state.handleRemoteCommand({ command: 'pause' });
+    assert.deepStrictEqual({ ...state.handleRemoteCommand({ command: 'resume' }) }, { isPaused: false });
+    clock.nowMs = 3500;
+    assert.strictEqual(state.loopTimeMs(clock.nowMs), 1500, 'and goes on from where it stopped');
+}
+
+runTests('remote', [
+    testRelay,
+    testPageClosed,
+    testTimeout,
+    testWebsocket,
+    testPageCommands,
+    testRefusedPageCommands,
+    testPause,
+]);
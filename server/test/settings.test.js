@@ -0,0 +1,106 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, validateSettings, loadSettings } = require('../settings');
+const { runTests, withTempDirectory } = require('./helper');
+
+/**
+ * Checks how the config file and command-line flags are layered over the defaults, and what happens to mistakes.
+ * `config.example.json` has a value for every setting, so it stands in for the CONFIG block in server.js.
+ */
+
+/** @type {import('../settings').Settings} */
+const DEFAULTS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.example.json'), 'utf8'));
+
+/**
+ * Loads settings from a config file with `contents` (or no config file if `contents` is `null`) and `argv`.
+ * @param {?object} contents
+ * @param {string[]} [argv]
+ */
+function loadWithConfig(contents, argv = []) {
+    return withTempDirectory(async (directory) => {
+        const configPath = path.join(directory, 'config.json');
+        if (contents !== null) {
+            await fs.promises.writeFile(configPath, JSON.stringify(contents));
+        }
+        return loadSettings(DEFAULTS, argv, configPath);
+    });
+}
+
+function testParseArgs() {
+    assert.deepStrictEqual(parseArgs(['--http-port', '8000', '--framing=checked', '--match', 'Main:serialNumber=12']), {
+        configPath: null,
+        overrides: { httpPort: 8000, serialFraming: 'checked' },
+        matches: ['Main:serialNumber=12'],
+        help: false,
+    });
+    assert.strictEqual(parseArgs(['--config', 'rig.json']).configPath, 'rig.json');
+    assert.strictEqual(parseArgs(['-h']).help, true);
+    assert.throws(() => parseArgs(['--colour']), /Unknown command-line flag '--colour'/);
+    assert.throws(() => parseArgs(['--max-fps']), /--max-fps needs a value/);
+    assert.throws(() => parseArgs(['--max-fps', 'fast']), /--max-fps needs a number, but got 'fast'/);
+}
+
+function testDefaultsAreValid() {
+    assert.deepStrictEqual(validateSettings(DEFAULTS), []);
+}
+
+async function testLayers() {
+    const { settings } = await loadWithConfig({
+        httpPort: 9000,
+        maxDeviceFramesPerSecond: 30,
+        watchdog: { timeoutMs: 3000 },
+        inputPriority: ['browser', 'opc', 'show'],
+    }, ['--max-fps', '0', '--match', 'vendorId=1234']);
+    assert.strictEqual(settings.httpPort, 9000);
+    assert.strictEqual(settings.maxDeviceFramesPerSecond, 0, 'flags override the config file');
+    // Blocks are merged one level deep, arrays replaced.
+    assert.deepStrictEqual(settings.watchdog, { ...DEFAULTS.watchdog, timeoutMs: 3000 });
+    assert.deepStrictEqual(settings.inputPriority, ['browser', 'opc', 'show']);
+    assert.deepStrictEqual(settings.devices[0].match, { vendorId: '1234' });
+    assert.deepStrictEqual(DEFAULTS.devices[0].match, { vendorId: ['2341', '16C0'] }, 'the defaults stay as they are');
+
+    const { settings: withoutFile } = await loadWithConfig(null);
+    assert.deepStrictEqual(withoutFile, DEFAULTS);
+}
+
+async function testEveryProblemIsReported() {
+    await assert.rejects(loadWithConfig({
+        httpPort: 'eighty',
+        colour: {},
+        shows: { speed: 0 },
+        inputPriority: ['browser', 'browser', 'show'],
+    }, ['--match', 'Side:vendorId=1']), (err) => {
+        assert.match(err.message, /httpPort must be a whole number from 0 to 65535, but it is "eighty"/);
+        assert.match(err.message, /colour is not a setting/);
+        assert.match(err.message, /shows\.speed/);
+        assert.match(err.message, /inputPriority/);
+        assert.match(err.message, /there is no device named 'Side'/);
+        return true;
+    });
+}
+
+async function testBadFiles() {
+    await assert.rejects(withTempDirectory(async (directory) => {
+        const configPath = path.join(directory, 'config.json');
+        await fs.promises.writeFile(configPath, '{ "httpPort": 8080, }');
+        return loadSettings(DEFAULTS, [], configPath);
+    }), /is not valid JSON/);
+    await assert.rejects(loadWithConfig([1, 2]), /must contain a JSON object/);
+    await assert.rejects(loadWithConfig(null, ['--config', path.join(__dirname, 'missing.json')]), /doesn't exist/);
+    // --help works even when the config file is broken.
+    const { help, settings } = await loadWithConfig({ httpPort: -1 }, ['--help']);
+    assert.strictEqual(help, true);
+    assert.strictEqual(settings, DEFAULTS);
+}
+
+runTests('settings', [
+    testParseArgs,
+    testDefaultsAreValid,
+    testLayers,
+    testEveryProblemIsReported,
+    testBadFiles,
+]);
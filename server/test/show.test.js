@@ -0,0 +1,110 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ShowRecorder, ShowPlayer, readShow } = require('../show');
+const { runTests, withTempDirectory } = require('./helper');
+
+/**
+ * Checks that recorded shows read back frame for frame, and that playback keeps the order and timing of the frames.
+ */
+
+const FRAMES = [Buffer.from([1, 2, 3]), Buffer.from([255, 0, 255, 4, 5, 6]), Buffer.from([7, 8, 9])];
+
+function testRecordAndRead() {
+    return withTempDirectory(async (directory) => {
+        const filePath = path.join(directory, 'show.ledshow');
+        const recorder = new ShowRecorder(filePath);
+        for (const frame of FRAMES) {
+            recorder.record(frame);
+        }
+        recorder.close();
+        recorder.record(Buffer.from([10, 11, 12]));
+        assert.strictEqual(recorder.frameCount, FRAMES.length);
+
+        const frames = await readShow(filePath);
+        assert.deepStrictEqual(frames.map((frame) => frame.data), FRAMES);
+        assert.strictEqual(frames[0].delayMs, 0);
+        assert.ok(frames.every((frame) => frame.delayMs >= 0 && frame.delayMs < 1000), 'frames were recorded right after each other');
+    });
+}
+
+function testTruncatedShow() {
+    return withTempDirectory(async (directory) => {
+        const filePath = path.join(directory, 'cut.ledshow');
+        const recorder = new ShowRecorder(filePath);
+        recorder.record(FRAMES[0]);
+        recorder.record(FRAMES[1]);
+        recorder.close();
+        const contents = await fs.promises.readFile(filePath);
+        await fs.promises.writeFile(filePath, contents.subarray(0, contents.length - 2));
+        assert.deepStrictEqual((await readShow(filePath)).map((frame) => frame.data), [FRAMES[0]]);
+    });
+}
+
+function testNotAShow() {
+    return withTempDirectory(async (directory) => {
+        const filePath = path.join(directory, 'mapping.json');
+        await fs.promises.writeFile(filePath, '[[0, 0, 0]]');
+        await assert.rejects(readShow(filePath), /is not a show file/);
+    });
+}
+
+/**
+ * Plays `frames` and resolves with the frames played and when, once `count` frames have been played or the show ended.
+ * @param {import('../show').ShowFrame[]} frames
+ * @param {import('../show').ShowPlayerOptions} options
+ * @param {number} count
+ * @returns {Promise<{played: Buffer[], times: number[], ended: boolean}>}
+ */
+function play(frames, options, count) {
+    return new Promise((resolve) => {
+        /** @type {Buffer[]} */
+        const played = [];
+        /** @type {number[]} */
+        const times = [];
+        const startMs = Date.now();
+        const player = new ShowPlayer(frames, options, (frame) => {
+            played.push(frame);
+            times.push(Date.now() - startMs);
+            if (played.length === count) {
+                player.stop();
+                resolve({ played, times, ended: false });
+            }
+        }, () => resolve({ played, times, ended: true }));
+        player.start();
+    });
+}
+
+async function testPlayback() {
+    const frames = FRAMES.map((data, i) => ({ delayMs: i === 0 ? 0 : 40, data }));
+    const { played, times, ended } = await play(frames, {}, Infinity);
+    assert.ok(ended);
+    assert.deepStrictEqual(played, FRAMES);
+    assert.ok(times[2] >= 75, `the last frame came after ${times[2]}ms instead of 80ms`);
+
+    const fast = await play(frames, { speed: 4 }, Infinity);
+    assert.ok(fast.times[2] < 75, `at 4x speed, the last frame came after ${fast.times[2]}ms instead of 20ms`);
+}
+
+async function testLoop() {
+    const frames = FRAMES.map((data) => ({ delayMs: 5, data }));
+    const { played, ended } = await play(frames, { loop: true }, 5);
+    assert.ok(!ended);
+    assert.deepStrictEqual(played, [...FRAMES, FRAMES[0], FRAMES[1]]);
+}
+
+function testInvalidSpeed() {
+    assert.throws(() => new ShowPlayer([], { speed: 0 }, () => {}), /greater than 0/);
+}
+
+runTests('show', [
+    testRecordAndRead,
+    testTruncatedShow,
+    testNotAShow,
+    testPlayback,
+    testLoop,
+    testInvalidSpeed,
+]);
@@ -0,0 +1,123 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { mimeTypeFor, createStaticFileHandler } = require('../staticFiles');
+const { runTests, listen, request, withTempDirectory } = require('./helper');
+
+/**
+ * Checks that the webapp's files are served with the right types and caching headers,
+ * and that nothing outside the root directory is.
+ */
+
+/**
+ * Serves a small webapp from a temporary directory while `use` runs.
+ * The directory above the root has a `secret.txt` that must never be served.
+ * @param {(port: number, root: string) => Promise<void>} use
+ * @returns {Promise<void>}
+ */
+function withWebapp(use) {
+    return withTempDirectory(async (directory) => {
+        const root = path.join(directory, 'front');
+        await fs.promises.mkdir(path.join(root, 'mappings'), { recursive: true });
+        await fs.promises.mkdir(path.join(root, 'empty'));
+        await fs.promises.writeFile(path.join(directory, 'secret.txt'), 'the password is hunter2');
+        await fs.promises.writeFile(path.join(root, 'index.html'), '<!DOCTYPE html><title>Visualizer</title>');
+        await fs.promises.writeFile(path.join(root, 'main.js'), 'console.log("hi");');
+        await fs.promises.writeFile(path.join(root, 'mappings', 'mapping <1>.json'), '[[0, 0, 0]]');
+        const server = http.createServer(createStaticFileHandler(root, { listDirectories: ['mappings'] }));
+        const port = await listen(server);
+        try {
+            await use(port, root);
+        } finally {
+            server.close();
+        }
+    });
+}
+
+function testMimeTypes() {
+    assert.strictEqual(mimeTypeFor('main.js'), 'text/javascript; charset=utf-8');
+    assert.strictEqual(mimeTypeFor('mappings/mappingPersp.JSON'), 'application/json; charset=utf-8');
+    assert.strictEqual(mimeTypeFor('sounds/kick.wav'), 'audio/wav');
+    assert.strictEqual(mimeTypeFor('model.glb'), 'model/gltf-binary');
+    assert.strictEqual(mimeTypeFor('show.ledshow'), 'application/octet-stream');
+    assert.strictEqual(mimeTypeFor('Makefile'), 'application/octet-stream');
+}
+
+function testFiles() {
+    return withWebapp(async (port) => {
+        let response = await request(port, 'GET', '/');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+        assert.match(response.body, /Visualizer/);
+
+        response = await request(port, 'GET', '/main.js?reload=1');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['content-type'], 'text/javascript; charset=utf-8');
+        assert.strictEqual(response.headers['cache-control'], 'no-cache');
+        assert.strictEqual(response.body, 'console.log("hi");');
+
+        response = await request(port, 'HEAD', '/main.js');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['content-length'], '18');
+        assert.strictEqual(response.body, '');
+
+        response = await request(port, 'POST', '/main.js');
+        assert.strictEqual(response.status, 405);
+        assert.strictEqual(response.headers['allow'], 'GET, HEAD');
+    });
+}
+
+function testCaching() {
+    return withWebapp(async (port, root) => {
+        const first = await request(port, 'GET', '/main.js');
+        const etag = String(first.headers['etag']);
+        let response = await request(port, 'GET', '/main.js', { headers: { 'If-None-Match': etag } });
+        assert.strictEqual(response.status, 304);
+        assert.strictEqual(response.body, '');
+        response = await request(port, 'GET', '/main.js', { headers: { 'If-Modified-Since': String(first.headers['last-modified']) } });
+        assert.strictEqual(response.status, 304);
+
+        await fs.promises.writeFile(path.join(root, 'main.js'), 'console.log("changed");');
+        response = await request(port, 'GET', '/main.js', { headers: { 'If-None-Match': etag } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body, 'console.log("changed");');
+    });
+}
+
+function testDirectories() {
+    return withWebapp(async (port) => {
+        let response = await request(port, 'GET', '/mappings');
+        assert.strictEqual(response.status, 301);
+        assert.strictEqual(response.headers['location'], '/mappings/');
+        response = await request(port, 'GET', '/mappings/');
+        assert.strictEqual(response.status, 200);
+        assert.match(response.body, /<a href="mapping%20%3C1%3E\.json">mapping &#60;1&#62;\.json<\/a>/);
+        // Only the directories in `listDirectories` are listed.
+        response = await request(port, 'GET', '/empty/');
+        assert.strictEqual(response.status, 404);
+    });
+}
+
+function testOutsideTheRoot() {
+    return withWebapp(async (port) => {
+        for (const urlPath of ['/../secret.txt', '/%2e%2e/secret.txt', '/mappings/..%2F..%2Fsecret.txt', '/main.js%00.png']) {
+            const response = await request(port, 'GET', urlPath);
+            assert.strictEqual(response.status, 404, urlPath);
+            assert.doesNotMatch(response.body, /hunter2/);
+        }
+        const response = await request(port, 'GET', '/%E0%A4%A');
+        assert.strictEqual(response.status, 400);
+    });
+}
+
+runTests('staticFiles', [
+    testMimeTypes,
+    testFiles,
+    testCaching,
+    testDirectories,
+    testOutsideTheRoot,
+]);
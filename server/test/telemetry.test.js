@@ -0,0 +1,76 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const { parseDeviceLine, parseSensorLine } = require('../telemetry');
+const { runTests, loadFrontLibrary } = require('./helper');
+
+/**
+ * Checks that the lines the microcontroller prints turn into the events the browser shows,
+ * and that sensor readings are picked out and smoothed on the page.
+ */
+
+function testKnownLines() {
+    assert.deepStrictEqual(parseDeviceLine('Serial opened\r\n'), { kind: 'serialOpened', level: 'info', text: 'Serial opened' });
+    assert.deepStrictEqual(parseDeviceLine(' - Frame too short. Expected: 306 bytes. Got: 300\r\n'), {
+        kind: 'frameTooShort', level: 'warning', text: 'Frame too short. Expected: 306 bytes. Got: 300', expected: 306, got: 300,
+    });
+    assert.deepStrictEqual(parseDeviceLine('- Frame too long. Expected: 306 bytes. Got: 309'), {
+        kind: 'frameTooLong', level: 'warning', text: 'Frame too long. Expected: 306 bytes. Got: 309', expected: 306, got: 309,
+    });
+    assert.deepStrictEqual(parseDeviceLine(' - Missed frames. Expected sequence: 12. Got: 15'), {
+        kind: 'missedFrames', level: 'warning', text: 'Missed frames. Expected sequence: 12. Got: 15', expected: 12, got: 15,
+    });
+    assert.deepStrictEqual(parseDeviceLine(' - Frame checksum mismatch. Dropped frame with sequence: 2'), {
+        kind: 'checksumMismatch', level: 'warning', text: 'Frame checksum mismatch. Dropped frame with sequence: 2', sequence: 2,
+    });
+    assert.deepStrictEqual(parseDeviceLine(' - Unknown packet type: 9').packetType, 9);
+    assert.strictEqual(parseDeviceLine(' - Invalid delta frame').kind, 'invalidDeltaFrame');
+    assert.strictEqual(parseDeviceLine(' - Skipping delta frames until the next full frame').kind, 'skippingDeltaFrames');
+}
+
+function testOtherLines() {
+    assert.deepStrictEqual(parseDeviceLine('Hello from setup()\r\n'), { kind: 'message', level: 'info', text: 'Hello from setup()' });
+    // Almost, but not quite, a known message.
+    assert.strictEqual(parseDeviceLine(' - Frame too short. Expected: many bytes. Got: 3').kind, 'message');
+    assert.strictEqual(parseDeviceLine('').kind, 'message');
+}
+
+function testSensorLines() {
+    assert.deepStrictEqual(parseSensorLine('@sensor distance=412\r\n'), { distance: 412 });
+    assert.deepStrictEqual(parseSensorLine('@sensor distance=41.5 touch=1  light_2=-3e2'), { distance: 41.5, touch: 1, light_2: -300 });
+    assert.strictEqual(parseSensorLine('@sensor'), null);
+    assert.strictEqual(parseSensorLine('@sensor distance'), null);
+    assert.strictEqual(parseSensorLine('@sensor distance=far'), null);
+    assert.strictEqual(parseSensorLine('@sensor 2fast=1'), null);
+    assert.strictEqual(parseSensorLine('@sensors distance=1'), null);
+    assert.strictEqual(parseSensorLine('Serial opened'), null);
+}
+
+function testSensorSmoothing() {
+    const { State } = loadFrontLibrary(['State']);
+    const state = { sensorSmoothingMs: 100, rawSensors: { distance: 100 }, sensors: {} };
+    const updateSensors = State.prototype.updateSensors.bind(state);
+    updateSensors(16);
+    assert.deepStrictEqual(state.sensors, { distance: 100 }, 'a new sensor starts at its first reading');
+
+    state.rawSensors.distance = 200;
+    updateSensors(100);
+    assert.ok(Math.abs(state.sensors.distance - (200 - 100 / Math.E)) < 1e-9);
+    for (let i = 0; i < 100; i++) {
+        updateSensors(16);
+    }
+    assert.ok(Math.abs(state.sensors.distance - 200) < 1e-3);
+
+    state.sensorSmoothingMs = 0;
+    state.rawSensors.distance = 5;
+    updateSensors(16);
+    assert.strictEqual(state.sensors.distance, 5);
+}
+
+runTests('telemetry', [
+    testKnownLines,
+    testOtherLines,
+    testSensorLines,
+    testSensorSmoothing,
+]);
@@ -0,0 +1,124 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const framing = require('../framing');
+const { VirtualSerialPort } = require('../virtualDevice');
+const { runTests } = require('./helper');
+
+/**
+ * Checks that frames written the way the server writes them come out of `VirtualSerialPort`
+ * as the frame the LEDs would show, and that badly sized frames get the sketch's messages.
+ */
+
+const LED_COUNT = 4;
+
+/**
+ * Opens a virtual port and collects every line it prints.
+ * @param {'legacy'|'checked'|'compressed'} framingName
+ * @returns {Promise<{port: VirtualSerialPort, lines: string[]}>}
+ */
+function openPort(framingName) {
+    return new Promise((resolve, reject) => {
+        /** @type {string[]} */
+        const lines = [];
+        const port = new VirtualSerialPort('virtual:Test', { ledCount: LED_COUNT, framing: framingName }, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ port, lines });
+            }
+        });
+        port.on('data', (chunk) => {
+            lines.push(...chunk.toString().split('\r\n').filter((line) => line !== ''));
+        });
+    });
+}
+
+/**
+ * Writes `bytes` and waits until the port has parsed them and printed any answer.
+ * @param {VirtualSerialPort} port
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+function writeAndSettle(port, bytes) {
+    return new Promise((resolve, reject) => {
+        port.write(Buffer.from(bytes), (/** @type {?Error} */ err) => {
+            if (err) {
+                reject(err);
+            } else {
+                setImmediate(() => setImmediate(resolve));
+            }
+        });
+    });
+}
+
+/**
+ * @param {number} seed
+ * @param {number} [length]
+ * @returns {Buffer} a frame without any 0xFF bytes, so it can be sent with legacy framing
+ */
+function makeFrame(seed, length = LED_COUNT * 3) {
+    const frame = Buffer.alloc(length);
+    for (let i = 0; i < frame.length; i++) {
+        frame[i] = (seed * 31 + i * 7) % 0xFF;
+    }
+    return frame;
+}
+
+async function testLegacyFraming() {
+    const { port, lines } = await openPort('legacy');
+    const frame = makeFrame(1);
+    await writeAndSettle(port, Buffer.concat([Buffer.from([0xFF]), frame]));
+    assert.deepStrictEqual(port.lastFrame, frame);
+    assert.strictEqual(port.framesShown, 1);
+
+    await writeAndSettle(port, Buffer.concat([Buffer.from([0xFF]), makeFrame(2, 5), Buffer.from([0xFF])]));
+    assert.ok(lines.includes(` - Frame too short. Expected: ${LED_COUNT * 3} bytes. Got: 5`), lines.join('\n'));
+
+    await writeAndSettle(port, Buffer.concat([makeFrame(3), makeFrame(4, 3), Buffer.from([0xFF])]));
+    assert.ok(lines.includes(` - Frame too long. Expected: ${LED_COUNT * 3} bytes. Got: ${LED_COUNT * 3 + 3}`), lines.join('\n'));
+    assert.deepStrictEqual(port.lastFrame, makeFrame(3));
+    assert.strictEqual(port.framesShown, 2);
+    port.close();
+}
+
+async function testCheckedFraming() {
+    const { port, lines } = await openPort('checked');
+    const frame = makeFrame(5);
+    frame[0] = 0xFF; // Checked framing can send full brightness.
+    await writeAndSettle(port, framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 0, frame));
+    assert.deepStrictEqual(port.lastFrame, frame);
+
+    await writeAndSettle(port, framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 1, makeFrame(6, 6)));
+    assert.ok(lines.includes(` - Frame too short. Expected: ${LED_COUNT * 3} bytes. Got: 6`), lines.join('\n'));
+
+    const corrupted = framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 2, makeFrame(7));
+    corrupted[framing.HEADER_SIZE] ^= 0x01;
+    await writeAndSettle(port, corrupted);
+    assert.ok(lines.includes(' - Frame checksum mismatch. Dropped frame with sequence: 2'), lines.join('\n'));
+    assert.deepStrictEqual(port.lastFrame, frame);
+    assert.strictEqual(port.framesShown, 1);
+    port.close();
+}
+
+async function testDeltaFrames() {
+    const { port } = await openPort('compressed');
+    const first = makeFrame(8);
+    const second = Buffer.from(first);
+    second[4] = 0xFF;
+    second[5] = 0;
+    await writeAndSettle(port, framing.encodePacket(framing.PACKET_TYPES.FULL_FRAME, 0, first));
+    const delta = framing.encodeDeltaPayload(first, second);
+    assert.ok(delta !== null, 'changing one LED out of four should fit in a delta frame');
+    await writeAndSettle(port, framing.encodePacket(framing.PACKET_TYPES.DELTA_FRAME, 1, delta));
+    assert.deepStrictEqual(port.lastFrame, second);
+    assert.strictEqual(port.framesShown, 2);
+    port.close();
+}
+
+runTests('virtualDevice', [
+    testLegacyFraming,
+    testCheckedFraming,
+    testDeltaFrames,
+]);
@@ -0,0 +1,161 @@
+// @ts-check
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { ShowRecorder } = require('../show');
+const { Watchdog } = require('../watchdog');
+const { runTests, withTempDirectory } = require('./helper');
+
+/**
+ * Checks that the watchdog steps in once frames stop, with the fallback it's configured with,
+ * and hands control back as soon as a frame arrives.
+ */
+
+/**
+ * @param {Partial<import('../watchdog').WatchdogConfig>} config
+ * @returns {import('../watchdog').WatchdogConfig}
+ */
+function makeConfig(config) {
+    return { timeoutMs: 30, fallback: 'black', fadeMs: 0, pattern: 'breathe', color: [200, 100, 0], showPath: null, ...config };
+}
+
+/**
+ * Makes a watchdog that records what it sends and logs.
+ * @param {import('../watchdog').WatchdogConfig} config
+ */
+function makeWatchdog(config) {
+    /** @type {Buffer[]} */
+    const sent = [];
+    /** @type {any[][]} */
+    const logged = [];
+    const watchdog = new Watchdog(config, (frame) => sent.push(frame), (...msg) => logged.push(msg));
+    return { watchdog, sent, logged };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until `sent` has more than `count` frames, and returns the newest one.
+ * @param {Buffer[]} sent
+ * @param {number} [count]
+ * @returns {Promise<Buffer>}
+ */
+async function nextFrame(sent, count = sent.length) {
+    for (let i = 0; i < 100 && sent.length <= count; i++) {
+        await sleep(10);
+    }
+    assert.ok(sent.length > count, 'the watchdog sends frames');
+    return sent[sent.length - 1];
+}
+
+async function testFadesToBlackAndHandsBack() {
+    const { watchdog, sent, logged } = makeWatchdog(makeConfig({}));
+    const frame = Buffer.alloc(6, 200);
+    await sleep(50);
+    watchdog.check();
+    assert.strictEqual(watchdog.isTripped, false, 'nothing to watch before the first frame');
+
+    watchdog.frameArrived(frame);
+    watchdog.check();
+    assert.strictEqual(watchdog.isTripped, false);
+    await sleep(50);
+    watchdog.check();
+    try {
+        assert.strictEqual(watchdog.isTripped, true);
+        assert.match(logged[0][1], /^No frames for 0\.\d s, fading to black$/);
+        assert.deepStrictEqual(await nextFrame(sent), Buffer.alloc(6));
+    } finally {
+        watchdog.frameArrived(frame);
+    }
+    assert.strictEqual(watchdog.isTripped, false);
+    assert.deepStrictEqual(logged[1], ['watchdog', 'Frames are arriving again, handing control back']);
+    const count = sent.length;
+    await sleep(60);
+    assert.strictEqual(sent.length, count, 'no more frames once control is handed back');
+}
+
+async function testFade() {
+    const { watchdog, sent } = makeWatchdog(makeConfig({ timeoutMs: 0, fadeMs: 1000 }));
+    watchdog.frameArrived(Buffer.alloc(6, 200));
+    await sleep(5);
+    watchdog.check();
+    try {
+        const frame = await nextFrame(sent);
+        // A second-long fade has only just started.
+        assert.ok(frame.every((value) => value > 150 && value < 200), `${[...frame]}`);
+    } finally {
+        watchdog.setConfig(makeConfig({ timeoutMs: null }));
+    }
+    assert.strictEqual(watchdog.isTripped, false, 'turning the watchdog off stops it');
+}
+
+async function testPattern() {
+    const { watchdog, sent, logged } = makeWatchdog(makeConfig({ timeoutMs: 0, fallback: 'pattern' }));
+    watchdog.frameArrived(Buffer.alloc(9, 255));
+    await sleep(5);
+    watchdog.check();
+    try {
+        assert.match(logged[0][1], /playing the 'breathe' pattern$/);
+        const frame = await nextFrame(sent);
+        // A breath starts at 15% of the color.
+        assert.deepStrictEqual([...frame].map((value) => Math.round(value / 5)), [6, 3, 0, 6, 3, 0, 6, 3, 0]);
+
+        watchdog.setConfig(makeConfig({ timeoutMs: 0, fallback: 'pattern', pattern: 'rainbow' }));
+        assert.strictEqual(watchdog.isTripped, true, 'a new fallback takes over right away');
+        const rainbow = await nextFrame(sent);
+        // The first LED starts out red; the others are a third of the way around the hue circle further each.
+        assert.deepStrictEqual([...rainbow].map((value) => Math.round(value / 20)), [13, 0, 0, 0, 13, 0, 0, 0, 13]);
+    } finally {
+        watchdog.frameArrived(Buffer.alloc(9));
+    }
+}
+
+function testShow() {
+    return withTempDirectory(async (directory) => {
+        const showPath = path.join(directory, 'fallback.ledshow');
+        const recorder = new ShowRecorder(showPath);
+        recorder.record(Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9]));
+        recorder.close();
+
+        const { watchdog, sent } = makeWatchdog(makeConfig({ timeoutMs: 0, fallback: 'show', showPath }));
+        watchdog.frameArrived(Buffer.alloc(6, 50));
+        await sleep(5);
+        watchdog.check();
+        try {
+            let frame = await nextFrame(sent);
+            for (let i = 0; i < 10 && frame[0] !== 1; i++) {
+                frame = await nextFrame(sent);
+            }
+            // Cut to the number of LEDs.
+            assert.deepStrictEqual([...frame], [1, 2, 3, 4, 5, 6]);
+        } finally {
+            watchdog.frameArrived(Buffer.alloc(6));
+        }
+
+        const missing = makeWatchdog(makeConfig({ timeoutMs: 0, fallback: 'show', showPath: path.join(directory, 'missing.ledshow') }));
+        missing.watchdog.frameArrived(Buffer.alloc(3, 50));
+        await sleep(5);
+        missing.watchdog.check();
+        try {
+            await nextFrame(missing.sent);
+            assert.match(missing.logged[1][1], /^Unable to play show .*missing\.ledshow, fading to black instead:/);
+            assert.deepStrictEqual([...await nextFrame(missing.sent)], [0, 0, 0]);
+        } finally {
+            missing.watchdog.frameArrived(Buffer.alloc(3));
+        }
+    });
+}
+
+runTests('watchdog', [
+    testFadesToBlackAndHandsBack,
+    testFade,
+    testPattern,
+    testShow,
+]);
@@ -0,0 +1,309 @@
+// @ts-check
+'use strict';
+
+const { Duplex } = require('stream');
+const framing = require('./framing');
+
+/**
+ * Options for a `VirtualSerialPort`.
+ * @typedef {object} VirtualSerialPortOptions
+ * @property {number} [baudRate] - accepted for compatibility with `SerialPort`; ignored.
+ * @property {number} ledCount - number of LEDs the simulated microcontroller drives (`TOTAL_NUM_LEDS` in src.ino).
+ * @property {'legacy'|'checked'|'compressed'} [framing] - which frame parser to run (`USE_CHECKED_FRAMING` in src.ino).
+ *   `'checked'` and `'compressed'` both run the checked parser, which understands full and delta frames. Defaults to `'legacy'`.
+ */
+
+/**
+ * A stand-in for a `SerialPort` connected to a microcontroller running `microcontroller/src/src.ino`.
+ * Bytes written to it go through the same frame parser as the sketch, and it answers with
+ * the same human-readable messages ("Serial opened", "Frame too short...", etc.).
+ *
+ * Use it to exercise the server without any hardware plugged in.
+ * The most recently displayed frame is available as `lastFrame`.
+ */
+class VirtualSerialPort extends Duplex {
+    /**
+     * Behaves like `new SerialPort(path, options, callback)`.
+     * The port opens asynchronously; `callback` is called once it is open.
+     * @param {string} path - any identifier, e.g. `'virtual:Main'`
+     * @param {VirtualSerialPortOptions} options
+     * @param {(err: ?Error) => void} [callback]
+     */
+    constructor(path, options, callback) {
+        super();
+        this.path = path;
+        this.isOpen = false;
+        this.expectedBytesPerFrame = options.ledCount * 3;
+        this.framing = options.framing || 'legacy';
+
+        /**
+         * The most recently displayed frame, or `null` if no frame has been displayed yet.
+         * @type {?Buffer}
+         */
+        this.lastFrame = null;
+        /** Number of frames displayed so far. */
+        this.framesShown = 0;
+
+        // The sketch's frame buffer.
+        this._dataBuffer = Buffer.alloc(this.expectedBytesPerFrame);
+
+        // Legacy parser state. Start with the state we would get after reading a frame.
+        this._isReadingFrame = false;
+        this._dataBytesRead = this.expectedBytesPerFrame;
+
+        // Checked parser state.
+        this._parseStep = 'WAIT_SYNC_0';
+        this._rxBuffer = Buffer.alloc(this.expectedBytesPerFrame);
+        this._header = Buffer.alloc(framing.HEADER_SIZE - framing.SYNC_BYTES.length);
+        this._headerBytesRead = 0;
+        this._packetLength = 0;
+        this._payloadBytesRead = 0;
+        this._receivedCrc = 0;
+        this._prevSeq = -1;
+        // Delta frames only make sense on top of the frame before them. Until a full frame arrives, we skip them.
+        this._needsFullFrame = true;
+        this._isWaitingReported = false;
+
+        setImmediate(() => {
+            this.isOpen = true;
+            this.emit('open');
+            if (callback) {
+                callback(null);
+            }
+            // Mirror the messages printed by `setup()` in the sketch.
+            setImmediate(() => {
+                this._println('Serial opened');
+                this._println('LEDs registered');
+            });
+        });
+    }
+
+    /**
+     * Behaves like `SerialPort.write`, which also accepts plain arrays of bytes.
+     * @param {any} chunk
+     * @param {any} [encoding]
+     * @param {any} [cb]
+     * @returns {boolean}
+     */
+    write(chunk, encoding, cb) {
+        return super.write(Array.isArray(chunk) ? Buffer.from(chunk) : chunk, encoding, cb);
+    }
+
+    /**
+     * @param {(err?: ?Error) => void} [callback]
+     */
+    drain(callback) {
+        if (callback) {
+            setImmediate(callback, null);
+        }
+    }
+
+    /**
+     * @param {(err?: ?Error) => void} [callback]
+     */
+    flush(callback) {
+        if (callback) {
+            setImmediate(callback, null);
+        }
+    }
+
+    /**
+     * Closes the port, as if the microcontroller had been unplugged.
+     * @param {(err?: ?Error) => void} [callback]
+     */
+    close(callback) {
+        if (!this.isOpen) {
+            if (callback) {
+                setImmediate(callback, new Error('Port is not open'));
+            }
+            return;
+        }
+        this.isOpen = false;
+        setImmediate(() => {
+            this.emit('close');
+            if (callback) {
+                callback(null);
+            }
+        });
+    }
+
+    _read() {
+        // Output is pushed whenever the simulated sketch prints something.
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @param {string} encoding
+     * @param {(err?: ?Error) => void} callback
+     */
+    _write(chunk, encoding, callback) {
+        if (!this.isOpen) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+        for (let i = 0; i < chunk.length; i++) {
+            if (this.framing !== 'legacy') {
+                this._readCheckedByte(chunk[i]);
+            } else {
+                this._readLegacyByte(chunk[i]);
+            }
+        }
+        callback();
+    }
+
+    /**
+     * Sends a line of text back, like `SERIAL_USB.println` does.
+     * @param {string} text
+     */
+    _println(text) {
+        this.push(`${text}\r\n`);
+    }
+
+    /**
+     * Mirrors `FastLED.show()`.
+     */
+    _show() {
+        this.lastFrame = Buffer.from(this._dataBuffer);
+        this.framesShown++;
+        this.emit('frame', this.lastFrame);
+    }
+
+    /**
+     * Mirrors `reportFrameSizeMismatch` in the sketch.
+     * @param {number} gotBytes
+     */
+    _reportFrameSizeMismatch(gotBytes) {
+        const kind = gotBytes < this.expectedBytesPerFrame ? 'short' : 'long';
+        this._println(` - Frame too ${kind}. Expected: ${this.expectedBytesPerFrame} bytes. Got: ${gotBytes}`);
+    }
+
+    /**
+     * Mirrors `readLegacyByte` in the sketch.
+     * @param {number} got
+     */
+    _readLegacyByte(got) {
+        if (got === 0xFF) {
+            if (this._isReadingFrame || this._dataBytesRead > this.expectedBytesPerFrame) {
+                this._reportFrameSizeMismatch(this._dataBytesRead);
+            }
+            this._isReadingFrame = true;
+            this._dataBytesRead = 0;
+        } else if (this._isReadingFrame) {
+            this._dataBuffer[this._dataBytesRead] = got;
+            this._dataBytesRead++;
+            if (this._dataBytesRead === this.expectedBytesPerFrame) {
+                this._show();
+                this._isReadingFrame = false;
+            }
+        } else {
+            this._dataBytesRead++;
+        }
+    }
+
+    /**
+     * Mirrors `readCheckedByte` in the sketch.
+     * @param {number} got
+     */
+    _readCheckedByte(got) {
+        switch (this._parseStep) {
+            case 'WAIT_SYNC_0':
+                if (got === framing.SYNC_BYTES[0]) {
+                    this._parseStep = 'WAIT_SYNC_1';
+                }
+                break;
+            case 'WAIT_SYNC_1':
+                if (got === framing.SYNC_BYTES[1]) {
+                    this._headerBytesRead = 0;
+                    this._parseStep = 'READ_HEADER';
+                } else if (got !== framing.SYNC_BYTES[0]) {
+                    this._parseStep = 'WAIT_SYNC_0';
+                }
+                break;
+            case 'READ_HEADER':
+                this._header[this._headerBytesRead] = got;
+                this._headerBytesRead++;
+                if (this._headerBytesRead === this._header.length) {
+                    this._onHeaderRead();
+                }
+                break;
+            case 'READ_PAYLOAD':
+                this._rxBuffer[this._payloadBytesRead] = got;
+                this._payloadBytesRead++;
+                if (this._payloadBytesRead === this._packetLength) {
+                    this._parseStep = 'READ_CRC_HI';
+                }
+                break;
+            case 'READ_CRC_HI':
+                this._receivedCrc = got << 8;
+                this._parseStep = 'READ_CRC_LO';
+                break;
+            case 'READ_CRC_LO':
+                this._receivedCrc |= got;
+                this._onPacketRead();
+                this._parseStep = 'WAIT_SYNC_0';
+                break;
+        }
+    }
+
+    _onHeaderRead() {
+        const type = this._header[0];
+        this._packetLength = this._header.readUInt16LE(2);
+        if (type !== framing.PACKET_TYPES.FULL_FRAME && type !== framing.PACKET_TYPES.DELTA_FRAME) {
+            this._println(` - Unknown packet type: ${type}`);
+            this._parseStep = 'WAIT_SYNC_0';
+        } else if (type === framing.PACKET_TYPES.FULL_FRAME && this._packetLength !== this.expectedBytesPerFrame) {
+            this._reportFrameSizeMismatch(this._packetLength);
+            this._parseStep = 'WAIT_SYNC_0';
+        } else if (type === framing.PACKET_TYPES.DELTA_FRAME && this._packetLength > this.expectedBytesPerFrame) {
+            this._reportInvalidDeltaFrame();
+            this._parseStep = 'WAIT_SYNC_0';
+        } else if (this._packetLength === 0) {
+            // An empty delta frame: nothing changed, and there's no payload to read.
+            this._parseStep = 'READ_CRC_HI';
+        } else {
+            this._payloadBytesRead = 0;
+            this._parseStep = 'READ_PAYLOAD';
+        }
+    }
+
+    _onPacketRead() {
+        const seq = this._header[1];
+        const crc = framing.crc16(this._rxBuffer.subarray(0, this._packetLength), framing.crc16(this._header));
+        if (crc !== this._receivedCrc) {
+            this._println(` - Frame checksum mismatch. Dropped frame with sequence: ${seq}`);
+            return;
+        }
+        if (this._prevSeq >= 0 && seq !== ((this._prevSeq + 1) & 0xFF)) {
+            this._println(` - Missed frames. Expected sequence: ${(this._prevSeq + 1) & 0xFF}. Got: ${seq}`);
+            this._needsFullFrame = true;
+        }
+        this._prevSeq = seq;
+        if (this._header[0] === framing.PACKET_TYPES.FULL_FRAME) {
+            this._rxBuffer.copy(this._dataBuffer, 0, 0, this._packetLength);
+            this._needsFullFrame = false;
+            this._isWaitingReported = false;
+            this._show();
+        } else if (this._needsFullFrame) {
+            if (!this._isWaitingReported) {
+                this._println(' - Skipping delta frames until the next full frame');
+                this._isWaitingReported = true;
+            }
+        } else if (framing.applyDeltaPayload(this._dataBuffer, this._rxBuffer.subarray(0, this._packetLength))) {
+            this._show();
+        } else {
+            this._reportInvalidDeltaFrame();
+        }
+    }
+
+    /**
+     * Mirrors `reportInvalidDeltaFrame` in the sketch.
+     */
+    _reportInvalidDeltaFrame() {
+        this._println(' - Invalid delta frame');
+        this._needsFullFrame = true;
+    }
+}
+
+module.exports = {
+    VirtualSerialPort,
+};
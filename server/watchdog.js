@@ -0,0 +1,221 @@
+// @ts-check
+'use strict';
+
+const path = require('path');
+const { ShowPlayer, readShow } = require('./show');
+
+/**
+ * Keeping the LEDs from freezing on the last frame when frames stop arriving,
+ * e.g. because the browser tab crashed, froze or shows an error.
+ *
+ * Once frames have arrived, the watchdog notes when the last one came in. If none arrives for `timeoutMs`,
+ * it "trips" and sends frames of its own: it fades from the last frame to black, to a pattern, or to a show file.
+ * As soon as a frame arrives again, it stops and the LEDs show that frame, so whoever sends frames has control again.
+ */
+
+/**
+ * @typedef {object} WatchdogConfig
+ * @property {?number} timeoutMs - how long no frame may arrive before the watchdog steps in, or `null` to turn it off
+ * @property {'black'|'pattern'|'show'} fallback - what to show once it has stepped in
+ * @property {number} fadeMs - how long the fade from the last frame to the fallback takes
+ * @property {'breathe'|'rainbow'} pattern - the pattern to play if `fallback` is `'pattern'`
+ * @property {number[]} color - `[red, green, blue]` from 0 to 255, used by the `'breathe'` pattern
+ * @property {?string} showPath - the show file to play if `fallback` is `'show'`, relative to the `server` folder
+ */
+
+/** How often the watchdog sends a frame while it has stepped in. */
+const FRAMES_PER_SECOND = 30;
+
+/** How long one breath of the `'breathe'` pattern takes. */
+const BREATHE_PERIOD_MS = 4000;
+/** How long the `'rainbow'` pattern takes to go through every hue once. */
+const RAINBOW_PERIOD_MS = 10000;
+
+/**
+ * Patterns the watchdog can play. Each fills `frame` (3 bytes per LED) for the time `ms` since it started.
+ * @type {Object<string, (frame: Buffer, ms: number, config: WatchdogConfig) => void>}
+ */
+const PATTERNS = {
+    breathe(frame, ms, config) {
+        const level = 0.15 + 0.85 * (0.5 - 0.5 * Math.cos(2 * Math.PI * ms / BREATHE_PERIOD_MS));
+        for (let i = 0; i < frame.length; i++) {
+            frame[i] = Math.round(config.color[i % 3] * level);
+        }
+    },
+    rainbow(frame, ms) {
+        const ledCount = Math.floor(frame.length / 3);
+        for (let led = 0; led < ledCount; led++) {
+            const hue = (ms / RAINBOW_PERIOD_MS + led / ledCount) % 1;
+            for (let channel = 0; channel < 3; channel++) {
+                // Each channel peaks a third of the way around the hue circle after the previous one.
+                const distance = Math.abs(((hue - channel / 3) % 1 + 1.5) % 1 - 0.5);
+                frame[led * 3 + channel] = Math.round(255 * Math.max(0, 1 - distance * 3));
+            }
+        }
+    },
+};
+
+/** The names of the patterns in `PATTERNS`, for checking settings. */
+const PATTERN_NAMES = Object.keys(PATTERNS);
+
+/**
+ * Watches for frames and sends fallback frames when they stop. See the top of this file.
+ */
+class Watchdog {
+    /**
+     * @param {WatchdogConfig} config
+     * @param {(frame: Buffer) => void} onFrame - called with every frame the watchdog sends
+     * @param {(action: string, ...msg: any[]) => void} log
+     */
+    constructor(config, onFrame, log) {
+        this.config = config;
+        this.onFrame = onFrame;
+        this.log = log;
+        /** `true` while frames have stopped and the watchdog sends its own. */
+        this.isTripped = false;
+        /**
+         * The last frame that arrived, or `null` if none has yet. The watchdog only steps in after the first frame.
+         * @type {?Buffer}
+         */
+        this._lastFrame = null;
+        this._lastFrameMs = 0;
+        this._trippedMs = 0;
+        /** @type {?NodeJS.Timeout} */
+        this._timer = null;
+        /** @type {?ShowPlayer} */
+        this._showPlayer = null;
+        /**
+         * The latest frame of the show, if `fallback` is `'show'`.
+         * @type {?Buffer}
+         */
+        this._showFrame = null;
+    }
+
+    /**
+     * Call this for every frame that reaches the LEDs, except the watchdog's own.
+     * Hands control back if the watchdog had stepped in.
+     * @param {Buffer} frame
+     */
+    frameArrived(frame) {
+        this._lastFrame = frame;
+        this._lastFrameMs = Date.now();
+        if (this.isTripped) {
+            this._stopFallback();
+            this.log('watchdog', 'Frames are arriving again, handing control back');
+        }
+    }
+
+    /**
+     * Steps in if no frame has arrived for `timeoutMs`. Call this regularly.
+     */
+    check() {
+        if (this.isTripped || this._lastFrame === null || this.config.timeoutMs === null) {
+            return;
+        }
+        const quietMs = Date.now() - this._lastFrameMs;
+        if (quietMs > this.config.timeoutMs) {
+            this.log('watchdog', `No frames for ${(quietMs / 1000).toFixed(1)} s, ${this.describeFallback()}`);
+            this._startFallback();
+        }
+    }
+
+    /**
+     * Switches to `config`. If the watchdog has stepped in, it starts over with the new fallback.
+     * @param {WatchdogConfig} config
+     */
+    setConfig(config) {
+        const wasTripped = this.isTripped;
+        this._stopFallback();
+        this.config = config;
+        if (wasTripped && config.timeoutMs !== null) {
+            this._startFallback();
+        }
+    }
+
+    /**
+     * Describes what the watchdog does when it steps in, e.g. `'fading to black'`.
+     * @returns {string}
+     */
+    describeFallback() {
+        switch (this.config.fallback) {
+            case 'pattern':
+                return `playing the '${this.config.pattern}' pattern`;
+            case 'show':
+                return `playing ${this.config.showPath}`;
+            default:
+                return 'fading to black';
+        }
+    }
+
+    _startFallback() {
+        this.isTripped = true;
+        this._trippedMs = Date.now();
+        this._showFrame = null;
+        if (this.config.fallback === 'show' && this.config.showPath) {
+            this._startShow(path.resolve(__dirname, this.config.showPath));
+        }
+        this._timer = setInterval(() => this._sendFrame(), 1000 / FRAMES_PER_SECOND);
+    }
+
+    _stopFallback() {
+        this.isTripped = false;
+        if (this._timer !== null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this._showPlayer !== null) {
+            this._showPlayer.stop();
+            this._showPlayer = null;
+        }
+    }
+
+    /**
+     * Loads the show at `showPath` and plays it in a loop until the watchdog hands control back.
+     * Until it is loaded, or if it can't be, the watchdog fades to black instead.
+     * @param {string} showPath
+     */
+    async _startShow(showPath) {
+        const trippedMs = this._trippedMs;
+        let frames;
+        try {
+            frames = await readShow(showPath);
+        } catch (err) {
+            this.log('ERROR', `Unable to play show ${showPath}, fading to black instead:`, err.message);
+            return;
+        }
+        if (!this.isTripped || this._trippedMs !== trippedMs) {
+            // Frames arrived again while the show was loading.
+            return;
+        }
+        this._showPlayer = new ShowPlayer(frames, { loop: true }, (frame) => {
+            this._showFrame = frame;
+        });
+        this._showPlayer.start();
+    }
+
+    /**
+     * Sends one frame: the last frame that arrived, faded towards the fallback.
+     */
+    _sendFrame() {
+        const lastFrame = /** @type {Buffer} */ (this._lastFrame);
+        const ms = Date.now() - this._trippedMs;
+        const target = Buffer.alloc(lastFrame.length);
+        if (this.config.fallback === 'pattern') {
+            PATTERNS[this.config.pattern](target, ms, this.config);
+        } else if (this.config.fallback === 'show' && this._showFrame !== null) {
+            this._showFrame.copy(target, 0, 0, Math.min(this._showFrame.length, target.length));
+        }
+        const amount = this.config.fadeMs > 0 ? Math.min(ms / this.config.fadeMs, 1) : 1;
+        if (amount < 1) {
+            for (let i = 0; i < target.length; i++) {
+                target[i] = Math.round(lastFrame[i] + (target[i] - lastFrame[i]) * amount);
+            }
+        }
+        this.onFrame(target);
+    }
+}
+
+module.exports = {
+    PATTERN_NAMES,
+    Watchdog,
+};